@@ -1,88 +1,50 @@
-const { remote } = require('webdriverio');
-const { getConfig } = require('../../src/config');
+const {
+  resolveDeviceId,
+  startAppiumSession,
+  stopAppiumSession,
+  isSessionHealthy,
+  withSession,
+} = require('../../src/connection');
+const { assertDeviceFree } = require('../../src/lease');
 
 // ============================================================================
 // Server-side API Functions (Node.js)
 // ============================================================================
 
-// Debug module maintains its own driver instance
-let debugDriver = null;
+// The debug page shares the device session with the home page, scripts and
+// the scheduler through the connection manager (no separate debug session)
 
 /**
- * Initialize and get debug driver
- * Creates a new session if one doesn't exist
+ * Get the driver of a device, creating the session if it doesn't exist
+ * @param {string} [deviceId] - Device id, defaults to the default device
  */
-async function getDebugDriver() {
-  if (debugDriver) {
-    // Verify the session is still active
-    try {
-      await debugDriver.status();
-      return debugDriver;
-    } catch (error) {
-      console.log('Debug session is no longer active, creating a new one...');
-      // Try to close the old session gracefully
-      try {
-        await debugDriver.deleteSession();
-      } catch (e) {
-        // Ignore cleanup errors
-      }
-      debugDriver = null;
-    }
-  }
-
-  // Create new session
-  const config = getConfig();
-  const capabilities = {};
-
-  // Prepare capabilities with appium: prefix
-  for (const [key, value] of Object.entries(config.capabilities || {})) {
-    capabilities[key === 'platformName' ? key : `appium:${key}`] = value;
-  }
-
-  const wdOpts = {
-    ...config.webdriverio,
-    path: config.webdriverio?.path || '/',
-    connectionRetryTimeout: config.webdriverio?.connectionRetryTimeout || 120000,
-    connectionRetryCount: config.webdriverio?.connectionRetryCount || 3,
-    capabilities,
-  };
-
-  console.log('Creating new debug session...');
-  debugDriver = await remote(wdOpts);
-
-  if (config.timeouts?.implicit) {
-    await debugDriver.setTimeout({ implicit: config.timeouts.implicit });
-  }
-
-  console.log('Debug session created successfully');
-  return debugDriver;
+async function getDebugDriver(deviceId) {
+  return startAppiumSession(deviceId);
 }
 
 /**
  * Check if session is connected and active
+ * @param {string} [deviceId] - Device id, defaults to the default device
  */
-async function checkConnection() {
-  if (!debugDriver) {
-    return { connected: false, message: 'No session exists' };
-  }
+async function checkConnection(deviceId) {
+  const id = resolveDeviceId(deviceId);
 
-  try {
-    await debugDriver.status();
-    console.log('Debug session is active');
+  if (await isSessionHealthy(id)) {
+    console.log(`[${id}] Debug session is active`);
     return { connected: true, message: 'Session is active' };
-  } catch (error) {
-    console.log('Debug session is no longer active');
-    debugDriver = null;
-    return { connected: false, message: 'Session is not active' };
   }
+
+  console.log(`[${id}] Debug session is not active`);
+  return { connected: false, message: 'Session is not active' };
 }
 
 /**
  * Explicitly connect to debug session
+ * @param {string} [deviceId] - Device id, defaults to the default device
  */
-async function connectSession() {
+async function connectSession(deviceId) {
   // First check if already connected
-  const status = await checkConnection();
+  const status = await checkConnection(deviceId);
   if (status.connected) {
     console.log('Already connected to debug session, reusing existing connection');
     return { success: true, message: 'Already connected', reused: true };
@@ -90,7 +52,7 @@ async function connectSession() {
 
   // Create new connection
   try {
-    await getDebugDriver();
+    await getDebugDriver(deviceId);
     return { success: true, message: 'Connected successfully', reused: false };
   } catch (error) {
     console.error('Failed to connect:', error);
@@ -100,64 +62,25 @@ async function connectSession() {
 
 /**
  * Close debug session
+ * @param {string} [deviceId] - Device id, defaults to the default device
  */
-async function closeDebugSession() {
-  if (debugDriver) {
-    try {
-      await debugDriver.deleteSession();
-      console.log('Debug session closed successfully');
-    } catch (error) {
-      console.error('Error closing debug session:', error);
-    } finally {
-      debugDriver = null;
-    }
-  }
+async function closeDebugSession(deviceId) {
+  await stopAppiumSession(deviceId);
 }
 
 /**
  * Unified error handler wrapper with retry logic
+ * Session crash detection and recreation live in the connection manager
  */
-async function handleRequest(operation, handler, retries = 1) {
-  let lastError;
-
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const driver = await getDebugDriver();
-      return await handler(driver);
-    } catch (error) {
-      lastError = error;
-      const errorMessage = error.message || String(error);
-
-      // Check if it's a session crash error
-      const isSessionCrash = errorMessage.includes('instrumentation process is not running') ||
-                            errorMessage.includes('session') ||
-                            errorMessage.includes('proxy');
-
-      if (isSessionCrash && attempt < retries) {
-        console.log(`Session crashed during ${operation}, forcing session recreation (attempt ${attempt + 1}/${retries + 1})...`);
-        // Force close the current session
-        debugDriver = null;
-        // Wait a bit before retrying
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        continue;
-      }
-
-      console.error(`Failed to ${operation} (attempt ${attempt + 1}/${retries + 1}):`, error);
-
-      if (attempt === retries) {
-        throw error;
-      }
-    }
-  }
-
-  throw lastError;
+async function handleRequest(deviceId, operation, handler, retries = 1) {
+  return withSession(deviceId, operation, handler, retries);
 }
 
 /**
  * Get UI hierarchy dump from device
  */
-async function getUIDump() {
-  return handleRequest('get UI dump', async (driver) => {
+async function getUIDump(deviceId) {
+  return handleRequest(deviceId, 'get UI dump', async (driver) => {
     console.log('Getting UI dump...');
     const xmlContent = await driver.getPageSource();
     const parsed = parseXmlToJson(xmlContent);
@@ -169,8 +92,8 @@ async function getUIDump() {
 /**
  * Take screenshot from device
  */
-async function takeScreenshot() {
-  return handleRequest('take screenshot', async (driver) => {
+async function takeScreenshot(deviceId) {
+  return handleRequest(deviceId, 'take screenshot', async (driver) => {
     console.log('Taking screenshot...');
     const screenshot = await driver.takeScreenshot();
     console.log('Screenshot captured successfully');
@@ -181,8 +104,8 @@ async function takeScreenshot() {
 /**
  * Click at specific coordinates
  */
-async function clickAtCoordinates(x, y) {
-  return handleRequest('click coordinates', async (driver) => {
+async function clickAtCoordinates(deviceId, x, y) {
+  return handleRequest(deviceId, 'click coordinates', async (driver) => {
     console.log(`Clicking at coordinates: (${x}, ${y})`);
     // Use W3C Actions API instead of deprecated touchAction
     await driver.performActions([{
@@ -205,8 +128,8 @@ async function clickAtCoordinates(x, y) {
 /**
  * Get current activity information
  */
-async function getCurrentActivity() {
-  return handleRequest('get current activity', async (driver) => {
+async function getCurrentActivity(deviceId) {
+  return handleRequest(deviceId, 'get current activity', async (driver) => {
     console.log('Getting current activity...');
     const activity = await driver.getCurrentActivity();
     const packageName = await driver.getCurrentPackage();
@@ -223,8 +146,8 @@ async function getCurrentActivity() {
 /**
  * Get all installed packages
  */
-async function getAllPackages() {
-  return handleRequest('get packages', async (driver) => {
+async function getAllPackages(deviceId) {
+  return handleRequest(deviceId, 'get packages', async (driver) => {
     console.log('Getting all installed packages...');
     const result = await driver.execute('mobile: shell', {
       command: 'pm',
@@ -244,8 +167,8 @@ async function getAllPackages() {
 /**
  * Get activities for a specific package
  */
-async function getPackageActivities(packageName) {
-  return handleRequest('get package activities', async (driver) => {
+async function getPackageActivities(deviceId, packageName) {
+  return handleRequest(deviceId, 'get package activities', async (driver) => {
     console.log(`Getting activities for package: ${packageName}`);
     const result = await driver.execute('mobile: shell', {
       command: 'dumpsys',
@@ -270,8 +193,8 @@ async function getPackageActivities(packageName) {
 /**
  * Launch an app by package and activity
  */
-async function launchApp(packageName, activityName = null) {
-  return handleRequest('launch app', async (driver) => {
+async function launchApp(deviceId, packageName, activityName = null) {
+  return handleRequest(deviceId, 'launch app', async (driver) => {
     console.log(`Launching app: ${packageName}${activityName ? '/' + activityName : ''}`);
     if (activityName) {
       await driver.execute('mobile: shell', {
@@ -349,36 +272,44 @@ function parseXmlToJson(xml) {
  */
 async function handleDebugAPI(method, action, query, body) {
   try {
+    // Device can be named in the query string or in the POST body
+    const deviceId = query.deviceId || body.deviceId;
+
     if (method === 'GET') {
       switch (action) {
         case 'dump':
-          return await getUIDump();
+          return await getUIDump(deviceId);
         case 'screenshot':
-          return await takeScreenshot();
+          return await takeScreenshot(deviceId);
         case 'activity':
-          return await getCurrentActivity();
+          return await getCurrentActivity(deviceId);
         case 'packages':
-          return await getAllPackages();
+          return await getAllPackages(deviceId);
         case 'activities':
           if (!query.package) {
             return { success: false, error: 'Package name required' };
           }
-          return await getPackageActivities(query.package);
+          return await getPackageActivities(deviceId, query.package);
         case 'status':
-          return await checkConnection();
+          return await checkConnection(deviceId);
         default:
           return { success: false, error: 'Unknown action' };
       }
     } else if (method === 'POST') {
+      // Actions that change the device state must not disturb a lease holder
+      if (['click', 'launch', 'disconnect'].includes(action)) {
+        assertDeviceFree(deviceId);
+      }
+
       switch (action) {
         case 'click':
-          return await clickAtCoordinates(body.x, body.y);
+          return await clickAtCoordinates(deviceId, body.x, body.y);
         case 'launch':
-          return await launchApp(body.package, body.activity);
+          return await launchApp(deviceId, body.package, body.activity);
         case 'connect':
-          return await connectSession();
+          return await connectSession(deviceId);
         case 'disconnect':
-          await closeDebugSession();
+          await closeDebugSession(deviceId);
           return { success: true, message: 'Session disconnected' };
         default:
           return { success: false, error: 'Unknown action' };
@@ -386,7 +317,7 @@ async function handleDebugAPI(method, action, query, body) {
     }
     return { success: false, error: 'Invalid method' };
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, status: error.status, lease: error.lease };
   }
 }
 
@@ -27,7 +27,7 @@ export async function GET(request) {
     if (result.success) {
       return NextResponse.json(result)
     } else {
-      return NextResponse.json(result, { status: 400 })
+      return NextResponse.json(result, { status: result.status || 400 })
     }
   } catch (error) {
     return NextResponse.json(
@@ -64,7 +64,7 @@ export async function POST(request) {
     if (result.success) {
       return NextResponse.json(result)
     } else {
-      return NextResponse.json(result, { status: 400 })
+      return NextResponse.json(result, { status: result.status || 400 })
     }
   } catch (error) {
     return NextResponse.json(
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server'
+import { listChannels, sendTestNotification } from '../../src/notify'
+
+// API Route: /api/notifications
+// GET lists the notification channels from config.json (without credentials),
+//   with the events and triggers they get and any configuration problem
+// POST { channel? } sends a test message to one channel (by name) or to all of them,
+//   enabled or not, e.g. to check SMTP settings against a local mail catcher
+//   Answers with { channel, sent, error? } per channel
+
+export async function GET() {
+  try {
+    return NextResponse.json({ success: true, channels: listChannels() })
+  } catch (error) {
+    console.error('GET /api/notifications error:', error)
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(request) {
+  try {
+    let body = {}
+    try {
+      const text = await request.text()
+      if (text) {
+        body = JSON.parse(text)
+      }
+    } catch (e) {
+      // Body is empty or not JSON, test every channel
+      body = {}
+    }
+
+    const results = await sendTestNotification(body.channel || undefined)
+    return NextResponse.json({ success: results.every(result => result.sent), results })
+  } catch (error) {
+    console.error('POST /api/notifications error:', error)
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: error.status || 500 }
+    )
+  }
+}
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server'
+import { getRun, cancelRun } from '../../../src/runs'
+
+// API Route: /api/runs/[id]
+// - [id] is a DYNAMIC SEGMENT: /api/runs/abc → params.id = "abc"
+// GET returns a single run including its captured logs
+// POST { action: 'cancel' } cancels a running run, it ends with status 'cancelled'
+
+export async function GET(request, { params }) {
+  try {
+    // params is a Promise in Next.js 15
+    const { id } = await params
+    const run = getRun(id)
+
+    if (!run) {
+      return NextResponse.json(
+        { success: false, error: `Run '${id}' not found` },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json({ success: true, run })
+  } catch (error) {
+    console.error('GET /api/runs/[id] error:', error)
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params
+    const { action } = await request.json()
+
+    if (action !== 'cancel') {
+      return NextResponse.json(
+        { success: false, error: 'Invalid action. Use "cancel"' },
+        { status: 400 }
+      )
+    }
+
+    const run = cancelRun(id)
+
+    if (!run) {
+      const finished = getRun(id)
+      return NextResponse.json(
+        finished
+          ? { success: false, error: `Run '${id}' is not running (status: ${finished.status})` }
+          : { success: false, error: `Run '${id}' not found` },
+        { status: finished ? 409 : 404 }
+      )
+    }
+
+    // The run ends once its cleanup hook ran, watch /api/stream or GET this run for the end
+    return NextResponse.json({ success: true, run })
+  } catch (error) {
+    console.error('POST /api/runs/[id] error:', error)
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server'
+import { listRuns } from '../../src/runs'
+
+// API Route: /api/runs
+// Run history of script executions (manual, API and scheduler)
+//
+// GET /api/runs?scriptId=&deviceId=&trigger=&status=&since=&limit=&offset=
+// - All filters are optional, runs are returned newest first
+// - Logs are omitted from the list, fetch a single run to get them
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url)
+
+    const { total, runs } = listRuns({
+      scriptId: searchParams.get('scriptId') || undefined,
+      deviceId: searchParams.get('deviceId') || undefined,
+      trigger: searchParams.get('trigger') || undefined,
+      status: searchParams.get('status') || undefined,
+      since: searchParams.get('since') || undefined,
+      limit: Number(searchParams.get('limit')) || undefined,
+      offset: Number(searchParams.get('offset')) || undefined,
+    })
+
+    return NextResponse.json({ success: true, total, runs })
+  } catch (error) {
+    console.error('GET /api/runs error:', error)
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    )
+  }
+}
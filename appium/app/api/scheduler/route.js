@@ -2,12 +2,17 @@
  * Task Scheduler API Route
  * Endpoint to check and execute scheduled tasks
  *
+ * Tasks normally fire from the scheduler's built-in timer, started on server
+ * boot by instrumentation.js through GET.
+ *
  * Usage:
- * GET /api/scheduler - Trigger task check and execution
- * POST /api/scheduler - Get scheduler status
+ * GET /api/scheduler - Check for due tasks now, starts the built-in timer if it isn't running
+ * POST /api/scheduler?upcoming=5 - Get scheduler status, with a description of each
+ *   task's schedule and its next `upcoming` fire times (default 5, max 50), plus the
+ *   scripts whose schedule is disabled or was rejected (with the reason)
  */
 
-import { checkAndExecuteTasks, getStatus } from '../../src/scheduler.js';
+import { initialize, checkAndExecuteTasks, startTimer, getStatus } from '../../src/scheduler.js';
 
 // GET - Trigger task check and execution
 export async function GET(request) {
@@ -15,9 +20,11 @@ export async function GET(request) {
     console.log('[Scheduler API] Task check triggered via GET request');
 
     // Execute tasks in background (non-blocking)
-    checkAndExecuteTasks().catch(error => {
-      console.error('[Scheduler API] Background task error:', error);
-    });
+    startTimer()
+      .then(checkAndExecuteTasks)
+      .catch(error => {
+        console.error('[Scheduler API] Background task error:', error);
+      });
 
     // Return 204 No Content immediately
     return new Response(null, { status: 204 });
@@ -34,7 +41,12 @@ export async function GET(request) {
 // POST - Get scheduler status
 export async function POST(request) {
   try {
-    const status = getStatus();
+    const { searchParams } = new URL(request.url);
+    const upcoming = Math.min(Number(searchParams.get('upcoming')) || 5, 50);
+
+    // Load the schedules on first use, so rejected ones show up before the first check
+    await initialize();
+    const status = getStatus({ upcoming });
 
     return Response.json({
       success: true,
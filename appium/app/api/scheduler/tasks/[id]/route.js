@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server'
+import { listTasks, setTaskEnabled, snoozeTask, triggerTask } from '../../../../src/scheduler.js'
+
+// API Route: /api/scheduler/tasks/[id]
+// - [id] is the script id (file name without .js)
+// GET returns one task, see /api/scheduler/tasks
+// POST manages it:
+//   { action: 'enable' } / { action: 'disable' } - Overrides schedule.enabled, kept across restarts
+//   { action: 'trigger' } - Run it now, its schedule is left as it is
+//   { action: 'snooze', until: '2025-10-24T08:00:00Z' } - Skip runs until then (until: null clears it)
+
+const ACTIONS = {
+  enable: (id) => setTaskEnabled(id, true),
+  disable: (id) => setTaskEnabled(id, false),
+  trigger: (id) => triggerTask(id),
+  snooze: (id, body) => snoozeTask(id, body.until),
+}
+
+export async function GET(request, { params }) {
+  try {
+    // params is a Promise in Next.js 15
+    const { id } = await params
+    const task = (await listTasks()).find(entry => entry.scriptId === id)
+
+    if (!task) {
+      return NextResponse.json(
+        { success: false, error: `No scheduled task '${id}'` },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json({ success: true, task })
+  } catch (error) {
+    console.error('GET /api/scheduler/tasks/[id] error:', error)
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json()
+
+    if (!ACTIONS[body.action]) {
+      return NextResponse.json(
+        { success: false, error: `Invalid action. Use one of: ${Object.keys(ACTIONS).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const task = await ACTIONS[body.action](id, body)
+    return NextResponse.json({ success: true, task })
+  } catch (error) {
+    // SchedulerError carries 404 (no such task), 409 (rejected schedule) or 400 (bad input)
+    if (!error.status) {
+      console.error('POST /api/scheduler/tasks/[id] error:', error)
+    }
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: error.status || 500 }
+    )
+  }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server'
+import { listTasks, reloadTasks } from '../../../src/scheduler.js'
+
+// API Route: /api/scheduler/tasks
+// GET lists every scheduled script with its status ('scheduled', 'snoozed', 'queued',
+//   'running', 'disabled', 'finished' or 'rejected' with the reason)
+// POST { action: 'reload' } re-reads all scripts from disk and rebuilds the schedule
+
+export async function GET() {
+  try {
+    const tasks = await listTasks()
+    return NextResponse.json({ success: true, tasks })
+  } catch (error) {
+    console.error('GET /api/scheduler/tasks error:', error)
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { action } = await request.json()
+
+    if (action !== 'reload') {
+      return NextResponse.json(
+        { success: false, error: 'Invalid action. Use "reload"' },
+        { status: 400 }
+      )
+    }
+
+    const tasks = await reloadTasks()
+    return NextResponse.json({ success: true, tasks })
+  } catch (error) {
+    console.error('POST /api/scheduler/tasks error:', error)
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    )
+  }
+}
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
-import { getDriver } from '../../src/appium'
+import { getDriver } from '../../src/connection'
 
-// API Route: /api/screenshot
+// API Route: /api/screenshot?deviceId=<id>
 // Returns screenshot as PNG image (not base64)
+// deviceId is optional, defaults to the default device
 // Status codes:
 // - 200: Success, returns PNG image
 // - 204: Session connected but screenshot failed
@@ -10,7 +11,8 @@ import { getDriver } from '../../src/appium'
 
 export async function GET(request) {
   try {
-    const driver = getDriver()
+    const { searchParams } = new URL(request.url)
+    const driver = getDriver(searchParams.get('deviceId') || undefined)
 
     // 503: Session disconnected
     if (!driver) {
@@ -1,77 +1,33 @@
 import { NextResponse } from 'next/server'
-import fs from 'fs'
-import path from 'path'
-import { createAppiumWrapper, getLogs } from '../../src/appium'
-
-const SCRIPTS_DIR = path.join(process.cwd(), 'app', 'scripts')
-
-// Helper function to load CommonJS module from file
-function loadCommonJSModule(filePath) {
-  const code = fs.readFileSync(filePath, 'utf-8')
-  const module = { exports: {} }
-  const exports = module.exports
-
-  // Create a function wrapper to execute the module code
-  const wrappedCode = `(function(module, exports, require) {
-    ${code}
-    return module.exports;
-  })`
-
-  // Create a custom require function for the module
-  const customRequire = (modulePath) => {
-    if (modulePath.startsWith('.')) {
-      // Resolve relative paths
-      const resolvedPath = path.resolve(path.dirname(filePath), modulePath)
-      if (fs.existsSync(resolvedPath + '.js')) {
-        return loadCommonJSModule(resolvedPath + '.js')
-      } else if (fs.existsSync(resolvedPath)) {
-        return loadCommonJSModule(resolvedPath)
-      }
-    }
-    // For node_modules, use dynamic import or throw
-    throw new Error(`Cannot require '${modulePath}' from scripts`)
-  }
-
-  // Execute the wrapped code
-  const fn = eval(wrappedCode)
-  return fn(module, exports, customRequire)
-}
+import { readLogs } from '../../src/logs'
+import { runScript } from '../../src/runner'
+import { TRIGGERS } from '../../src/runs'
+import { getParamSchema, describeParams } from '../../src/params'
+import { listScripts, getScriptPath, loadScript } from '../../src/loader'
+import { normalizeWorkflow } from '../../src/workflow'
+import { normalizeInterrupts } from '../../src/interrupts'
 
 /**
  * GET - List all available scripts
+ * Each script comes with its parameter declaration (see src/params.js), secret defaults omitted
  */
 export async function GET(request) {
   try {
-    // Read all .js files from scripts directory
-    const files = fs.readdirSync(SCRIPTS_DIR)
-
-    const scripts = files
-      .filter(file => file.endsWith('.js') && file !== 'README.md')
-      .map(file => {
-        const filePath = path.join(SCRIPTS_DIR, file)
-
-        try {
-          // Load CommonJS module
-          const script = loadCommonJSModule(filePath)
-
-          return {
-            id: file.replace('.js', ''), // File name without extension
-            name: script.name || file.replace('.js', ''), // Display name from export
-            file,
-            config: script.config || {} // Config object from export
-          }
-        } catch (error) {
-          console.error(`Error loading script ${file}:`, error.message)
-          // Return basic info if script fails to load
-          return {
-            id: file.replace('.js', ''),
-            name: file.replace('.js', ''),
-            file,
-            config: {},
-            error: error.message
-          }
-        }
-      })
+    // Every script is loaded in its own sandbox (see src/loader.js)
+    const scripts = listScripts().map(({ id, file, script, error }) => {
+      if (error) {
+        console.error(`Error loading script ${file}:`, error.message)
+        // Return basic info if script fails to load
+        return { id, name: id, file, params: [], error: error.message }
+      }
+
+      return {
+        id, // File name without extension
+        name: script.name || id, // Display name from export
+        file,
+        params: describeParams(getParamSchema(script)) // Form fields for the UI
+      }
+    })
 
     return NextResponse.json({
       success: true,
@@ -87,15 +43,34 @@ export async function GET(request) {
 }
 
 /**
- * POST - Get logs
+ * POST - Get logs after a cursor
+ * Body: { cursor?, runId?, deviceId?, limit? }
+ * Reading doesn't remove anything, pass the returned cursor to get only newer records
  */
 export async function POST(request) {
   try {
-    const logs = getLogs()
+    let query = {}
+    try {
+      const text = await request.text()
+      if (text) {
+        query = JSON.parse(text)
+      }
+    } catch (e) {
+      // Body is empty or not JSON, read from the start
+      query = {}
+    }
+
+    const { records, cursor } = readLogs({
+      cursor: Number(query.cursor) || 0,
+      runId: query.runId || undefined,
+      deviceId: query.deviceId || undefined,
+      limit: Number(query.limit) || undefined
+    })
 
     return NextResponse.json({
       success: true,
-      logs
+      logs: records,
+      cursor
     })
   } catch (error) {
     console.error('Get logs error:', error)
@@ -108,10 +83,16 @@ export async function POST(request) {
 
 /**
  * PUT - Execute a script with hot reload
+ * Body: { scriptName, deviceId?, params?, trigger? ('manual' from the UI, defaults to 'api') }
+ * params are validated against the script's declaration (400 if invalid) and passed
+ * to execute(appium, params), or to the steps of a workflow (see src/workflow.js)
+ * Holds the device lease while the script runs, answers 409 if the device is busy
+ * Every run is recorded in the run history (see /api/runs)
+ * A run cancelled through POST /api/runs/<id> answers 409 with status 'cancelled'
  */
 export async function PUT(request) {
   try {
-    const { scriptName } = await request.json()
+    const { scriptName, deviceId, params, trigger = 'api' } = await request.json()
 
     if (!scriptName) {
       return NextResponse.json(
@@ -120,42 +101,73 @@ export async function PUT(request) {
       )
     }
 
-    const scriptPath = path.join(SCRIPTS_DIR, `${scriptName}.js`)
+    if (!TRIGGERS.includes(trigger) || trigger === 'scheduler') {
+      return NextResponse.json(
+        { success: false, error: 'Invalid trigger. Use "manual" or "api"' },
+        { status: 400 }
+      )
+    }
 
-    // Check if script exists
-    if (!fs.existsSync(scriptPath)) {
+    // Check if script exists (names are file names in app/scripts, never paths)
+    const scriptPath = getScriptPath(scriptName)
+    if (!scriptPath) {
       return NextResponse.json(
         { success: false, error: `Script '${scriptName}' not found` },
         { status: 404 }
       )
     }
 
-    // Load CommonJS module (hot reload is automatic since we read from disk each time)
-    const script = loadCommonJSModule(scriptPath)
+    // Load the script in its sandbox (hot reload is automatic since we read from disk each time)
+    const script = loadScript(scriptPath)
 
-    if (typeof script.execute !== 'function') {
+    if (script.workflow) {
+      // Unknown step scripts, cycles, ... answer 400 (WorkflowError)
+      normalizeWorkflow(script.workflow)
+    } else if (typeof script.execute !== 'function') {
       return NextResponse.json(
-        { success: false, error: 'Script must export an execute function' },
+        { success: false, error: 'Script must export an execute function or a workflow' },
         { status: 400 }
       )
     }
+    // Invalid interrupt rules answer 400 (InterruptError)
+    normalizeInterrupts(script.interrupts)
+
+    // Execute the script on the requested device, failing fast if the device is leased
+    const run = await runScript({
+      script,
+      scriptId: scriptName,
+      trigger,
+      deviceId,
+      params,
+      leaseTimeout: 0
+    })
 
-    // Create Appium wrapper for the script
-    const appiumWrapper = createAppiumWrapper()
+    if (run.status === 'cancelled') {
+      return NextResponse.json(
+        { success: false, error: 'Script execution was cancelled', runId: run.id, status: run.status },
+        { status: 409 }
+      )
+    }
 
-    // Execute the script with the wrapper
-    const result = await script.execute(appiumWrapper)
+    if (run.status === 'error') {
+      return NextResponse.json(
+        { success: false, error: run.error.message || 'Script execution failed', runId: run.id },
+        { status: 500 }
+      )
+    }
 
     return NextResponse.json({
       success: true,
       scriptName,
-      result
+      deviceId: run.deviceId,
+      runId: run.id,
+      result: run.result
     })
   } catch (error) {
     console.error('Script execution error:', error)
     return NextResponse.json(
-      { success: false, error: error.message || 'Script execution failed' },
-      { status: 500 }
+      { success: false, error: error.message || 'Script execution failed', lease: error.lease, errors: error.errors },
+      { status: error.status || 500 }
     )
   }
 }
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server'
+import { listSecrets, setSecret, deleteSecret } from '../../src/secrets'
+
+// API Route: /api/secrets
+// GET lists the names of the stored secrets, never their values, and whether the
+//   store can be read (APPIUM_SECRETS_KEY set and matching data/secrets.json)
+// POST { action: 'set', name, value } adds or replaces a secret
+// POST { action: 'delete', name } removes a secret
+
+export async function GET() {
+  try {
+    return NextResponse.json({ success: true, ...listSecrets() })
+  } catch (error) {
+    console.error('GET /api/secrets error:', error)
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { action, name, value } = await request.json()
+
+    if (action === 'set') {
+      setSecret(name, value)
+      return NextResponse.json({ success: true, name })
+    }
+
+    if (action === 'delete') {
+      if (!deleteSecret(name)) {
+        return NextResponse.json(
+          { success: false, error: `No secret named '${name}'` },
+          { status: 404 }
+        )
+      }
+      return NextResponse.json({ success: true, name })
+    }
+
+    return NextResponse.json(
+      { success: false, error: 'Invalid action. Use "set" or "delete"' },
+      { status: 400 }
+    )
+  } catch (error) {
+    // Never echo the request body, it holds the value
+    console.error('POST /api/secrets error:', error.message)
+    return NextResponse.json(
+      { success: false, error: error.message },
+      { status: error.status || 500 }
+    )
+  }
+}
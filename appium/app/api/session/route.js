@@ -1,29 +1,53 @@
 import { NextResponse } from 'next/server'
-import { startAppiumSession, stopAppiumSession, getDriver, isSessionHealthy } from '../../src/appium'
+import {
+  startAppiumSession,
+  stopAppiumSession,
+  getDriver,
+  isSessionHealthy,
+  listDevices,
+  getSessionEvents,
+  resolveDeviceId
+} from '../../src/connection'
+import { getLease, assertDeviceFree } from '../../src/lease'
 
 // API Route: /api/session
 // Session management without screenshot
+// Every request may name a device with "deviceId" (query for GET, body for POST),
+// otherwise the default device from config.json is used
+// Start/stop answer 409 while a script or scheduled task holds the device lease
+// GET ?since=<seq> also returns session lifecycle events newer than that seq
 
 // GET method for checking session status
 export async function GET(request) {
   try {
-    const driver = getDriver()
+    const { searchParams } = new URL(request.url)
+    const deviceId = searchParams.get('deviceId') || undefined
+    const since = Number(searchParams.get('since')) || 0
+    const events = getSessionEvents({ deviceId: resolveDeviceId(deviceId), since })
+
+    const driver = getDriver(deviceId)
     const isConnected = driver !== null
 
     // If driver exists, check health
     if (isConnected) {
-      const healthy = await isSessionHealthy()
+      const healthy = await isSessionHealthy(deviceId)
       return NextResponse.json({
         success: true,
         connected: healthy,
-        status: healthy ? 'Connected' : 'Disconnected'
+        status: healthy ? 'Connected' : 'Disconnected',
+        lease: getLease(deviceId),
+        devices: listDevices(),
+        events
       })
     }
 
     return NextResponse.json({
       success: true,
       connected: false,
-      status: 'Disconnected'
+      status: 'Disconnected',
+      lease: getLease(deviceId),
+      devices: listDevices(),
+      events
     })
   } catch (error) {
     return NextResponse.json(
@@ -37,13 +61,15 @@ export async function GET(request) {
 export async function POST(request) {
   try {
     const body = await request.json()
-    const { action } = body
+    const { action, deviceId } = body
 
     if (action === 'start') {
-      await startAppiumSession()
+      assertDeviceFree(deviceId)
+      await startAppiumSession(deviceId)
       return NextResponse.json({ success: true, message: 'Appium session started' })
     } else if (action === 'stop') {
-      await stopAppiumSession()
+      assertDeviceFree(deviceId)
+      await stopAppiumSession(deviceId)
       return NextResponse.json({ success: true, message: 'Appium session stopped' })
     } else {
       return NextResponse.json(
@@ -53,8 +79,8 @@ export async function POST(request) {
     }
   } catch (error) {
     return NextResponse.json(
-      { success: false, error: error.message || 'Internal server error' },
-      { status: 500 }
+      { success: false, error: error.message || 'Internal server error', lease: error.lease },
+      { status: error.status || 500 }
     )
   }
 }
@@ -0,0 +1,107 @@
+import { readLogs, onLogRecord } from '../../src/logs'
+import { onRunEvent } from '../../src/runs'
+import { onSessionEvent } from '../../src/connection'
+
+// API Route: /api/stream
+// Live Server-Sent Events stream of log records, run state changes and session events
+//
+// GET /api/stream?runId=&deviceId=&cursor=
+// - runId: Only log records and run events of this run
+// - deviceId: Only log records, run events and session events of this device
+// - cursor: Replay buffered log records with a seq greater than this first
+//   (a reconnecting EventSource sends Last-Event-ID instead, which wins)
+//
+// Events:
+// - "log": Log record (see src/logs.js), its seq is the SSE event id
+// - "run": { type: 'started' | 'progress' | 'finished', run } (run without logs),
+//   'progress' carries a workflow's step states (run.steps)
+// - "session": Session lifecycle event (see src/connection.js)
+
+// Never pre-render or cache, every request is a long-lived stream
+export const dynamic = 'force-dynamic'
+
+// Comment line sent periodically so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL = 15000
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const runId = searchParams.get('runId') || undefined
+  const deviceId = searchParams.get('deviceId') || undefined
+  const cursor = Number(request.headers.get('last-event-id') || searchParams.get('cursor')) || 0
+
+  const encoder = new TextEncoder()
+  let cleanup = () => {}
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false
+
+      const write = (text) => {
+        if (closed) return
+        try {
+          controller.enqueue(encoder.encode(text))
+        } catch (error) {
+          // Stream already closed by the client
+          cleanup()
+        }
+      }
+
+      const send = (event, data, id) => {
+        write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+      }
+
+      const matches = (record) =>
+        (!runId || record.runId === runId) &&
+        (!deviceId || record.deviceId === deviceId)
+
+      // Catch up on records the client missed before subscribing
+      if (cursor > 0) {
+        readLogs({ cursor, runId, deviceId, limit: 1000 }).records
+          .forEach(record => send('log', record, record.seq))
+      }
+
+      const unsubscribers = [
+        onLogRecord(record => {
+          if (matches(record)) send('log', record, record.seq)
+        }),
+        onRunEvent(event => {
+          if (matches({ runId: event.run.id, deviceId: event.run.deviceId })) send('run', event)
+        }),
+        onSessionEvent(event => {
+          if (!runId) send('session', event)
+        }, deviceId),
+      ]
+
+      const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_INTERVAL)
+
+      cleanup = () => {
+        if (closed) return
+        closed = true
+        clearInterval(heartbeat)
+        unsubscribers.forEach(unsubscribe => unsubscribe())
+      }
+
+      request.signal.addEventListener('abort', () => {
+        cleanup()
+        try {
+          controller.close()
+        } catch (error) {
+          // Already closed
+        }
+      })
+
+      write(': connected\n\n')
+    },
+    cancel() {
+      cleanup()
+    },
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+    },
+  })
+}
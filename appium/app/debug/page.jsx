@@ -76,9 +76,40 @@ export default function DebugPage() {
   const [clickMode, setClickMode] = useState(false)
   const [currentActivity, setCurrentActivity] = useState('')
   const [sessionConnected, setSessionConnected] = useState(false)
+  const [devices, setDevices] = useState([])
+  const [selectedDevice, setSelectedDevice] = useState('')
 
   const imgRef = useRef(null)
 
+  // Build a debug API URL for the selected device
+  const debugUrl = (action) => {
+    const device = selectedDevice ? `&deviceId=${encodeURIComponent(selectedDevice)}` : ''
+    return `/api/debug?action=${action}${device}`
+  }
+
+  // Load configured devices on mount
+  useEffect(() => {
+    fetch('/api/session')
+      .then(res => res.json())
+      .then(data => {
+        if (data.success && data.devices?.length > 0) {
+          setDevices(data.devices)
+          setSelectedDevice(data.devices[0].id)
+        }
+      })
+      .catch(error => console.error('Failed to load devices:', error))
+  }, [])
+
+  // The session is shared with the home page, pick up one that is already running
+  useEffect(() => {
+    if (!selectedDevice) return
+
+    fetch(debugUrl('status'))
+      .then(res => res.json())
+      .then(data => setSessionConnected(!!data.connected))
+      .catch(error => console.error('Failed to check session:', error))
+  }, [selectedDevice])
+
   const showStatus = (msg) => {
     setStatus(msg)
     setTimeout(() => setStatus(''), 3000)
@@ -89,7 +120,7 @@ export default function DebugPage() {
       setLoading(true)
       showStatus('Connecting to device...')
 
-      const res = await fetch('/api/debug?action=connect', {
+      const res = await fetch(debugUrl('connect'), {
         method: 'POST'
       })
       const data = await res.json()
@@ -118,7 +149,7 @@ export default function DebugPage() {
       setLoading(true)
       showStatus('Disconnecting...')
 
-      const res = await fetch('/api/debug?action=disconnect', {
+      const res = await fetch(debugUrl('disconnect'), {
         method: 'POST'
       })
       const data = await res.json()
@@ -153,9 +184,9 @@ export default function DebugPage() {
 
       // Fetch all data in parallel
       const [screenshotRes, dumpRes, activityRes] = await Promise.all([
-        fetch('/api/debug?action=screenshot'),
-        fetch('/api/debug?action=dump'),
-        fetch('/api/debug?action=activity')
+        fetch(debugUrl('screenshot')),
+        fetch(debugUrl('dump')),
+        fetch(debugUrl('activity'))
       ])
 
       const screenshotData = await screenshotRes.json()
@@ -210,7 +241,7 @@ export default function DebugPage() {
 
     try {
       setLoading(true)
-      const res = await fetch('/api/debug?action=click', {
+      const res = await fetch(debugUrl('click'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ x, y })
@@ -264,6 +295,16 @@ export default function DebugPage() {
           >
             ← Back
           </Link>
+          <select
+            value={selectedDevice}
+            onChange={(e) => setSelectedDevice(e.target.value)}
+            disabled={sessionConnected}
+            className="px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg disabled:opacity-50"
+          >
+            {devices.map((device) => (
+              <option key={device.id} value={device.id}>{device.name}</option>
+            ))}
+          </select>
           {!sessionConnected ? (
             <button
               onClick={handleConnect}
@@ -5,7 +5,7 @@
 'use client'
 
 // Import React hooks - only works in Client Components
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 
 // Link: Next.js component for navigation between pages
 // - Uses client-side navigation (no full page reload)
@@ -26,9 +26,22 @@ export default function HomePage() {
   const [logs, setLogs] = useState([])
   const [results, setResults] = useState([])
   const [selectedScript, setSelectedScript] = useState('')
+  // Values typed into the parameter form of the selected script, by param name
+  // Params left empty are not sent, so the script's defaults apply
+  const [paramValues, setParamValues] = useState({})
   const [scripts, setScripts] = useState([])
   const [screenshot, setScreenshot] = useState('')
   const [isExecutingScript, setIsExecutingScript] = useState(false)
+  const [devices, setDevices] = useState([])
+  const [selectedDevice, setSelectedDevice] = useState('')
+  // Run currently executing on the selected device (from the live stream), whoever started it
+  const [activeRun, setActiveRun] = useState(null)
+  // Scheduled scripts with their status, rejected schedules included (with the reason)
+  const [schedulerTasks, setSchedulerTasks] = useState([])
+
+  // useRef: keeps a value across renders without re-rendering
+  // Last log record seq we have shown, so a new stream (device change) resumes after it
+  const logCursor = useRef(0)
 
   const addLog = (message) => {
     setLogs(prev => [...prev, `[${new Date().toLocaleTimeString()}] ${message}`])
@@ -78,7 +91,7 @@ export default function HomePage() {
       const res = await fetchWithTimeout('/api/session', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action: 'start' })
+        body: JSON.stringify({ action: 'start', deviceId: selectedDevice || undefined })
       }, 60000) // 60 second timeout for session start
 
       const data = await res.json()
@@ -88,6 +101,7 @@ export default function HomePage() {
         setStatus('Connected')
         addLog('Session started successfully')
         addResult('Start Session', 'success', 'Appium session started')
+        loadDevices()
       } else {
         throw new Error(data.error || 'Failed to start session')
       }
@@ -107,7 +121,7 @@ export default function HomePage() {
       const res = await fetch('/api/session', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action: 'stop' })
+        body: JSON.stringify({ action: 'stop', deviceId: selectedDevice || undefined })
       })
       const data = await res.json()
 
@@ -116,6 +130,7 @@ export default function HomePage() {
         setStatus('Disconnected')
         addLog('Session stopped successfully')
         addResult('Stop Session', 'success', 'Appium session stopped')
+        loadDevices()
       } else {
         throw new Error(data.error || 'Failed to stop session')
       }
@@ -125,6 +140,30 @@ export default function HomePage() {
     }
   }
 
+  // Parameters declared by the selected script (see src/params.js)
+  const selectedParams = scripts.find(script => script.id === selectedScript)?.params || []
+
+  const handleSelectScript = (scriptId) => {
+    setSelectedScript(scriptId)
+    setParamValues({})
+  }
+
+  const handleParamChange = (name, value) => {
+    setParamValues(prev => ({ ...prev, [name]: value }))
+  }
+
+  // Only the params the user filled in, the server validates and applies defaults
+  const collectParams = () => {
+    const params = {}
+    for (const param of selectedParams) {
+      const value = paramValues[param.name]
+      if (value !== undefined && value !== '') {
+        params[param.name] = value
+      }
+    }
+    return params
+  }
+
   const handleExecuteScript = async () => {
     if (!selectedScript) return
 
@@ -136,7 +175,12 @@ export default function HomePage() {
       const res = await fetchWithTimeout('/api/scripts', {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ scriptName: selectedScript })
+        body: JSON.stringify({
+          scriptName: selectedScript,
+          deviceId: selectedDevice || undefined,
+          params: collectParams(),
+          trigger: 'manual'
+        })
       }, 1800000) // 30 minute timeout for script execution
 
       const data = await res.json()
@@ -156,28 +200,94 @@ export default function HomePage() {
       addResult(selectedScript, 'error', null, error.message)
     } finally {
       setIsExecutingScript(false)
-      // Fetch final logs after script completion
-      await fetchLogs()
     }
   }
 
-  const fetchLogs = async () => {
+  // Cancel the run executing on the selected device
+  // The run ends without waiting for the script, its cleanup hook still runs
+  const handleCancelRun = async () => {
+    if (!activeRun) return
+
     try {
-      const res = await fetch('/api/scripts', {
+      addLog(`Cancelling run: ${activeRun.scriptName}`)
+      const res = await fetch(`/api/runs/${activeRun.id}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'cancel' })
       })
       const data = await res.json()
 
-      if (data.success && data.logs && data.logs.length > 0) {
-        // Append new logs to the existing logs
-        setLogs(prev => [...prev, ...data.logs.map(log => `[${new Date().toLocaleTimeString()}] ${log}`)])
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to cancel run')
+      }
+    } catch (error) {
+      addLog(`Error: ${error.message}`)
+    }
+  }
+
+  // Load configured devices and the session state of the selected one
+  const loadDevices = async (deviceId = selectedDevice) => {
+    try {
+      const query = deviceId ? `?deviceId=${encodeURIComponent(deviceId)}` : ''
+      const res = await fetch(`/api/session${query}`)
+      const data = await res.json()
+
+      if (data.success) {
+        setDevices(data.devices || [])
+        if (!deviceId && data.devices?.length > 0) {
+          setSelectedDevice(data.devices[0].id)
+        }
+        setSessionActive(data.connected)
+        setStatus(data.status)
       }
     } catch (error) {
-      console.error('Failed to fetch logs:', error)
+      console.error('Failed to load devices:', error)
     }
   }
 
+  // Show session lifecycle events (lost, recovered, gave-up...) in the logs
+  const handleSessionEvent = (event) => {
+    addLog(`Session ${event.type} on ${event.deviceId}${event.message ? `: ${event.message}` : ''}`)
+
+    if (event.type === 'lost') {
+      setStatus('Reconnecting...')
+    } else if (event.type === 'recovered' || event.type === 'connected') {
+      // Also covers sessions started elsewhere (scheduler, another tab)
+      setSessionActive(true)
+      setStatus('Connected')
+    } else if (event.type === 'gave-up' || event.type === 'disconnected') {
+      setSessionActive(false)
+      setStatus('Disconnected')
+    }
+  }
+
+  // Show runs of the selected device as they start and finish, whoever triggered them
+  const handleRunEvent = ({ type, run }) => {
+    if (type === 'progress') {
+      // Workflow step states, the step logs arrive as log records
+      setActiveRun(prev => (prev?.id === run.id ? run : prev))
+      return
+    }
+    if (type === 'started') {
+      setActiveRun(run)
+      addLog(`Run started: ${run.scriptName} (${run.trigger})`)
+    } else {
+      setActiveRun(prev => (prev?.id === run.id ? null : prev))
+      const duration = run.durationMs !== null ? ` in ${(run.durationMs / 1000).toFixed(1)}s` : ''
+      addLog(`Run finished: ${run.scriptName} (${run.trigger}) - ${run.status}${duration}`)
+    }
+    // Scheduled runs move their task's status and next run
+    if (run.trigger !== 'manual') {
+      loadSchedulerTasks()
+    }
+  }
+
+  const handleSelectDevice = (deviceId) => {
+    setSelectedDevice(deviceId)
+    addLog(`Selected device: ${deviceId}`)
+    loadDevices(deviceId)
+  }
+
   const loadScripts = async () => {
     try {
       const res = await fetch('/api/scripts')
@@ -193,13 +303,68 @@ export default function HomePage() {
     }
   }
 
+  const loadSchedulerTasks = async () => {
+    try {
+      const res = await fetch('/api/scheduler/tasks')
+      const data = await res.json()
+
+      if (data.success) {
+        setSchedulerTasks(data.tasks)
+      }
+    } catch (error) {
+      console.error('Failed to load scheduled tasks:', error)
+      addLog(`Failed to load scheduled tasks: ${error.message}`)
+    }
+  }
+
+  // Re-read all scripts from disk, e.g. after editing a schedule
+  const handleReloadTasks = async () => {
+    try {
+      const res = await fetch('/api/scheduler/tasks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'reload' })
+      })
+      const data = await res.json()
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to reload scripts')
+      }
+      setSchedulerTasks(data.tasks)
+      addLog(`Reloaded ${data.tasks.length} scheduled scripts`)
+    } catch (error) {
+      addLog(`Error: ${error.message}`)
+    }
+  }
+
+  // Enable, disable, trigger or snooze a scheduled task
+  const handleTaskAction = async (task, body) => {
+    try {
+      const res = await fetch(`/api/scheduler/tasks/${encodeURIComponent(task.scriptId)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+      const data = await res.json()
+
+      if (!data.success) {
+        throw new Error(data.error || `Failed to ${body.action} task`)
+      }
+      addLog(`${task.name}: ${body.action} done`)
+      loadSchedulerTasks()
+    } catch (error) {
+      addLog(`Error: ${error.message}`)
+    }
+  }
+
 
   // Update screenshot and check session status
   const updateScreenshot = async () => {
     try {
       // Use timestamp to prevent caching
       const timestamp = Date.now()
-      const response = await fetch(`/api/screenshot?t=${timestamp}`)
+      const device = selectedDevice ? `&deviceId=${encodeURIComponent(selectedDevice)}` : ''
+      const response = await fetch(`/api/screenshot?t=${timestamp}${device}`)
 
       if (response.status === 200) {
         // 200: Success - get image and update
@@ -266,29 +431,41 @@ export default function HomePage() {
       }
       setScreenshot('')
     }
-  }, [sessionActive])
+  }, [sessionActive, selectedDevice])
 
-  // Load scripts on component mount
+  // Follow logs, runs and session events of the selected device in real time
+  // EventSource reconnects by itself and resumes after the last log seq it saw
   useEffect(() => {
+    if (!selectedDevice) return
+
+    const params = new URLSearchParams({ deviceId: selectedDevice, cursor: String(logCursor.current) })
+    const source = new EventSource(`/api/stream?${params}`)
+
+    // A run may already be executing (e.g. started by the scheduler before this page loaded)
+    fetch(`/api/runs?status=running&limit=1&deviceId=${encodeURIComponent(selectedDevice)}`)
+      .then(res => res.json())
+      .then(data => setActiveRun(data.runs?.[0] || null))
+      .catch(error => console.error('Failed to load running runs:', error))
+
+    source.addEventListener('log', (e) => {
+      const record = JSON.parse(e.data)
+      if (record.seq <= logCursor.current) return
+      logCursor.current = record.seq
+      setLogs(prev => [...prev, `[${new Date(record.timestamp).toLocaleTimeString()}] ${record.message}`])
+    })
+    source.addEventListener('run', (e) => handleRunEvent(JSON.parse(e.data)))
+    source.addEventListener('session', (e) => handleSessionEvent(JSON.parse(e.data)))
+
+    return () => source.close()
+  }, [selectedDevice])
+
+  // Load devices and scripts on component mount
+  useEffect(() => {
+    loadDevices()
     loadScripts()
+    loadSchedulerTasks()
   }, [])
 
-  // Poll logs every second when executing script
-  useEffect(() => {
-    if (isExecutingScript) {
-      // Fetch logs immediately
-      fetchLogs()
-
-      // Set up interval to fetch logs every second
-      const logInterval = setInterval(fetchLogs, 1000)
-
-      // Cleanup interval when script execution stops
-      return () => {
-        clearInterval(logInterval)
-      }
-    }
-  }, [isExecutingScript])
-
   return (
     <div className="flex h-screen bg-gray-900 text-white">
       {/* Left Panel - Screenshot Display */}
@@ -349,6 +526,18 @@ export default function HomePage() {
               <span className="text-xl">🎮</span>
               <span>Session Control</span>
             </h2>
+            <select
+              value={selectedDevice}
+              onChange={(e) => handleSelectDevice(e.target.value)}
+              disabled={isExecutingScript}
+              className="w-full mb-3 px-4 py-2.5 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {devices.map((device) => (
+                <option key={device.id} value={device.id}>
+                  {device.name}{device.connected ? ' ●' : ''}{device.lease ? ` (busy: ${device.lease.owner})` : ''}
+                </option>
+              ))}
+            </select>
             <div className="flex space-x-3">
               <button
                 onClick={handleStartSession}
@@ -385,7 +574,7 @@ export default function HomePage() {
             <div className="space-y-3">
               <select
                 value={selectedScript}
-                onChange={(e) => setSelectedScript(e.target.value)}
+                onChange={(e) => handleSelectScript(e.target.value)}
                 onClick={loadScripts}
                 disabled={!sessionActive}
                 className="w-full px-4 py-2.5 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
@@ -397,6 +586,49 @@ export default function HomePage() {
                   </option>
                 ))}
               </select>
+              {selectedParams.map((param) => (
+                <label key={param.name} className="block text-sm">
+                  <span className="text-gray-300">
+                    {param.label}{param.required && <span className="text-red-400"> *</span>}
+                  </span>
+                  {param.type === 'boolean' ? (
+                    <input
+                      type="checkbox"
+                      checked={paramValues[param.name] ?? param.default ?? false}
+                      onChange={(e) => handleParamChange(param.name, e.target.checked)}
+                      className="ml-2 align-middle"
+                    />
+                  ) : param.type === 'enum' ? (
+                    <select
+                      value={paramValues[param.name] ?? param.default ?? ''}
+                      onChange={(e) => handleParamChange(param.name, e.target.value)}
+                      className="mt-1 w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {param.default === undefined && <option value="">Select...</option>}
+                      {param.values.map((value) => (
+                        <option key={value} value={value}>{value}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type={param.type === 'secret' ? 'password' : param.type === 'number' ? 'number' : 'text'}
+                      value={paramValues[param.name] ?? ''}
+                      min={param.min}
+                      max={param.max}
+                      placeholder={
+                        param.type === 'secret'
+                          ? (param.hasDefault ? 'Default set, leave empty to keep it' : '')
+                          : (param.default !== undefined ? String(param.default) : '')
+                      }
+                      onChange={(e) => handleParamChange(param.name, e.target.value)}
+                      className="mt-1 w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  )}
+                  {param.description && (
+                    <span className="block text-xs text-gray-500 mt-1">{param.description}</span>
+                  )}
+                </label>
+              ))}
               <button
                 onClick={handleExecuteScript}
                 disabled={!sessionActive || !selectedScript}
@@ -404,6 +636,108 @@ export default function HomePage() {
               >
                 Execute Script
               </button>
+              {activeRun && (
+                <button
+                  onClick={handleCancelRun}
+                  className="w-full py-2.5 bg-red-600 hover:bg-red-700 rounded-lg font-medium transition-all"
+                >
+                  Stop {activeRun.scriptName} ({activeRun.trigger})
+                  {activeRun.steps?.some(step => step.status === 'running') &&
+                    ` - step ${activeRun.steps.find(step => step.status === 'running').id}`}
+                </button>
+              )}
+            </div>
+          </div>
+
+
+          {/* Scheduled Tasks Panel */}
+          <div className="bg-gray-800 rounded-lg shadow-xl p-5 border border-gray-700">
+            <h2 className="text-lg font-semibold mb-3 flex items-center justify-between">
+              <span className="flex items-center space-x-2">
+                <span className="text-xl">⏰</span>
+                <span>Scheduled Tasks</span>
+              </span>
+              <span className="flex space-x-2">
+                <button
+                  onClick={loadSchedulerTasks}
+                  className="px-3 py-1 text-xs bg-gray-700 hover:bg-gray-600 rounded-lg transition-all"
+                >
+                  Refresh
+                </button>
+                <button
+                  onClick={handleReloadTasks}
+                  className="px-3 py-1 text-xs bg-gray-700 hover:bg-gray-600 rounded-lg transition-all"
+                >
+                  Reload Scripts
+                </button>
+              </span>
+            </h2>
+            <div className="space-y-2 max-h-60 overflow-y-auto text-sm">
+              {schedulerTasks.length === 0 ? (
+                <p className="text-gray-500 text-center py-6">No scheduled scripts</p>
+              ) : (
+                schedulerTasks.map((task) => (
+                  <div
+                    key={task.scriptId}
+                    className={`p-3 rounded-lg border ${
+                      task.status === 'rejected'
+                        ? 'bg-red-900/30 border-red-700'
+                        : 'bg-gray-900/50 border-gray-700'
+                    } ${task.status === 'disabled' ? 'opacity-60' : ''}`}
+                  >
+                    <div className="flex justify-between items-start mb-1">
+                      <span className="font-medium">{task.name}</span>
+                      <span className="text-xs text-gray-400">
+                        {task.status}{task.deviceId ? ` · ${task.deviceId}` : ''}
+                      </span>
+                    </div>
+                    {task.status === 'rejected' ? (
+                      <div className="text-xs text-red-400 break-words">Schedule rejected: {task.reason}</div>
+                    ) : (
+                      <>
+                        <div className="text-xs text-gray-400">{task.description}</div>
+                        {task.nextRun && (
+                          <div className="text-xs text-gray-300 mt-1">Next run: {new Date(task.nextRun).toLocaleString()}</div>
+                        )}
+                        {task.shift && (
+                          <div className="text-xs text-yellow-400 mt-1 break-words">
+                            Moved from {new Date(task.shift.from).toLocaleString()}: {task.shift.reason}
+                          </div>
+                        )}
+                        {task.snoozedUntil && (
+                          <div className="text-xs text-yellow-400 mt-1">Snoozed until {new Date(task.snoozedUntil).toLocaleString()}</div>
+                        )}
+                        {task.lastFailure && (
+                          <div className="text-xs text-red-400 mt-1 break-words">Last failure ({task.lastFailure.kind}): {task.lastFailure.message}</div>
+                        )}
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          <button
+                            onClick={() => handleTaskAction(task, { action: task.enabled ? 'disable' : 'enable' })}
+                            className="px-2 py-1 text-xs bg-gray-700 hover:bg-gray-600 rounded transition-all"
+                          >
+                            {task.enabled ? 'Disable' : 'Enable'}
+                          </button>
+                          <button
+                            onClick={() => handleTaskAction(task, { action: 'trigger' })}
+                            className="px-2 py-1 text-xs bg-blue-600 hover:bg-blue-700 rounded transition-all"
+                          >
+                            Run Now
+                          </button>
+                          <button
+                            onClick={() => handleTaskAction(task, {
+                              action: 'snooze',
+                              until: task.snoozedUntil ? null : new Date(Date.now() + 60 * 60 * 1000).toISOString()
+                            })}
+                            className="px-2 py-1 text-xs bg-gray-700 hover:bg-gray-600 rounded transition-all"
+                          >
+                            {task.snoozedUntil ? 'Unsnooze' : 'Snooze 1h'}
+                          </button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                ))
+              )}
             </div>
           </div>
 
@@ -11,12 +11,8 @@ async function execute(appium) {
 
     // Step 1: Unlock device
     appium.log('\n[Step 1] Unlocking device...');
-    const unlockResult = await toggleDeviceLock(appium, false, '123456');
-    appium.log(`Unlock result: ${JSON.stringify(unlockResult)}`);
-
-    if (!unlockResult.success) {
-      return unlockResult;
-    }
+    // PIN / password / pattern from config.json "device"
+    await appium.ensureUnlocked();
 
     // // Step 2: Turn on VPN
     // appium.log('\n[Step 2] Turning on VPN...');
@@ -88,12 +84,7 @@ async function execute(appium) {
 
     // Step 8: Lock device
     appium.log('\n[Step 8] Locking device...');
-    const lockResult = await toggleDeviceLock(appium, true);
-    appium.log(`Lock result: ${JSON.stringify(lockResult)}`);
-
-    if (!lockResult.success) {
-      return lockResult;
-    }
+    await appium.ensureLocked();
 
     appium.log('\n=== Script Completed Successfully ===');
 
@@ -113,7 +104,7 @@ async function execute(appium) {
     // Try to lock device even if error occurred
     try {
       appium.log('Attempting to lock device after error...');
-      await toggleDeviceLock(appium, true);
+      await appium.ensureLocked();
     } catch (lockError) {
       appium.err(`Failed to lock device: ${lockError.message}`);
     }
@@ -127,107 +118,14 @@ async function execute(appium) {
 }
 
 /**
- * Toggle device lock state (lock or unlock)
+ * Cleanup hook, runs after execute() whatever the outcome
+ * execute() locks the device itself on success and on errors, but a cancelled
+ * run stops before it gets there
  */
-async function toggleDeviceLock(appium, shouldLock, pin = null) {
-  try {
-    const locked = await appium.isLocked();
-    appium.log(`Device locked status: ${locked}`);
-
-    // If locking the device
-    if (shouldLock) {
-      if (locked) {
-        appium.log('Device is already locked');
-        return { success: true, message: 'Device is already locked' };
-      }
-
-      appium.log('Locking device...');
-      await appium.lock();
-      await appium.pause(500);
-
-      const nowLocked = await appium.isLocked();
-      if (!nowLocked) {
-        return { success: false, message: 'Failed to lock device' };
-      }
-
-      return { success: true, message: 'Device locked successfully' };
-    }
-
-    // If unlocking the device
-    if (!locked) {
-      appium.log('Device is already unlocked');
-      return { success: true, message: 'Device is already unlocked' };
-    }
-
-    if (!pin) {
-      throw new Error('PIN is required for unlocking device');
-    }
-
-    // Call unlock interface
-    appium.log('Calling unlock interface...');
-    await appium.unlock();
-    await appium.pause(500);
-
-    // Swipe up to show lock screen
-    appium.log('Swiping up to show lock screen...');
-    const coords = await Helpers.getSwipeCoordinates(appium, SWIPE.UP, 0.6);
-    const swipeAction = Actions.swipe(coords.startX, coords.startY, coords.endX, coords.endY);
-    await appium.performActions([swipeAction]);
-    await appium.releaseActions();
-    await appium.pause(500);
-
-    // Wait for PIN entry screen
-    appium.log('Waiting for PIN entry screen...');
-    const pinEntryElement = await appium.$(Selectors.byId('com.android.systemui:id/pinEntry'));
-    const pinEntryExists = await pinEntryElement.waitForExist({ timeout: 5000 });
-
-    if (!pinEntryExists) {
-      appium.log('Warning: pinEntry element not found, but continuing to enter PIN...');
-    } else {
-      appium.log('PIN entry screen detected');
-    }
-
-    // Enter PIN using resource IDs
-    appium.log(`Entering PIN: ${pin}...`);
-    for (const digit of pin) {
-      appium.log(`  Tapping digit: ${digit}`);
-      const keyResourceId = `com.android.systemui:id/key${digit}`;
-      const digitElement = await appium.$(Selectors.byId(keyResourceId));
-
-      const exists = await digitElement.waitForExist({ timeout: 3000 });
-      if (!exists) {
-        throw new Error(`Could not find digit button with resource ID: ${keyResourceId}`);
-      }
-
-      await digitElement.click();
-      await appium.pause(50);
-    }
-
-    // Click Enter button
-    appium.log('PIN entered, clicking Enter button...');
-    const enterElement = await appium.$(Selectors.byId('com.android.systemui:id/key_enter'));
-
-    const enterExists = await enterElement.waitForExist({ timeout: 3000 });
-    if (!enterExists) {
-      throw new Error('Could not find Enter button with resource ID: com.android.systemui:id/key_enter');
-    }
-
-    await enterElement.click();
-    await appium.pause(2000);
-
-    // Verify unlock was successful
-    const stillLocked = await appium.isLocked();
-    appium.log(`Device locked status after unlock attempt: ${stillLocked}`);
-
-    if (stillLocked) {
-      return { success: false, message: 'Failed to unlock device - device is still locked' };
-    }
-
-    return { success: true, message: 'Device unlocked successfully' };
-
-  } catch (error) {
-    appium.err(`Toggle lock error: ${error.message}`);
-    return { success: false, message: `Failed to toggle device lock: ${error.message}` };
+async function cleanup(appium, { status }) {
+  if (status === 'cancelled') {
+    appium.log('Run cancelled, locking device...');
+    await appium.ensureLocked();
   }
 }
 
@@ -423,56 +321,17 @@ async function toggleVPN(appium, shouldConnect) {
 async function queryGemini(appium, queryText, albumName = '', imageIndex = -1) {
   // Internal helper functions
   const findAndClickAlbum = async (albumName) => {
-    let previousAlbumNames = [];
-    let unchangedCount = 0;
-    const maxUnchangedAttempts = 3;
-
-    while (unchangedCount < maxUnchangedAttempts) {
-      const albumElements = await appium.$$(Selectors.byId('com.google.android.providers.media.module:id/album_name'));
-
-      if (albumElements.length === 0) {
-        appium.log('No albums found');
-        return false;
-      }
-
-      const currentAlbumNames = [];
-      for (const element of albumElements) {
-        const text = await element.getText();
-        currentAlbumNames.push(text);
-        appium.log(`  Found album: "${text}"`);
-
-        if (text === albumName) {
-          appium.log(`Found target album: "${albumName}"`);
-          await element.click();
-          return true;
-        }
-      }
-
-      const namesChanged = JSON.stringify(currentAlbumNames) !== JSON.stringify(previousAlbumNames);
-
-      if (!namesChanged && previousAlbumNames.length > 0) {
-        unchangedCount++;
-        appium.log(`Album list unchanged (${unchangedCount}/${maxUnchangedAttempts})`);
-      } else {
-        unchangedCount = 0;
-      }
-
-      if (unchangedCount >= maxUnchangedAttempts) {
-        appium.log('Reached bottom of album list, album not found');
-        return false;
-      }
-
-      previousAlbumNames = currentAlbumNames;
-
-      appium.log('Scrolling down to find more albums...');
-      const coords = await Helpers.getSwipeCoordinates(appium, SWIPE.UP, 0.5);
-      const swipeAction = Actions.swipe(coords.startX, coords.startY, coords.endX, coords.endY, 300);
-      await appium.performActions([swipeAction]);
-      await appium.releaseActions();
-      await appium.pause(1000);
+    const albumSelector = `android=new UiSelector().resourceId("com.google.android.providers.media.module:id/album_name").text("${albumName}")`;
+    try {
+      const album = await appium.scrollUntilVisible(albumSelector, { distance: 0.5, pause: 1000 });
+      appium.log(`Found target album: "${albumName}"`);
+      await album.click();
+      return true;
+    } catch (error) {
+      if (error.name !== 'ScrollError') throw error;
+      appium.log(`Album "${albumName}" not found: ${error.message}`);
+      return false;
     }
-
-    return false;
   };
 
   const selectImageByIndex = async (imageIndex) => {
@@ -692,117 +551,6 @@ async function queryGemini(appium, queryText, albumName = '', imageIndex = -1) {
   }
 }
 
-/**
- * Check and handle popups
- * @param {Object} appium - Appium wrapper object
- * @returns {Promise<Object>} Result object
- */
-async function handlePopups(appium) {
-  try {
-    appium.log('Checking for popups...');
-
-    // Wait 2 seconds before checking
-    await appium.pause(2000);
-
-    let popupHandled = false;
-
-    // Check for skip button (ad popup)
-    appium.log('Checking for skip button...');
-    try {
-      const skipSelector = Selectors.byClassAndText(CLASS.TEXTVIEW, '跳过');
-      const skipButton = await appium.$(skipSelector);
-      const skipExists = await skipButton.isExisting();
-
-      if (skipExists) {
-        appium.log('Skip button found, clicking...');
-        await skipButton.click();
-        await appium.pause(1000);
-        appium.log('Skip button clicked successfully');
-        popupHandled = true;
-      } else {
-        appium.log('No skip button found');
-      }
-    } catch (e) {
-      appium.log('No skip button found');
-    }
-
-    // Check for permission popup
-    appium.log('Checking for permission popup...');
-    try {
-      const permissionSelector = Selectors.byClassAndTextContains(CLASS.TEXTVIEW, '权限');
-      const permissionElement = await appium.$(permissionSelector);
-      const permissionExists = await permissionElement.isExisting();
-
-      if (permissionExists) {
-        appium.log('Permission popup detected, looking for "暂不开启" button...');
-        const notNowSelector = Selectors.byClassAndText(CLASS.TEXTVIEW, '暂不开启');
-        const notNowButton = await appium.$(notNowSelector);
-        const notNowExists = await notNowButton.isExisting();
-
-        if (notNowExists) {
-          appium.log('"暂不开启" button found, clicking...');
-          await notNowButton.click();
-          await appium.pause(1000);
-          appium.log('"暂不开启" button clicked successfully');
-          popupHandled = true;
-        } else {
-          appium.log('"暂不开启" button not found');
-        }
-      } else {
-        appium.log('No permission popup found');
-      }
-    } catch (e) {
-      appium.log('No permission popup found');
-    }
-
-    // Define popup keywords to check
-    const popupKeywords = ['好评', '评价', '新功能'];
-    let popupFound = false;
-
-    // Check if any popup appears
-    for (const keyword of popupKeywords) {
-      const popupSelector = Selectors.byClassAndTextContains(CLASS.TEXTVIEW, keyword);
-      const popupElement = await appium.$(popupSelector);
-      const popupExists = await popupElement.isExisting();
-
-      if (popupExists) {
-        appium.log(`Popup detected with keyword: "${keyword}"`);
-        popupFound = true;
-        break;
-      }
-    }
-
-    // If popup found, check for cancel button
-    if (popupFound) {
-      appium.log('Looking for cancel button...');
-      const cancelSelector = Selectors.byClassAndText(CLASS.TEXTVIEW, '取消');
-      const cancelButton = await appium.$(cancelSelector);
-      const cancelExists = await cancelButton.isExisting();
-
-      if (cancelExists) {
-        appium.log('Cancel button found, clicking...');
-        await cancelButton.click();
-        await appium.pause(1000);
-        appium.log('Cancel button clicked successfully');
-        popupHandled = true;
-      } else {
-        appium.log('Cancel button not found');
-      }
-    }
-
-    if (popupHandled) {
-      return { success: true, message: 'Popup dismissed', popupHandled: true };
-    } else {
-      appium.log('No popup detected');
-      return { success: true, message: 'No popup detected', popupHandled: false };
-    }
-
-  } catch (error) {
-    appium.err(`Handle popups error: ${error.message}`);
-    return { success: false, message: `Failed to handle popups: ${error.message}` };
-  }
-}
-
 /**
  * Publish content to Soul
  * @param {Object} appium - Appium wrapper object
@@ -826,8 +574,8 @@ async function publishToSoul(appium, content, albumName = '', imageIndex = -1) {
     }
     await appium.pause(2000);
 
-    // Check for popups after opening app
-    await handlePopups(appium);
+    // Dismiss popups shown on launch (see module.exports.interrupts)
+    await appium.checkInterrupts();
 
     // Click on the center publish button
     appium.log('Clicking on publish button...');
@@ -995,8 +743,8 @@ async function publishToMomo(appium, content, albumName = '', imageIndex = -1) {
     }
     await appium.pause(2000);
 
-    // Check for popups after opening app
-    await handlePopups(appium);
+    // Dismiss popups shown on launch (see module.exports.interrupts)
+    await appium.checkInterrupts();
 
     // TODO: Click on the publish button (modify resource ID)
     appium.log('Clicking on publish button...');
@@ -1163,8 +911,8 @@ async function publishToTantan(appium, content, albumName = '', imageIndex = -1)
     }
     await appium.pause(2000);
 
-    // Check for popups after opening app
-    await handlePopups(appium);
+    // Dismiss popups shown on launch (see module.exports.interrupts)
+    await appium.checkInterrupts();
 
     // TODO: Click on the publish button (modify resource ID)
     appium.log('Clicking on publish button...');
@@ -1403,8 +1151,20 @@ async function openAppBySearch(appium, appName) {
 
 module.exports = {
   name: 'Demo',
-  config: {
-    pin: '123456',
-  },
-  execute
+  // Popups the apps show on launch or later, dismissed whenever they get in the way
+  interrupts: [
+    { name: 'skip-ad', match: Selectors.byClassAndText(CLASS.TEXTVIEW, '跳过') },
+    {
+      name: 'permission',
+      match: Selectors.byClassAndTextContains(CLASS.TEXTVIEW, '权限'),
+      action: { tap: Selectors.byClassAndText(CLASS.TEXTVIEW, '暂不开启') },
+    },
+    {
+      name: 'rating',
+      match: `android=new UiSelector().className("${CLASS.TEXTVIEW}").textMatches(".*(好评|评价|新功能).*")`,
+      action: { tap: Selectors.byClassAndText(CLASS.TEXTVIEW, '取消') },
+    },
+  ],
+  execute,
+  cleanup
 };
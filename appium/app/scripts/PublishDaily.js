@@ -1,5 +1,3 @@
-const { KEYCODE, Actions, Helpers, SWIPE, CLASS, Selectors } = require('../src/shortcuts');
-
 /**
  * Daily Publish Script - Scheduled Task
  * Automatically publishes content to Soul, Momo, and Tantan
@@ -12,12 +10,8 @@ async function execute(appium) {
 
     // Step 1: Unlock device
     appium.log('\n[Step 1] Unlocking device...');
-    const unlockResult = await toggleDeviceLock(appium, false, '123456');
-    appium.log(`Unlock result: ${JSON.stringify(unlockResult)}`);
-
-    if (!unlockResult.success) {
-      return unlockResult;
-    }
+    // PIN / password / pattern from config.json "device"
+    await appium.ensureUnlocked();
 
     // Step 2: Turn on VPN
     appium.log('\n[Step 2] Turning on VPN...');
@@ -88,12 +82,7 @@ async function execute(appium) {
 
     // Step 8: Lock device
     appium.log('\n[Step 8] Locking device...');
-    const lockResult = await toggleDeviceLock(appium, true);
-    appium.log(`Lock result: ${JSON.stringify(lockResult)}`);
-
-    if (!lockResult.success) {
-      return lockResult;
-    }
+    await appium.ensureLocked();
 
     appium.log('\n=== Daily Publish Task Completed Successfully ===');
 
@@ -115,7 +104,7 @@ async function execute(appium) {
     // Try to lock device even if error occurred
     try {
       appium.log('Attempting to lock device after error...');
-      await toggleDeviceLock(appium, true);
+      await appium.ensureLocked();
     } catch (lockError) {
       appium.err(`Failed to lock device: ${lockError.message}`);
     }
@@ -129,99 +118,14 @@ async function execute(appium) {
 }
 
 /**
- * Toggle device lock state
+ * Cleanup hook, runs after execute() whatever the outcome
+ * execute() locks the device itself on success and on errors, but a cancelled
+ * run stops before it gets there
  */
-async function toggleDeviceLock(appium, shouldLock, pin = '') {
-  try {
-    appium.log(`${shouldLock ? 'Locking' : 'Unlocking'} device...`);
-
-    if (!shouldLock) {
-      // Unlock device
-      if (!pin) {
-        throw new Error('PIN is required for unlocking device');
-      }
-
-      // Call unlock interface
-      appium.log('Calling unlock interface...');
-      await appium.unlock();
-      await appium.pause(500);
-
-      // Swipe up to show lock screen
-      appium.log('Swiping up to show lock screen...');
-      const coords = await Helpers.getSwipeCoordinates(appium, SWIPE.UP, 0.6);
-      const swipeAction = Actions.swipe(coords.startX, coords.startY, coords.endX, coords.endY);
-      await appium.performActions([swipeAction]);
-      await appium.releaseActions();
-      await appium.pause(500);
-
-      // Wait for PIN entry screen
-      appium.log('Waiting for PIN entry screen...');
-      const pinEntryElement = await appium.$(Selectors.byId('com.android.systemui:id/pinEntry'));
-      const pinEntryExists = await pinEntryElement.waitForExist({ timeout: 5000 });
-
-      if (!pinEntryExists) {
-        appium.log('Warning: pinEntry element not found, but continuing to enter PIN...');
-      } else {
-        appium.log('PIN entry screen detected');
-      }
-
-      // Enter PIN using resource IDs
-      appium.log(`Entering PIN: ${pin}...`);
-      for (const digit of pin) {
-        appium.log(`  Tapping digit: ${digit}`);
-        const keyResourceId = `com.android.systemui:id/key${digit}`;
-        const digitElement = await appium.$(Selectors.byId(keyResourceId));
-
-        const exists = await digitElement.waitForExist({ timeout: 3000 });
-        if (!exists) {
-          throw new Error(`Could not find digit button with resource ID: ${keyResourceId}`);
-        }
-
-        await digitElement.click();
-        await appium.pause(50);
-      }
-
-      // Click Enter button
-      appium.log('PIN entered, clicking Enter button...');
-      const enterElement = await appium.$(Selectors.byId('com.android.systemui:id/key_enter'));
-
-      const enterExists = await enterElement.waitForExist({ timeout: 3000 });
-      if (!enterExists) {
-        throw new Error('Could not find Enter button with resource ID: com.android.systemui:id/key_enter');
-      }
-
-      await enterElement.click();
-      await appium.pause(2000);
-
-      // Verify unlock was successful
-      const stillLocked = await appium.isLocked();
-      appium.log(`Device locked status after unlock attempt: ${stillLocked}`);
-
-      return {
-        success: !stillLocked,
-        message: stillLocked ? 'Failed to unlock device' : 'Device unlocked successfully'
-      };
-
-    } else {
-      // Lock device
-      await appium.lock();
-      await appium.pause(1000);
-
-      const isLocked = await appium.isLocked();
-      appium.log(`Device locked status: ${isLocked}`);
-
-      return {
-        success: isLocked,
-        message: isLocked ? 'Device locked successfully' : 'Failed to lock device'
-      };
-    }
-
-  } catch (error) {
-    appium.err(`Toggle device lock error: ${error.message}`);
-    return {
-      success: false,
-      message: `Failed to ${shouldLock ? 'lock' : 'unlock'} device: ${error.message}`
-    };
+async function cleanup(appium, { status }) {
+  if (status === 'cancelled') {
+    appium.log('Run cancelled, locking device...');
+    await appium.ensureLocked();
   }
 }
 
@@ -350,13 +254,12 @@ async function publishToTantan(appium, content) {
 module.exports = {
   name: 'Daily Publish',
   description: 'Automatically publish daily content to Soul, Momo, and Tantan',
-  config: {
-    pin: '123456',
-  },
   schedule: {
     enabled: true,  // Set to true to enable scheduled execution
     interval: 24 * 60 * 60 * 1000,  // Run every 24 hours (in milliseconds)
-    nextRun: '2025-10-23T10:00:00.000Z'  // Next scheduled run time (ISO 8601 format)
+    nextRun: '2025-10-23T10:00:00.000Z',  // Next scheduled run time (ISO 8601 format)
+    retry: { maxAttempts: 3 }  // Retry when the device is busy or the session fails to start
   },
-  execute
+  execute,
+  cleanup
 };
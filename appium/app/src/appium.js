@@ -1,155 +1,329 @@
-const { remote } = require('webdriverio');
-const { getConfig } = require('./config');
-
-let driver = null;
-let wdOpts = null;
-let logs = []; // Global logs array
+const {
+  resolveDeviceId,
+  getDriver,
+  isSessionLost,
+  isSessionCrashError,
+  recoverSession,
+  onSessionEvent,
+} = require('./connection');
+const { appendLog } = require('./logs');
+const { getDeviceProfile } = require('./config');
+const { getSecret, redact } = require('./secrets');
+const { unlockDevice, lockDevice } = require('./lockscreen');
+const { Actions, SWIPE } = require('./shortcuts');
+const { DEFAULT_CHECKPOINTS, InterruptError, normalizeInterrupt, normalizeInterrupts, describeAction } = require('./interrupts');
+
+// Wrapper methods that don't talk to the device and must stay synchronous
+const LOCAL_METHODS = new Set([
+  'log', 'err', 'secret', 'onSessionEvent',
+  'addInterrupt', 'removeInterrupt', 'getInterrupts', 'setInterruptCheckpoints',
+]);
+
+// Wrapper methods that call script callbacks and apply recovery themselves: a
+// recovered session resumes them, the callbacks never run twice for the same thing
+const RESUMABLE_METHODS = new Set(['forEachListItem']);
+
+// Defaults of the wait helpers (waitFor, tapWhenReady, ...)
+const DEFAULT_WAIT_TIMEOUT = 10000;
+const DEFAULT_WAIT_INTERVAL = 500;
 
 /**
- * Initialize WebDriver options from config
+ * Error thrown by a wait helper whose condition didn't come true in time
+ * details says what was awaited: { selector, condition, timeout, waited (ms), lastState }
  */
-function initializeOptions() {
-  if (wdOpts) return wdOpts;
-
-  const config = getConfig();
-  const capabilities = {};
-
-  // Prepare capabilities with appium: prefix
-  for (const [key, value] of Object.entries(config.capabilities || {})) {
-    capabilities[key === 'platformName' ? key : `appium:${key}`] = value;
+class WaitTimeoutError extends Error {
+  constructor({ selector, condition, timeout, waited, lastState = null }) {
+    super(`Timed out after ${(waited / 1000).toFixed(1)}s waiting for ${selector} to ${condition}${lastState ? ` (${lastState})` : ''}`);
+    this.name = 'WaitTimeoutError';
+    this.details = { selector, condition, timeout, waited, lastState };
   }
+}
 
-  wdOpts = {
-    ...config.webdriverio,
-    path: config.webdriverio?.path || '/',
-    connectionRetryTimeout: config.webdriverio?.connectionRetryTimeout || 120000,
-    connectionRetryCount: config.webdriverio?.connectionRetryCount || 3,
-    capabilities,
-  };
+// Defaults of the scroll helpers (scrollUntilVisible, forEachListItem)
+const DEFAULT_SCROLL_DISTANCE = 0.6; // Share of the container's height (or width) one swipe covers
+const DEFAULT_SCROLL_PAUSE = 500; // Let the list settle after a swipe (ms)
 
-  return wdOpts;
+// Finger direction that scrolls the content in a direction
+const SCROLL_SWIPES = { down: SWIPE.UP, up: SWIPE.DOWN, right: SWIPE.LEFT, left: SWIPE.RIGHT };
+
+/**
+ * Error thrown by scrollUntilVisible when the element never showed up
+ * details: { selector, direction, swipes, reachedEnd (the list stopped moving) }
+ */
+class ScrollError extends Error {
+  constructor({ selector, direction, swipes, reachedEnd }) {
+    super(`${selector} not found after ${swipes} swipe(s) scrolling ${direction}${reachedEnd ? ', reached the end of the list' : ''}`);
+    this.name = 'ScrollError';
+    this.details = { selector, direction, swipes, reachedEnd };
+  }
 }
 
 /**
- * Start a new Appium session
+ * UiSelector string literal, quotes and backslashes escaped
  */
-async function startAppiumSession() {
-  if (driver) {
-    console.log('Session already active, checking health...');
+const uiSelectorString = (text) => `"${String(text).replace(/[\\"]/g, '\\$&')}"`;
+
+/**
+ * Create Appium wrapper object for scripts
+ * This wrapper provides ALL basic Appium methods
+ * Scripts should NOT access driver directly
+ *
+ * Device calls recover transparently: if the session is lost, or a call fails
+ * with a session crash, the session is recreated (config.json "recovery") and
+ * the call is retried once
+ *
+ * Once options.signal is aborted (run cancelled), every device call throws the
+ * signal's reason instead of reaching the device, and a running pause() ends early
+ *
+ * Interrupt rules (see interrupts.js) are checked when a lookup finds nothing,
+ * after checkpoint methods and on checkInterrupts(); each firing is logged to the run
+ * @param {string} [deviceId] - Device the wrapper is bound to, defaults to the default device
+ * @param {Object} [options]
+ * @param {string} [options.runId] - Run the wrapper belongs to, tags every log record
+ * @param {string} [options.scriptId] - Script the wrapper belongs to, tags every log record
+ * @param {AbortSignal} [options.signal] - Abort signal of the run (see runs.js cancelRun)
+ * @param {Array<Object>} [options.interrupts] - Interrupt rules to start with (the script's module.exports.interrupts)
+ * @returns {Object} Wrapper object with all available methods
+ * @throws {InterruptError} If options.interrupts is invalid
+ */
+function createAppiumWrapper(deviceId, options = {}) {
+  const id = resolveDeviceId(deviceId);
+  const logContext = { runId: options.runId, scriptId: options.scriptId, deviceId: id };
+  const { signal } = options;
+  let driver = null;
+
+  // Interrupt rules with how often each fired, and the methods after which they are checked
+  const interrupts = normalizeInterrupts(options.interrupts).map(rule => ({ ...rule, fires: 0 }));
+  let checkpoints = new Set(DEFAULT_CHECKPOINTS);
+  let checkingInterrupts = false;
+  // The session's implicit wait, read once per driver; setTimeout() keeps it current
+  let implicitWait = { driver: null, value: 0 };
+
+  // Sessions are owned by the connection manager, look the driver up on every call
+  const checkDriver = () => {
+    driver = getDriver(id);
+    if (!driver) throw new Error(`No active Appium session on device '${id}'. Please start a session first.`);
+  };
+
+  // Stop a cancelled run before it touches the device again
+  const throwIfCancelled = () => {
+    if (signal?.aborted) throw signal.reason;
+  };
+
+  // Recover a lost/crashed session around a device call, retrying the call once
+  const withRecovery = (method) => async (...args) => {
+    throwIfCancelled();
+
+    if (!getDriver(id) && isSessionLost(id)) {
+      await recoverSession(id);
+    }
 
-    // Check if existing session is healthy
     try {
-      await driver.getWindowSize(); // Quick health check
-      console.log('Existing session is healthy');
-      return driver;
+      return await method(...args);
     } catch (error) {
-      console.log('Existing session is unhealthy, recreating...');
-      driver = null;
+      // No session at all (never started or stopped on purpose) is not a crash
+      if (!getDriver(id) || !isSessionCrashError(error)) throw error;
+
+      await recoverSession(id, error);
+      throwIfCancelled();
+      return await method(...args);
     }
-  }
+  };
 
-  const opts = initializeOptions();
-  const config = getConfig();
-  const maxRetries = 3;
-  let lastError = null;
+  // Sleep that ends early with the cancellation error once the run is cancelled
+  const delay = (ms) => new Promise((resolve, reject) => {
+    if (!signal) return setTimeout(resolve, ms);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  // Log a record of the run, also to the console
+  const logRecord = (level, message) => {
+    appendLog({ ...logContext, level, message });
+    (level === 'error' ? console.error : console.log)(redact(message));
+  };
 
-  console.log('Connecting to Appium server...');
-  console.log(`Target: ${opts.hostname}:${opts.port}`);
+  /**
+   * Fire every interrupt rule whose popup is displayed right now
+   * Lookups skip the implicit wait, a missing popup must not cost seconds
+   * @returns {Promise<Array<string>>} Names of the rules that fired
+   */
+  const runInterrupts = async () => {
+    const pending = interrupts.filter(rule => rule.fires < rule.maxFires);
+    // A custom action may look up elements itself, don't recurse
+    if (pending.length === 0 || checkingInterrupts) return [];
+
+    checkingInterrupts = true;
+    const fired = [];
+    // A custom action may swap the wrapper's driver (recovery), restore this one
+    const session = driver;
+    let implicit = 0;
 
-  // Retry connection up to 3 times
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      console.log(`Connection attempt ${attempt}/${maxRetries}...`);
-
-      driver = await remote(opts);
+      if (implicitWait.driver !== session) {
+        implicitWait = { driver: session, value: (await session.getTimeouts()).implicit || 0 };
+      }
+      implicit = implicitWait.value;
+      if (implicit) await session.setTimeout({ implicit: 0 });
+
+      for (const rule of pending) {
+        const element = await driver.$(rule.match);
+        if (!element.elementId || !(await element.isDisplayed())) continue;
+
+        rule.fires++;
+        fired.push(rule.name);
+        const label = `Interrupt '${rule.name}' (${rule.fires}/${rule.maxFires})`;
+        try {
+          const { action } = rule;
+          if (action.type === 'tap') await element.click();
+          else if (action.type === 'back') await driver.back();
+          else if (action.type === 'custom') await action.run(wrapper, element);
+          else {
+            const target = await driver.$(action.selector);
+            if (!target.elementId) throw new Error(`${action.selector} not found`);
+            await target.click();
+          }
+          logRecord('info', `${label}: ${rule.match} shown, ${describeAction(action)}`);
+        } catch (error) {
+          if (isSessionCrashError(error)) throw error;
+          logRecord('error', `ERROR: ${label}: ${rule.match} shown, ${describeAction(rule.action)} failed: ${error.message}`);
+        }
+        await delay(rule.pause);
+      }
+    } finally {
+      checkingInterrupts = false;
+      if (implicit) {
+        // Never hide the error that got us here
+        try {
+          await session.setTimeout({ implicit });
+        } catch (error) {
+          implicitWait = { driver: null, value: 0 }; // Unknown now, read it again next time
+          logRecord('error', `ERROR: Could not restore the implicit wait (${implicit}ms) after checking interrupts: ${error.message}`);
+        }
+      }
+    }
+    return fired;
+  };
 
-      if (config.timeouts?.implicit) {
-        await driver.setTimeout({ implicit: config.timeouts.implicit });
+  /**
+   * Poll a check until it is done, or throw a WaitTimeoutError
+   * check() resolves { done: true, value } or { done: false, state } (state says why not yet).
+   * Errors of a check count as "not yet", except session crashes (recovered by withRecovery)
+   */
+  const waitUntil = async (check, { timeout = DEFAULT_WAIT_TIMEOUT, interval = DEFAULT_WAIT_INTERVAL } = {}, describe) => {
+    const started = Date.now();
+    let lastState = null;
+
+    for (;;) {
+      throwIfCancelled();
+      checkDriver();
+      try {
+        const result = await check();
+        if (result.done) return result.value;
+        lastState = result.state || null;
+      } catch (error) {
+        if (isSessionCrashError(error)) throw error;
+        lastState = error.message;
       }
+      // A popup may be in the way
+      await runInterrupts();
 
-      console.log('Appium session started successfully');
-      return driver;
-    } catch (error) {
-      lastError = error;
-      driver = null;
-      console.error(`Attempt ${attempt}/${maxRetries} failed:`, error.message);
-
-      // If not the last attempt, wait before retrying
-      if (attempt < maxRetries) {
-        const waitTime = 2000; // 2 seconds between retries
-        console.log(`Waiting ${waitTime/1000} seconds before retry...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+      const waited = Date.now() - started;
+      if (waited >= timeout) {
+        throw new WaitTimeoutError({ ...describe, timeout, waited, lastState });
       }
+      await delay(Math.min(interval, timeout - waited));
     }
-  }
-
-  // All retries failed
-  console.error(`Failed to start Appium session after ${maxRetries} attempts`);
-  throw lastError;
-}
+  };
 
-/**
- * Stop the current Appium session
- */
-async function stopAppiumSession() {
-  if (!driver) {
-    console.log('No active session to stop');
-    return;
-  }
+  /**
+   * Wait for an element matching a selector and conditions, see waitFor
+   */
+  const waitForElement = (selector, options = {}) => {
+    const { visible = false, enabled = false, textContains } = options;
+    const condition = [
+      'exist',
+      visible && 'be visible',
+      enabled && 'be enabled',
+      textContains !== undefined && `contain ${JSON.stringify(textContains)}`,
+    ].filter(Boolean).join(', ');
+
+    return waitUntil(async () => {
+      const element = await driver.$(selector);
+      if (!(await element.isExisting())) return { done: false, state: 'not found' };
+      if (visible && !(await element.isDisplayed())) return { done: false, state: 'found but not visible' };
+      if (enabled && !(await element.isEnabled())) return { done: false, state: 'found but disabled' };
+      if (textContains !== undefined) {
+        const text = await element.getText();
+        if (!text.includes(textContains)) return { done: false, state: `text is ${JSON.stringify(text)}` };
+      }
+      return { done: true, value: element };
+    }, options, { selector, condition });
+  };
 
-  console.log('Stopping Appium session...');
-
-  try {
-    // Try to delete the session gracefully
-    await driver.deleteSession();
-    console.log('Appium session stopped successfully');
-  } catch (error) {
-    // Session might already be closed or invalid
-    console.log('Session already closed or invalid:', error.message);
-  } finally {
-    // Always set driver to null to clean up local state
-    driver = null;
-    console.log('Driver reference cleared');
-  }
-}
+  /**
+   * Swipe once inside a container (or the whole screen) so the content scrolls in a direction
+   * @returns {Promise<boolean>} false if the page source didn't change, i.e. the end is reached
+   */
+  const scrollOnce = async (direction, { container, distance = DEFAULT_SCROLL_DISTANCE, pause = DEFAULT_SCROLL_PAUSE } = {}) => {
+    if (!SCROLL_SWIPES[direction]) {
+      throw new Error(`Invalid scroll direction: ${direction}, use ${Object.keys(SCROLL_SWIPES).join(', ')}`);
+    }
 
-/**
- * Get the current driver instance
- * @returns {object|null}
- */
-function getDriver() {
-  return driver;
-}
+    let rect;
+    if (container) {
+      const element = await driver.$(container);
+      if (!(await element.isExisting())) throw new Error(`Scroll container ${container} not found`);
+      rect = await driver.getElementRect(element.elementId);
+    } else {
+      const { width, height } = await driver.getWindowSize();
+      rect = { x: 0, y: 0, width, height };
+    }
 
-/**
- * Check if session is healthy
- * @returns {Promise<boolean>}
- */
-async function isSessionHealthy() {
-  if (!driver) return false;
-
-  try {
-    await driver.getWindowSize();
-    return true;
-  } catch (error) {
-    console.error('Session health check failed:', error.message);
-    driver = null;
-    return false;
-  }
-}
+    const centerX = Math.floor(rect.x + rect.width / 2);
+    const centerY = Math.floor(rect.y + rect.height / 2);
+    const dx = Math.floor(rect.width * distance / 2);
+    const dy = Math.floor(rect.height * distance / 2);
+    const [startX, startY, endX, endY] = {
+      [SWIPE.UP]: [centerX, centerY + dy, centerX, centerY - dy],
+      [SWIPE.DOWN]: [centerX, centerY - dy, centerX, centerY + dy],
+      [SWIPE.LEFT]: [centerX + dx, centerY, centerX - dx, centerY],
+      [SWIPE.RIGHT]: [centerX - dx, centerY, centerX + dx, centerY],
+    }[SCROLL_SWIPES[direction]];
+
+    const before = await driver.getPageSource();
+    await driver.performActions([Actions.swipe(startX, startY, endX, endY, 300)]);
+    await driver.releaseActions();
+    await delay(pause);
+    return (await driver.getPageSource()) !== before;
+  };
 
-/**
- * Create Appium wrapper object for scripts
- * This wrapper provides ALL basic Appium methods
- * Scripts should NOT access driver directly
- * @returns {Object} Wrapper object with all available methods
- */
-function createAppiumWrapper() {
-  const checkDriver = () => {
-    if (!driver) throw new Error('No active Appium session. Please start a session first.');
+  // Default key of a list item: its text, or the texts inside it
+  const listItemKey = async (item) => {
+    const text = await item.getText();
+    if (text) return text;
+    const parts = [];
+    for (const child of await item.$$('.//*[@text!="" or @content-desc!=""]')) {
+      parts.push((await child.getText()) || (await child.getAttribute('content-desc')));
+    }
+    return parts.join('|');
   };
 
-  return {
+  const wrapper = {
+    /**
+     * Id of the device this wrapper is bound to
+     * @type {string}
+     */
+    deviceId: id,
+
     // ============================================================================
     // Touch Actions (W3C Actions API)
     // ============================================================================
@@ -221,6 +395,9 @@ function createAppiumWrapper() {
      */
     $: async (selector) => {
       checkDriver();
+      const element = await driver.$(selector);
+      // Not found: look again if an interrupt rule dismissed a popup
+      if (element.elementId || (await runInterrupts()).length === 0) return element;
       return await driver.$(selector);
     },
 
@@ -360,7 +537,7 @@ function createAppiumWrapper() {
 
     /**
      * Unlock device (basic unlock without PIN/password)
-     * Note: For PIN/password unlock, use execute() with custom logic
+     * Note: For PIN/password/pattern unlock, use ensureUnlocked()
      * @returns {Promise<void>}
      * @example
      * await appium.unlock() // Only works if no PIN/password is set
@@ -370,6 +547,33 @@ function createAppiumWrapper() {
       return await driver.unlock();
     },
 
+    /**
+     * Unlock the device with the method of its profile (config.json "device":
+     * unlockType 'pin', 'password', 'pattern' or 'none', unlockKey, lockTimeout)
+     * Does nothing if it is already unlocked
+     * @returns {Promise<boolean>} false if it was already unlocked
+     * @throws {DeviceLockError} If the profile is invalid or isLocked() still says locked after lockTimeout
+     * @example
+     * await appium.ensureUnlocked()
+     */
+    ensureUnlocked: async () => {
+      checkDriver();
+      return await unlockDevice(driver, getDeviceProfile(id).device, { sleep: delay, log: wrapper.log });
+    },
+
+    /**
+     * Lock the device and check it with isLocked()
+     * Does nothing if it is already locked
+     * @returns {Promise<boolean>} false if it was already locked
+     * @throws {DeviceLockError} If it still isn't locked after the profile's lockTimeout
+     * @example
+     * await appium.ensureLocked()
+     */
+    ensureLocked: async () => {
+      checkDriver();
+      return await lockDevice(driver, getDeviceProfile(id).device, { sleep: delay, log: wrapper.log });
+    },
+
     /**
      * Hide the on-screen keyboard
      * @returns {Promise<void|null>} null if keyboard not shown
@@ -563,6 +767,7 @@ function createAppiumWrapper() {
 
     /**
      * Pause script execution
+     * Ends early with the cancellation error if the run is cancelled meanwhile
      * @param {number} ms - Milliseconds to pause
      * @returns {Promise<void>}
      * @example
@@ -571,7 +776,101 @@ function createAppiumWrapper() {
      */
     pause: async (ms) => {
       checkDriver();
-      return await driver.pause(ms);
+      if (!signal) return await driver.pause(ms);
+      await delay(ms);
+    },
+
+    /**
+     * Wait until an element exists (and optionally is visible, enabled, has a text)
+     * Polls every `interval` ms. Each poll can take up to the implicit wait
+     * (config.json timeouts.implicit) while the element is missing
+     * @param {string} selector - Element selector, see $()
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] - Max wait (ms)
+     * @param {number} [options.interval=500] - Time between checks (ms)
+     * @param {boolean} [options.visible=false] - Also wait until it is displayed
+     * @param {boolean} [options.enabled=false] - Also wait until it is enabled
+     * @param {string} [options.textContains] - Also wait until its text contains this
+     * @returns {Promise<Element>} The element
+     * @throws {WaitTimeoutError} error.details names the selector, the condition and how long it waited
+     * @example
+     * const input = await appium.waitFor(Selectors.byId('com.example:id/search'), { visible: true })
+     * await appium.waitFor('~status', { textContains: 'Done', timeout: 30000 })
+     */
+    waitFor: async (selector, options) => waitForElement(selector, options),
+
+    /**
+     * Wait until an element is visible and enabled, then tap it
+     * @param {string} selector - Element selector, see $()
+     * @param {Object} [options] - As waitFor, visible and enabled default to true
+     * @returns {Promise<Element>} The tapped element
+     * @throws {WaitTimeoutError} If it doesn't get ready in time
+     * @example
+     * await appium.tapWhenReady(Selectors.byClassAndText(CLASS.TEXTVIEW, '发布'))
+     */
+    tapWhenReady: async (selector, options = {}) => {
+      const element = await waitForElement(selector, { visible: true, enabled: true, ...options });
+      await element.click();
+      return element;
+    },
+
+    /**
+     * Wait until no element matching a selector is displayed (e.g. a loading spinner)
+     * @param {string} selector - Element selector, see $()
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] - Max wait (ms)
+     * @param {number} [options.interval=500] - Time between checks (ms)
+     * @returns {Promise<void>}
+     * @throws {WaitTimeoutError} If it is still there
+     * @example
+     * await appium.waitForGone('android.widget.ProgressBar', { timeout: 30000 })
+     */
+    waitForGone: async (selector, options) => waitUntil(async () => {
+      const element = await driver.$(selector);
+      const shown = (await element.isExisting()) && (await element.isDisplayed());
+      return shown ? { done: false, state: 'still displayed' } : { done: true };
+    }, options, { selector, condition: 'disappear' }),
+
+    /**
+     * Wait until an app (and optionally one of its activities) is in the foreground
+     * @param {string} appPackage - App package name
+     * @param {string} [activity] - Activity name, full or relative to the package ('.MainActivity')
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] - Max wait (ms)
+     * @param {number} [options.interval=500] - Time between checks (ms)
+     * @returns {Promise<{package: string, activity: string}>} What is in the foreground
+     * @throws {WaitTimeoutError} If something else stays in the foreground, lastState names it
+     * @example
+     * await appium.activateApp('com.android.settings')
+     * await appium.waitForActivity('com.android.settings', '.Settings')
+     */
+    waitForActivity: async (appPackage, activity, options) => {
+      const expected = activity && activity.startsWith('.') ? `${appPackage}${activity}` : activity;
+      return waitUntil(async () => {
+        const currentPackage = await driver.getCurrentPackage();
+        const currentActivity = await driver.getCurrentActivity();
+        // Android reports activities of the package relative to it
+        const fullActivity = currentActivity.startsWith('.') ? `${currentPackage}${currentActivity}` : currentActivity;
+        const done = currentPackage === appPackage && (!expected || fullActivity === expected);
+        return done
+          ? { done, value: { package: currentPackage, activity: currentActivity } }
+          : { done, state: `foreground is ${currentPackage}/${currentActivity}` };
+      }, options, { selector: activity ? `${appPackage}/${activity}` : appPackage, condition: 'be in the foreground' });
+    },
+
+    /**
+     * Wait until a text is shown anywhere on screen
+     * @param {string} text - Text to look for
+     * @param {Object} [options] - As waitFor, plus:
+     * @param {boolean} [options.exact=false] - Match the whole text instead of a part
+     * @returns {Promise<Element>} The element showing the text
+     * @throws {WaitTimeoutError} If the text doesn't show up in time
+     * @example
+     * await appium.waitForText('发布成功', { timeout: 15000 })
+     */
+    waitForText: async (text, options = {}) => {
+      const method = options.exact ? 'text' : 'textContains';
+      return waitForElement(`android=new UiSelector().${method}(${uiSelectorString(text)})`, { visible: true, ...options });
     },
 
     /**
@@ -587,7 +886,210 @@ function createAppiumWrapper() {
      */
     setTimeout: async (timeouts) => {
       checkDriver();
-      return await driver.setTimeout(timeouts);
+      const result = await driver.setTimeout(timeouts);
+      if (timeouts && timeouts.implicit !== undefined) implicitWait = { driver, value: timeouts.implicit };
+      return result;
+    },
+
+    // ============================================================================
+    // Scrolling
+    // ============================================================================
+
+    /**
+     * Scroll until an element is displayed
+     * Stops early when a swipe no longer changes the page source (end of the list)
+     * @param {string} selector - Element selector, see $()
+     * @param {Object} [options]
+     * @param {string} [options.direction='down'] - Where the content scrolls: 'down' (finger swipes up), 'up', 'left', 'right'
+     * @param {number} [options.maxSwipes=10] - Give up after this many swipes
+     * @param {string} [options.container] - Selector of the scrollable view to swipe in, defaults to the whole screen
+     * @param {number} [options.distance=0.6] - Share of the container one swipe covers (0-1)
+     * @param {number} [options.pause=500] - Wait after each swipe (ms)
+     * @returns {Promise<Element>} The displayed element
+     * @throws {ScrollError} If it wasn't found, error.details says how far it scrolled
+     * @example
+     * const about = await appium.scrollUntilVisible(Selectors.byText('关于本机'), {
+     *   container: Selectors.byClass(CLASS.RECYCLERVIEW)
+     * })
+     * await about.click()
+     */
+    scrollUntilVisible: async (selector, options = {}) => {
+      const { direction = 'down', maxSwipes = 10 } = options;
+      checkDriver();
+
+      const isShown = async () => {
+        const element = await driver.$(selector);
+        return (await element.isExisting()) && (await element.isDisplayed()) ? element : null;
+      };
+
+      for (let swipes = 0; ; swipes++) {
+        let element = await isShown();
+        // Look again before swiping if an interrupt rule dismissed a popup
+        if (!element && (await runInterrupts()).length > 0) element = await isShown();
+        if (element) return element;
+        if (swipes >= maxSwipes) {
+          throw new ScrollError({ selector, direction, swipes, reachedEnd: false });
+        }
+
+        throwIfCancelled();
+        if (!(await scrollOnce(direction, options))) {
+          // One last look, the swipe may have revealed it at the very end
+          const last = await isShown();
+          if (last) return last;
+          throw new ScrollError({ selector, direction, swipes: swipes + 1, reachedEnd: true });
+        }
+      }
+    },
+
+    /**
+     * Call a function for every item of a scrollable list (RecyclerView, ListView, ...)
+     * Scrolls page by page until the page source stops changing (end of the list).
+     * Items seen on an earlier page are skipped, told apart by options.key.
+     * fn should leave the list as it found it (e.g. go back after opening an item).
+     * After a session crash the walk resumes, fn is called once per item at most
+     * @param {string} containerSelector - Selector of the list
+     * @param {string} itemSelector - Selector of an item, searched inside the list
+     * @param {Function} fn - async (item, { index, key }) => ..., return false to stop
+     * @param {Object} [options]
+     * @param {string} [options.direction='down'] - Where the list scrolls, see scrollUntilVisible
+     * @param {number} [options.maxSwipes=50] - Stop after this many swipes
+     * @param {Function} [options.key] - async (item) => string identifying an item,
+     *   defaults to its text or the texts inside it
+     * @param {number} [options.distance=0.6] - Share of the list one swipe covers (0-1)
+     * @param {number} [options.pause=500] - Wait after each swipe (ms)
+     * @returns {Promise<{count: number, swipes: number, reachedEnd: boolean, stopped: boolean}>}
+     *   count of items fn was called for; stopped if fn returned false
+     * @example
+     * const names = []
+     * await appium.forEachListItem(
+     *   Selectors.byId('com.example:id/list'),
+     *   Selectors.byId('com.example:id/row'),
+     *   async (item, { key }) => { names.push(key) }
+     * )
+     */
+    forEachListItem: async (containerSelector, itemSelector, fn, options = {}) => {
+      const { direction = 'down', maxSwipes = 50, key = listItemKey } = options;
+      // Kept across a recovery, so the walk retried on the new session skips them
+      const handled = new Set(); // Keys fn was called for
+      let count = 0;
+      let swipes = 0;
+
+      const walk = async () => {
+        checkDriver();
+        for (; ; swipes++) {
+          const container = await driver.$(containerSelector);
+          if (!(await container.isExisting())) throw new Error(`List ${containerSelector} not found`);
+
+          // Key the whole page first, fn may change the screen
+          const page = [];
+          const pageKeys = new Set();
+          for (const item of await container.$$(itemSelector)) {
+            const itemKey = await key(item);
+            if (handled.has(itemKey) || pageKeys.has(itemKey)) continue;
+            pageKeys.add(itemKey);
+            page.push({ item, key: itemKey });
+          }
+
+          for (const entry of page) {
+            throwIfCancelled();
+            // Counted before fn runs: an item whose fn hit a crash isn't handed to it again
+            handled.add(entry.key);
+            const goOn = await fn(entry.item, { index: count++, key: entry.key });
+            if (goOn === false) return { count, swipes, reachedEnd: false, stopped: true };
+          }
+
+          if (swipes >= maxSwipes) return { count, swipes, reachedEnd: false, stopped: false };
+          throwIfCancelled();
+          checkDriver();
+          if (!(await scrollOnce(direction, { ...options, container: containerSelector }))) {
+            return { count, swipes: swipes + 1, reachedEnd: true, stopped: false };
+          }
+        }
+      };
+      return withRecovery(walk)();
+    },
+
+    // ============================================================================
+    // Interrupts
+    // ============================================================================
+
+    /**
+     * Register an interrupt rule for a popup that may show up at any time
+     * It fires when a lookup finds nothing, after checkpoint methods and on checkInterrupts()
+     * @param {Object} rule
+     * @param {string} rule.name - Unique name, used in the run's log
+     * @param {string} rule.match - Selector of an element only the popup shows
+     * @param {string|Object|Function} [rule.action='tap'] - 'tap' (the matched element), 'back',
+     *   { tap: selector } or async (appium, element) => void
+     * @param {number} [rule.maxFires=3] - Leave the rule alone after this many firings
+     * @param {number} [rule.pause=500] - Wait after firing (ms)
+     * @returns {void}
+     * @throws {InterruptError} If the rule is invalid or its name is taken
+     * @example
+     * appium.addInterrupt({
+     *   name: 'permission',
+     *   match: Selectors.byClassAndTextContains(CLASS.TEXTVIEW, '权限'),
+     *   action: { tap: Selectors.byClassAndText(CLASS.TEXTVIEW, '暂不开启') }
+     * })
+     */
+    addInterrupt: (rule) => {
+      const normalized = normalizeInterrupt(rule, interrupts.length);
+      if (interrupts.some(existing => existing.name === normalized.name)) {
+        throw new InterruptError(`An interrupt rule named '${normalized.name}' already exists`);
+      }
+      interrupts.push({ ...normalized, fires: 0 });
+    },
+
+    /**
+     * Remove an interrupt rule
+     * @param {string} name - Rule name
+     * @returns {boolean} Whether there was such a rule
+     * @example
+     * appium.removeInterrupt('permission')
+     */
+    removeInterrupt: (name) => {
+      const index = interrupts.findIndex(rule => rule.name === name);
+      if (index >= 0) interrupts.splice(index, 1);
+      return index >= 0;
+    },
+
+    /**
+     * List the interrupt rules and how often each fired
+     * @returns {Array<{name: string, match: string, action: string, fires: number, maxFires: number}>}
+     * @example
+     * for (const rule of appium.getInterrupts()) appium.log(`${rule.name}: ${rule.fires}`)
+     */
+    getInterrupts: () => interrupts.map(({ name, match, action, fires, maxFires }) => ({
+      name, match, action: describeAction(action), fires, maxFires,
+    })),
+
+    /**
+     * Set the wrapper methods after which the interrupt rules are checked
+     * @param {Array<string>|string} methods - Method names (or one), default ['activateApp', 'startActivity']
+     * @returns {void}
+     * @throws {InterruptError} If a name isn't a device method of the wrapper
+     * @example
+     * appium.setInterruptCheckpoints(['activateApp', 'startActivity', 'back'])
+     */
+    setInterruptCheckpoints: (methods) => {
+      const names = [].concat(methods);
+      const unknown = names.find(name => typeof wrapper[name] !== 'function' || LOCAL_METHODS.has(name));
+      if (unknown !== undefined) {
+        throw new InterruptError(`Unknown checkpoint ${JSON.stringify(unknown)}, use names of appium methods`);
+      }
+      checkpoints = new Set(names);
+    },
+
+    /**
+     * Check the interrupt rules now, e.g. after opening an app by tapping its icon
+     * @returns {Promise<Array<string>>} Names of the rules that fired
+     * @example
+     * await appium.pause(2000)
+     * const fired = await appium.checkInterrupts()
+     */
+    checkInterrupts: async () => {
+      checkDriver();
+      return await runInterrupts();
     },
 
     // ============================================================================
@@ -750,7 +1252,7 @@ function createAppiumWrapper() {
     // ============================================================================
 
     /**
-     * Log a message and store it in the global logs array
+     * Log a message as a structured record of the current run
      * @param {string} message - The log message
      * @returns {void}
      * @example
@@ -758,7 +1260,8 @@ function createAppiumWrapper() {
      * appium.log('Button clicked successfully')
      */
     log: (message) => {
-      const logMessage = String(message);
+      // Mask secrets before truncating, a cut could leave part of one
+      const logMessage = redact(String(message));
       let processedMessage = logMessage;
 
       // If message length exceeds 500, truncate and add ellipsis with original length
@@ -766,20 +1269,15 @@ function createAppiumWrapper() {
         processedMessage = logMessage.substring(0, 500) + `... (original length: ${logMessage.length})`;
       }
 
-      // Store in logs array
-      logs.push(processedMessage);
-
-      // If array exceeds 1000 entries, clear it
-      if (logs.length > 1000) {
-        logs = [];
-      }
+      // Store as a structured record (see logs.js)
+      appendLog({ ...logContext, level: 'info', message: processedMessage });
 
       // Also log to console
       console.log(processedMessage);
     },
 
     /**
-     * Log an error message and store it in the global logs array
+     * Log an error message as a structured record of the current run
      * @param {string} message - The error message
      * @returns {void}
      * @example
@@ -787,7 +1285,7 @@ function createAppiumWrapper() {
      * appium.err('Script execution failed: ' + error.message)
      */
     err: (message) => {
-      const errorMessage = String(message);
+      const errorMessage = redact(String(message));
       let processedMessage = `ERROR: ${errorMessage}`;
 
       // If message length exceeds 500, truncate and add ellipsis with original length
@@ -795,35 +1293,69 @@ function createAppiumWrapper() {
         processedMessage = processedMessage.substring(0, 500) + `... (original length: ${processedMessage.length})`;
       }
 
-      // Store in logs array
-      logs.push(processedMessage);
-
-      // If array exceeds 1000 entries, clear it
-      if (logs.length > 1000) {
-        logs = [];
-      }
+      // Store as a structured record (see logs.js)
+      appendLog({ ...logContext, level: 'error', message: processedMessage });
 
       // Also log to console error
       console.error(processedMessage);
     },
+
+    // ============================================================================
+    // Secrets
+    // ============================================================================
+
+    /**
+     * Read a value from the encrypted secret store (see secrets.js)
+     * The value is masked in every log record, even if the script logs it
+     * @param {string} name - Secret name, e.g. 'device.pin'
+     * @returns {string} The secret's value
+     * @throws {SecretError} If there is no such secret or APPIUM_SECRETS_KEY is not set
+     * @example
+     * const passwordInput = await appium.$(Selectors.byClass(CLASS.EDITTEXT))
+     * await passwordInput.setValue(appium.secret('account.password'))
+     */
+    secret: (name) => getSecret(name),
+
+    // ============================================================================
+    // Session Events
+    // ============================================================================
+
+    /**
+     * Subscribe to session lifecycle events of this device
+     * @param {Function} handler - Receives { type, deviceId, timestamp, message?, attempt? }
+     *   type is one of 'connected', 'disconnected', 'lost', 'recovered', 'gave-up'
+     * @returns {Function} Unsubscribe function, call it before the script returns
+     * @example
+     * const off = appium.onSessionEvent((event) => {
+     *   appium.log(`Session ${event.type}`)
+     * })
+     * // ...
+     * off()
+     */
+    onSessionEvent: (handler) => onSessionEvent(handler, id),
   };
-}
 
-/**
- * Get and clear logs from the global logs array
- * @returns {Array<string>} Array of log messages
- */
-function getLogs() {
-  const currentLogs = [...logs]; // Copy the logs
-  logs = []; // Clear the logs array
-  return currentLogs;
+  // Check the interrupt rules after checkpoint methods
+  const withCheckpoint = (name, method) => async (...args) => {
+    const result = await method(...args);
+    if (checkpoints.has(name)) {
+      checkDriver();
+      await runInterrupts();
+    }
+    return result;
+  };
+
+  for (const [name, method] of Object.entries(wrapper)) {
+    if (typeof method !== 'function' || LOCAL_METHODS.has(name)) continue;
+    const checked = withCheckpoint(name, method);
+    wrapper[name] = RESUMABLE_METHODS.has(name) ? checked : withRecovery(checked);
+  }
+
+  return wrapper;
 }
 
 module.exports = {
-  startAppiumSession,
-  stopAppiumSession,
-  getDriver,
-  isSessionHealthy,
+  WaitTimeoutError,
+  ScrollError,
   createAppiumWrapper,
-  getLogs,
 };
@@ -3,6 +3,9 @@ const path = require('path');
 
 let config = null;
 
+// Device id used when config.json has no "devices" section
+const DEFAULT_DEVICE_ID = 'default';
+
 /**
  * Load configuration from config.json
  * Loads once and caches the result
@@ -28,7 +31,60 @@ function getConfig() {
   return config;
 }
 
+/**
+ * Get the ids of all configured devices
+ * Falls back to a single "default" device built from the top-level settings
+ * @returns {Array<string>}
+ */
+function getDeviceIds() {
+  const devices = getConfig().devices;
+  if (!devices || Object.keys(devices).length === 0) {
+    return [DEFAULT_DEVICE_ID];
+  }
+  return Object.keys(devices);
+}
+
+/**
+ * Get the device used when a request does not name one
+ * @returns {string}
+ */
+function getDefaultDeviceId() {
+  const defaultDevice = getConfig().defaultDevice;
+  const ids = getDeviceIds();
+  return defaultDevice && ids.includes(defaultDevice) ? defaultDevice : ids[0];
+}
+
+/**
+ * Get the resolved profile of a device
+ * Top-level webdriverio/capabilities/timeouts/device act as shared defaults,
+ * each entry under "devices" overrides them field by field
+ * @param {string} [deviceId] - Device id, defaults to getDefaultDeviceId()
+ * @returns {Object} Profile with id, name, webdriverio, capabilities, timeouts and device
+ */
+function getDeviceProfile(deviceId) {
+  const cfg = getConfig();
+  const id = deviceId || getDefaultDeviceId();
+
+  if (!getDeviceIds().includes(id)) {
+    throw new Error(`Unknown device '${id}'`);
+  }
+
+  const overrides = (cfg.devices && cfg.devices[id]) || {};
+
+  return {
+    id,
+    name: overrides.name || id,
+    webdriverio: { ...cfg.webdriverio, ...overrides.webdriverio },
+    capabilities: { ...cfg.capabilities, ...overrides.capabilities },
+    timeouts: { ...cfg.timeouts, ...overrides.timeouts },
+    device: { ...cfg.device, ...overrides.device },
+  };
+}
+
 module.exports = {
   loadConfig,
-  getConfig
+  getConfig,
+  getDeviceIds,
+  getDefaultDeviceId,
+  getDeviceProfile,
 };
@@ -0,0 +1,453 @@
+/**
+ * Connection Manager Module
+ *
+ * Owns the single Appium session of every device. The home page, the debug
+ * page, script runs and the scheduler all go through this module, so a phone
+ * never gets two UiAutomator2 sessions that kill each other's instrumentation.
+ *
+ * Session lifecycle events (see onSessionEvent):
+ * - connected: A session was created
+ * - disconnected: A session was stopped on request
+ * - lost: A session crashed or failed a health check
+ * - recovered: A lost session was recreated
+ * - gave-up: Recovery ran out of attempts, the session stays down
+ *
+ * @module connection
+ */
+
+const { EventEmitter } = require('events');
+const { remote } = require('webdriverio');
+const { getConfig, getDeviceIds, getDefaultDeviceId, getDeviceProfile } = require('./config');
+const { getLease } = require('./lease');
+
+const sessions = new Map(); // deviceId -> driver
+const pending = new Map(); // deviceId -> Promise<driver> while a session is being created
+const recovering = new Map(); // deviceId -> Promise<driver> while a lost session is being recovered
+const lost = new Set(); // deviceIds whose session died without being stopped
+const wdOptsCache = new Map(); // deviceId -> webdriverio options
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per running script / UI stream
+
+const MAX_RECENT_EVENTS = 100;
+const recentEvents = []; // Last session events, for clients that poll
+let eventSeq = 0;
+
+// W3C error codes and Appium messages of a dead session (see isSessionCrashError)
+const SESSION_CRASH_CODES = ['invalid session id'];
+const SESSION_CRASH_MESSAGES = [
+  'instrumentation process is not running',
+  'invalid session id',
+  'A session is either terminated or not started',
+];
+
+/**
+ * Resolve a device id, falling back to the default device
+ * @param {string} [deviceId]
+ * @returns {string}
+ */
+function resolveDeviceId(deviceId) {
+  return deviceId || getDefaultDeviceId();
+}
+
+/**
+ * Initialize WebDriver options for a device from its profile
+ * @param {string} deviceId
+ */
+function initializeOptions(deviceId) {
+  if (wdOptsCache.has(deviceId)) return wdOptsCache.get(deviceId);
+
+  const profile = getDeviceProfile(deviceId);
+  const capabilities = {};
+
+  // Prepare capabilities with appium: prefix
+  for (const [key, value] of Object.entries(profile.capabilities)) {
+    capabilities[key === 'platformName' ? key : `appium:${key}`] = value;
+  }
+
+  const wdOpts = {
+    ...profile.webdriverio,
+    path: profile.webdriverio.path || '/',
+    connectionRetryTimeout: profile.webdriverio.connectionRetryTimeout || 120000,
+    connectionRetryCount: profile.webdriverio.connectionRetryCount || 3,
+    capabilities,
+  };
+
+  wdOptsCache.set(deviceId, wdOpts);
+  return wdOpts;
+}
+
+/**
+ * Publish a session lifecycle event
+ * @param {string} type - connected, disconnected, lost, recovered or gave-up
+ * @param {string} deviceId
+ * @param {Object} [details]
+ */
+function emitSessionEvent(type, deviceId, details = {}) {
+  const event = {
+    seq: ++eventSeq,
+    type,
+    deviceId,
+    timestamp: new Date().toISOString(),
+    ...details,
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > MAX_RECENT_EVENTS) {
+    recentEvents.shift();
+  }
+
+  console.log(`[${deviceId}] Session ${type}${details.message ? `: ${details.message}` : ''}`);
+  emitter.emit('event', event);
+}
+
+/**
+ * Subscribe to session lifecycle events
+ * @param {Function} handler - Receives { seq, type, deviceId, timestamp, message?, attempt? }
+ * @param {string} [deviceId] - Only receive events of this device
+ * @returns {Function} Unsubscribe function
+ */
+function onSessionEvent(handler, deviceId) {
+  const listener = (event) => {
+    if (!deviceId || event.deviceId === deviceId) {
+      handler(event);
+    }
+  };
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+/**
+ * Get recent session events, oldest first
+ * @param {Object} [filter]
+ * @param {string} [filter.deviceId] - Only events of this device
+ * @param {number} [filter.since] - Only events with seq greater than this
+ * @returns {Array<Object>}
+ */
+function getSessionEvents({ deviceId, since = 0 } = {}) {
+  return recentEvents.filter(event =>
+    event.seq > since && (!deviceId || event.deviceId === deviceId)
+  );
+}
+
+/**
+ * Get the reconnect policy from config.json
+ * @returns {{maxAttempts: number, initialDelay: number, factor: number, maxDelay: number}}
+ */
+function getRecoveryPolicy() {
+  const recovery = getConfig().recovery || {};
+  return {
+    maxAttempts: recovery.maxAttempts ?? 3,
+    initialDelay: recovery.initialDelay ?? 2000,
+    factor: recovery.factor ?? 2,
+    maxDelay: recovery.maxDelay ?? 30000,
+  };
+}
+
+/**
+ * Check whether an error means the session (or its instrumentation) died
+ * Only known crash signatures count: element or selector errors must not make the
+ * wrapper reconnect. WebdriverIO puts the W3C error code in error.name.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isSessionCrashError(error) {
+  if (error && SESSION_CRASH_CODES.includes(error.name)) return true;
+
+  const errorMessage = (error && error.message) || String(error);
+  return SESSION_CRASH_MESSAGES.some(signature => errorMessage.includes(signature));
+}
+
+/**
+ * Check if the session of a device is healthy
+ * - 'window': getWindowSize(), proves the session and UiAutomator2 respond (default)
+ * - 'status': status(), only proves the Appium server is reachable
+ * An unhealthy session is dropped and marked lost, so the next wrapper call recovers it
+ * @param {string} [deviceId] - Device id, defaults to the default device
+ * @param {Object} [options]
+ * @param {'window'|'status'} [options.check='window']
+ * @returns {Promise<boolean>}
+ */
+async function isSessionHealthy(deviceId, options = {}) {
+  const id = resolveDeviceId(deviceId);
+  const driver = sessions.get(id);
+  if (!driver) return false;
+
+  try {
+    if (options.check === 'status') {
+      await driver.status();
+    } else {
+      await driver.getWindowSize();
+    }
+    return true;
+  } catch (error) {
+    console.error(`[${id}] Session health check failed:`, error.message);
+    await markLost(id, error);
+    return false;
+  }
+}
+
+/**
+ * Create a session, retrying up to `maxRetries` times
+ */
+async function createSession(id, maxRetries = 3) {
+  const opts = initializeOptions(id);
+  const profile = getDeviceProfile(id);
+  let lastError = null;
+
+  console.log(`[${id}] Connecting to Appium server...`);
+  console.log(`[${id}] Target: ${opts.hostname}:${opts.port}`);
+
+  // Retry connection up to maxRetries times
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      console.log(`[${id}] Connection attempt ${attempt}/${maxRetries}...`);
+
+      const driver = await remote(opts);
+
+      if (profile.timeouts.implicit) {
+        await driver.setTimeout({ implicit: profile.timeouts.implicit });
+      }
+
+      sessions.set(id, driver);
+      lost.delete(id);
+      console.log(`[${id}] Appium session started successfully`);
+      emitSessionEvent('connected', id);
+      return driver;
+    } catch (error) {
+      lastError = error;
+      console.error(`[${id}] Attempt ${attempt}/${maxRetries} failed:`, error.message);
+
+      // If not the last attempt, wait before retrying
+      if (attempt < maxRetries) {
+        const waitTime = 2000; // 2 seconds between retries
+        console.log(`[${id}] Waiting ${waitTime/1000} seconds before retry...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  // All retries failed
+  console.error(`[${id}] Failed to start Appium session after ${maxRetries} attempts`);
+  throw lastError;
+}
+
+/**
+ * Start the Appium session of a device, or reuse it if it is healthy
+ * Concurrent callers share one creation instead of opening two sessions
+ * @param {string} [deviceId] - Device id from config.json, defaults to the default device
+ * @returns {Promise<object>} Driver
+ */
+async function startAppiumSession(deviceId) {
+  const id = resolveDeviceId(deviceId);
+
+  if (pending.has(id)) {
+    return pending.get(id);
+  }
+
+  if (sessions.has(id)) {
+    console.log(`[${id}] Session already active, checking health...`);
+
+    if (await isSessionHealthy(id)) {
+      console.log(`[${id}] Existing session is healthy`);
+      return sessions.get(id);
+    }
+    console.log(`[${id}] Existing session is unhealthy, recreating...`);
+  }
+
+  const creation = createSession(id).finally(() => pending.delete(id));
+  pending.set(id, creation);
+  return creation;
+}
+
+/**
+ * Drop a dead session and remember it was lost, so the next wrapper call recovers it
+ */
+async function markLost(id, error) {
+  if (!sessions.has(id)) return;
+
+  await discardSession(id);
+  lost.add(id);
+  emitSessionEvent('lost', id, { message: error ? error.message : undefined });
+}
+
+/**
+ * Whether the session of a device died without being stopped
+ * @param {string} [deviceId] - Device id, defaults to the default device
+ * @returns {boolean}
+ */
+function isSessionLost(deviceId) {
+  return lost.has(resolveDeviceId(deviceId));
+}
+
+/**
+ * Recreate a lost session with exponential backoff (config.json "recovery")
+ * Concurrent callers share one recovery
+ * @param {string} [deviceId] - Device id, defaults to the default device
+ * @param {Error} [error] - The crash that triggered the recovery
+ * @returns {Promise<object>} New driver
+ * @throws {Error} The last connection error once all attempts failed
+ */
+async function recoverSession(deviceId, error) {
+  const id = resolveDeviceId(deviceId);
+
+  if (recovering.has(id)) {
+    return recovering.get(id);
+  }
+
+  const recovery = (async () => {
+    await markLost(id, error);
+    lost.add(id);
+
+    const policy = getRecoveryPolicy();
+    let delay = policy.initialDelay;
+    let lastError = error;
+
+    for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+      console.log(`[${id}] Recovering session in ${delay / 1000}s (attempt ${attempt}/${policy.maxAttempts})...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      try {
+        const driver = await createSession(id, 1);
+        emitSessionEvent('recovered', id, { attempt });
+        return driver;
+      } catch (attemptError) {
+        lastError = attemptError;
+        delay = Math.min(delay * policy.factor, policy.maxDelay);
+      }
+    }
+
+    emitSessionEvent('gave-up', id, {
+      attempt: policy.maxAttempts,
+      message: lastError ? lastError.message : undefined,
+    });
+    throw lastError || new Error(`Could not recover session on device '${id}'`);
+  })();
+
+  recovering.set(id, recovery);
+  try {
+    return await recovery;
+  } finally {
+    recovering.delete(id);
+  }
+}
+
+/**
+ * Drop a session locally, deleting it on the server as a best effort
+ */
+async function discardSession(id) {
+  const driver = sessions.get(id);
+  sessions.delete(id);
+  if (!driver) return;
+
+  try {
+    await driver.deleteSession();
+  } catch (e) {
+    // Session is already gone, nothing to clean up
+  }
+}
+
+/**
+ * Stop the Appium session of a device
+ * @param {string} [deviceId] - Device id, defaults to the default device
+ */
+async function stopAppiumSession(deviceId) {
+  const id = resolveDeviceId(deviceId);
+  const driver = sessions.get(id);
+
+  if (!driver) {
+    console.log(`[${id}] No active session to stop`);
+    return;
+  }
+
+  console.log(`[${id}] Stopping Appium session...`);
+
+  try {
+    // Try to delete the session gracefully
+    await driver.deleteSession();
+    console.log(`[${id}] Appium session stopped successfully`);
+  } catch (error) {
+    // Session might already be closed or invalid
+    console.log(`[${id}] Session already closed or invalid:`, error.message);
+  } finally {
+    // Always drop the driver to clean up local state
+    sessions.delete(id);
+    lost.delete(id);
+    console.log(`[${id}] Driver reference cleared`);
+    emitSessionEvent('disconnected', id);
+  }
+}
+
+/**
+ * Get the driver instance of a device
+ * @param {string} [deviceId] - Device id, defaults to the default device
+ * @returns {object|null}
+ */
+function getDriver(deviceId) {
+  return sessions.get(resolveDeviceId(deviceId)) || null;
+}
+
+/**
+ * Run a handler against the session of a device, starting it if needed
+ * If the session crashes mid-operation it is recovered and the handler retried
+ * @param {string} [deviceId] - Device id, defaults to the default device
+ * @param {string} operation - Operation name used in log messages
+ * @param {Function} handler - Receives the driver
+ * @param {number} [retries=1] - Retries after a session crash
+ * @returns {Promise<any>} Whatever the handler returns
+ */
+async function withSession(deviceId, operation, handler, retries = 1) {
+  const id = resolveDeviceId(deviceId);
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const driver = await startAppiumSession(id);
+      return await handler(driver);
+    } catch (error) {
+      lastError = error;
+
+      if (isSessionCrashError(error) && attempt < retries) {
+        console.log(`[${id}] Session crashed during ${operation}, forcing session recreation (attempt ${attempt + 1}/${retries + 1})...`);
+        await recoverSession(id, error);
+        continue;
+      }
+
+      console.error(`[${id}] Failed to ${operation} (attempt ${attempt + 1}/${retries + 1}):`, error);
+
+      if (attempt === retries) {
+        throw error;
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * List configured devices, whether each has a session and who leases it
+ * @returns {Array<{id: string, name: string, connected: boolean, lease: Object|null}>}
+ */
+function listDevices() {
+  return getDeviceIds().map(id => ({
+    id,
+    name: getDeviceProfile(id).name,
+    connected: sessions.has(id),
+    lease: getLease(id),
+  }));
+}
+
+module.exports = {
+  resolveDeviceId,
+  isSessionCrashError,
+  isSessionHealthy,
+  isSessionLost,
+  startAppiumSession,
+  stopAppiumSession,
+  recoverSession,
+  getDriver,
+  withSession,
+  listDevices,
+  onSessionEvent,
+  getSessionEvents,
+};
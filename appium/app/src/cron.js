@@ -0,0 +1,434 @@
+/**
+ * Cron Expression Module
+ *
+ * Parses standard cron expressions and computes their fire times in an IANA timezone.
+ * - 5 fields: minute hour day-of-month month day-of-week
+ * - 6 fields: second minute hour day-of-month month day-of-week
+ * - Each field: any (*), lists (1,15), ranges (1-5), steps (every n: star/n, a-b/n, a/n),
+ *   month and weekday names (JAN, MON...)
+ * - Day of month: L (last day of the month)
+ * - Day of week: 0-7 (0 and 7 are Sunday), MON#1 (first Monday), FRIL / 5L (last Friday)
+ * - Macros: @yearly @monthly @weekly @daily @hourly
+ *
+ * As in classic cron, when both day fields are restricted a day matching either one fires.
+ * Times are matched on the wall clock of the timezone. A time skipped by a DST change
+ * fires as far after it as the clock jumped (02:30 on a 02:00 -> 03:00 change fires at
+ * 03:30), a time repeated by a DST change fires once.
+ *
+ * @module cron
+ */
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const MONTH_LABELS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth'];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const FIELDS = {
+  second: { min: 0, max: 59 },
+  minute: { min: 0, max: 59 },
+  hour: { min: 0, max: 23 },
+  dayOfMonth: { min: 1, max: 31 },
+  month: { min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  dayOfWeek: { min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+};
+
+// Give up looking for a fire time this many years ahead (e.g. "0 0 30 2 *" never fires)
+const MAX_YEARS_AHEAD = 8;
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+/**
+ * Get a cached formatter that gives the wall clock of a timezone
+ * @throws {RangeError} If the timezone is unknown
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Check that a timezone name is known to Intl
+ * @param {string} timezone - IANA name, e.g. 'Asia/Shanghai'
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Timezone of the server, used when a schedule doesn't name one
+ * @returns {string}
+ */
+function getLocalTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Wall clock time of an instant in a timezone, as a UTC-based timestamp
+ * (Date.UTC of the local fields), so wall times can be stepped without DST surprises
+ */
+function toWallTime(instant, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(new Date(instant))) {
+    parts[type] = Number(value);
+  }
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Instant at which a timezone's wall clock shows the given wall time
+ * Ambiguous times (clock set back) resolve to the first occurrence, skipped
+ * times (clock set forward) are shifted by the jump (02:30 -> 03:30)
+ */
+function toInstant(wallTime, timezone) {
+  const DAY = 24 * 60 * 60 * 1000;
+  const offsetAt = (instant) => toWallTime(instant, timezone) - Math.floor(instant / 1000) * 1000;
+
+  // Offsets a day before and after cover both sides of a DST change
+  const before = offsetAt(wallTime - DAY);
+  const after = offsetAt(wallTime + DAY);
+
+  const candidates = [wallTime - before, wallTime - after]
+    .filter(instant => toWallTime(instant, timezone) === wallTime);
+  if (candidates.length > 0) return Math.min(...candidates);
+
+  // Skipped by the change: the offset from before it lands as far after it as the clock jumped
+  return wallTime - Math.min(before, after);
+}
+
+/**
+ * Parse a field value: a number or, for months and weekdays, a name
+ */
+function parseValue(text, spec, expression) {
+  const upper = text.toUpperCase();
+  if (spec.names && spec.names.includes(upper)) {
+    return spec.names.indexOf(upper) + spec.offset;
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid cron expression '${expression}': '${text}' is not a number`);
+  }
+
+  const value = Number(text);
+  if (value < spec.min || value > spec.max) {
+    throw new Error(`Invalid cron expression '${expression}': ${value} is out of range ${spec.min}-${spec.max}`);
+  }
+  return value;
+}
+
+/**
+ * Parse one field into the set of values it allows
+ * @returns {{source: string, any: boolean, values: Set<number>, last: boolean,
+ *   nth: Array<{day: number, n: number}>, lastWeekdays: Set<number>}}
+ */
+function parseField(source, name, expression) {
+  const spec = FIELDS[name];
+  const field = {
+    source,
+    any: source === '*' || source === '?',
+    values: new Set(),
+    last: false, // Day of month: L
+    nth: [], // Day of week: MON#2
+    lastWeekdays: new Set(), // Day of week: FRIL / 5L
+  };
+
+  for (const part of source.split(',')) {
+    if (name === 'dayOfMonth' && part.toUpperCase() === 'L') {
+      field.last = true;
+      continue;
+    }
+
+    if (name === 'dayOfWeek') {
+      if (part.toUpperCase() === 'L') {
+        throw new Error(`Invalid cron expression '${expression}': 'L' in day of week needs a day, e.g. 5L or FRIL for the last Friday`);
+      }
+      const nth = part.match(/^(\w+)#(.*)$/);
+      if (nth) {
+        if (/L$/i.test(nth[1]) || /L$/i.test(nth[2])) {
+          throw new Error(`Invalid cron expression '${expression}': '${part}' mixes # and L, use one of them`);
+        }
+        if (!/^[1-5]$/.test(nth[2])) {
+          throw new Error(`Invalid cron expression '${expression}': '#${nth[2]}' in '${part}' must be #1 to #5`);
+        }
+        field.nth.push({ day: parseValue(nth[1], spec, expression) % 7, n: Number(nth[2]) });
+        continue;
+      }
+      const last = part.match(/^(\w+?)L$/i);
+      if (last) {
+        field.lastWeekdays.add(parseValue(last[1], spec, expression) % 7);
+        continue;
+      }
+    }
+
+    const [range, stepText, ...extraSteps] = part.split('/');
+    if (extraSteps.length > 0) {
+      throw new Error(`Invalid cron expression '${expression}': more than one step in '${part}'`);
+    }
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron expression '${expression}': bad step in '${part}'`);
+    }
+
+    let start;
+    let end;
+    if (range === '*' || range === '?') {
+      start = spec.min;
+      end = spec.max;
+    } else if (range.includes('-')) {
+      const [from, to, ...extraEnds] = range.split('-');
+      if (extraEnds.length > 0) {
+        throw new Error(`Invalid cron expression '${expression}': range '${range}' has more than two ends`);
+      }
+      start = parseValue(from, spec, expression);
+      end = parseValue(to, spec, expression);
+    } else {
+      start = parseValue(range, spec, expression);
+      end = stepText === undefined ? start : spec.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid cron expression '${expression}': range '${range}' is backwards`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Sunday is both 0 and 7
+      field.values.add(name === 'dayOfWeek' ? value % 7 : value);
+    }
+  }
+
+  return field;
+}
+
+/**
+ * Parsed cron expression bound to a timezone
+ */
+class CronExpression {
+  /**
+   * @param {string} expression - 5 or 6 field cron expression, or a macro
+   * @param {Object} [options]
+   * @param {string} [options.timezone] - IANA timezone, defaults to the server's
+   * @throws {Error} If the expression or the timezone is invalid
+   */
+  constructor(expression, options = {}) {
+    this.expression = String(expression).trim();
+    this.timezone = options.timezone || getLocalTimezone();
+
+    if (!isValidTimezone(this.timezone)) {
+      throw new Error(`Unknown timezone '${this.timezone}'`);
+    }
+
+    const source = MACROS[this.expression.toLowerCase()] || this.expression;
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5 && parts.length !== 6) {
+      throw new Error(`Invalid cron expression '${this.expression}': expected 5 or 6 fields, got ${parts.length}`);
+    }
+
+    this.hasSeconds = parts.length === 6;
+    const [second, minute, hour, dayOfMonth, month, dayOfWeek] = this.hasSeconds ? parts : ['0', ...parts];
+
+    this.fields = {
+      second: parseField(second, 'second', this.expression),
+      minute: parseField(minute, 'minute', this.expression),
+      hour: parseField(hour, 'hour', this.expression),
+      dayOfMonth: parseField(dayOfMonth, 'dayOfMonth', this.expression),
+      month: parseField(month, 'month', this.expression),
+      dayOfWeek: parseField(dayOfWeek, 'dayOfWeek', this.expression),
+    };
+  }
+
+  /**
+   * Check the day fields against a date
+   * @param {number} year
+   * @param {number} month - 1-12
+   * @param {number} day - 1-31
+   */
+  matchesDay(year, month, day) {
+    const { dayOfMonth, dayOfWeek } = this.fields;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    const domMatch = dayOfMonth.values.has(day) || (dayOfMonth.last && day === daysInMonth);
+    const dowMatch = dayOfWeek.values.has(weekday) ||
+      dayOfWeek.nth.some(({ day: nthDay, n }) => nthDay === weekday && Math.ceil(day / 7) === n) ||
+      (dayOfWeek.lastWeekdays.has(weekday) && day + 7 > daysInMonth);
+
+    if (!dayOfMonth.any && !dayOfWeek.any) return domMatch || dowMatch;
+    if (!dayOfMonth.any) return domMatch;
+    if (!dayOfWeek.any) return dowMatch;
+    return true;
+  }
+
+  /**
+   * Next fire time strictly after a given time
+   * @param {number} [after=Date.now()] - Timestamp (ms)
+   * @returns {number|null} Timestamp (ms), null if the expression never fires
+   */
+  next(after = Date.now()) {
+    const { second, minute, hour, month } = this.fields;
+    const step = this.hasSeconds ? 1000 : 60 * 1000;
+    const lastYear = new Date(after).getUTCFullYear() + MAX_YEARS_AHEAD;
+
+    // Walk the wall clock field by field, from the largest unit down
+    let wall = Math.floor(toWallTime(after, this.timezone) / step) * step + step;
+
+    for (;;) {
+      const date = new Date(wall);
+      const y = date.getUTCFullYear();
+      const mo = date.getUTCMonth();
+      const d = date.getUTCDate();
+      const h = date.getUTCHours();
+      const mi = date.getUTCMinutes();
+
+      if (y > lastYear) return null;
+
+      if (!month.values.has(mo + 1)) {
+        wall = Date.UTC(y, mo + 1, 1);
+      } else if (!this.matchesDay(y, mo + 1, d)) {
+        wall = Date.UTC(y, mo, d + 1);
+      } else if (!hour.values.has(h)) {
+        wall = Date.UTC(y, mo, d, h + 1);
+      } else if (!minute.values.has(mi)) {
+        wall = Date.UTC(y, mo, d, h, mi + 1);
+      } else if (!second.values.has(date.getUTCSeconds())) {
+        wall += 1000;
+      } else {
+        const instant = toInstant(wall, this.timezone);
+        if (instant > after) return instant;
+        // Wall time repeated by a DST change, already fired
+        wall += step;
+      }
+    }
+  }
+
+  /**
+   * Next fire times
+   * @param {number} count
+   * @param {number} [after=Date.now()] - Timestamp (ms)
+   * @returns {Array<number>} Up to `count` timestamps (ms)
+   */
+  nextTimes(count, after = Date.now()) {
+    const times = [];
+    let time = after;
+    while (times.length < count) {
+      time = this.next(time);
+      if (time === null) break;
+      times.push(time);
+    }
+    return times;
+  }
+
+  /**
+   * Human readable description, e.g. "At 09:30 on Monday-Friday (Asia/Shanghai)"
+   * @returns {string}
+   */
+  describe() {
+    const { second, minute, hour, dayOfMonth, month, dayOfWeek } = this.fields;
+    const pad = (value) => String(value).padStart(2, '0');
+    const single = (field) => !field.any && field.values.size === 1 && /^\d+$/.test(field.source);
+
+    // One comma-separated part of a field, values replaced by labels
+    const describePart = (part, unit, label = String) => {
+      const [range, step] = part.split('/');
+      if (range === '*' || range === '?') return `every ${step} ${unit}s`;
+      const text = range.split('-').map(label).join('-');
+      return step ? `every ${step} ${unit}s from ${text}` : text;
+    };
+    const describeField = (field, unit, label) =>
+      field.source.split(',').map(part => describePart(part, unit, label)).join(', ');
+    // "every 15 minutes" or "minute 0,30"
+    const describeTimeField = (field, unit) => field.source.split(',').every(part => part.startsWith('*/'))
+      ? describeField(field, unit)
+      : `${unit} ${describeField(field, unit)}`;
+
+    const parts = [];
+
+    if (single(hour) && single(minute) && single(second)) {
+      parts.push(`At ${pad(hour.source)}:${pad(minute.source)}${this.hasSeconds ? `:${pad(second.source)}` : ''}`);
+    } else {
+      const units = [];
+      if (this.hasSeconds && !second.any) units.push(describeTimeField(second, 'second'));
+      if (!minute.any) units.push(describeTimeField(minute, 'minute'));
+      if (units.length === 0) units.push(this.hasSeconds ? 'every second' : 'every minute');
+      if (!hour.any) units.push(describeTimeField(hour, 'hour'));
+      parts.push(units.join(', '));
+    }
+
+    const dayParts = [];
+    if (!dayOfMonth.any) {
+      const days = dayOfMonth.source.split(',')
+        .map(part => part.toUpperCase() === 'L' ? 'the last day' : `day ${describePart(part, 'day')}`);
+      dayParts.push(`on ${days.join(', ')} of the month`);
+    }
+    if (!dayOfWeek.any) {
+      const label = (text) => DAY_LABELS[parseValue(text, FIELDS.dayOfWeek, this.expression) % 7];
+      const days = dayOfWeek.source.split(',').map(part => {
+        const nth = part.match(/^(\w+)#([1-5])$/);
+        if (nth) return `the ${ORDINALS[Number(nth[2])]} ${label(nth[1])}`;
+        const last = part.match(/^(\w+?)L$/i);
+        if (last) return `the last ${label(last[1])}`;
+        return describePart(part, 'day', label);
+      });
+      dayParts.push(`on ${days.join(', ')}`);
+    }
+    if (dayParts.length > 0) parts.push(dayParts.join(' or '));
+
+    if (!month.any) {
+      const label = (text) => MONTH_LABELS[parseValue(text, FIELDS.month, this.expression) - 1];
+      parts.push(`in ${describeField(month, 'month', label)}`);
+    }
+
+    parts.push(`(${this.timezone})`);
+    return parts.join(' ');
+  }
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression
+ * @param {Object} [options] - See CronExpression
+ * @returns {CronExpression}
+ * @throws {Error} If the expression or the timezone is invalid
+ * @example
+ * parseCron('30 9 * * 1-5', { timezone: 'Asia/Shanghai' }).next()
+ * parseCron('0 10 * * MON#1').describe() // At 10:00 on the first Monday (...)
+ */
+function parseCron(expression, options) {
+  return new CronExpression(expression, options);
+}
+
+module.exports = {
+  CronExpression,
+  parseCron,
+  isValidTimezone,
+  getLocalTimezone,
+  toWallTime,
+  toInstant,
+};
@@ -0,0 +1,129 @@
+/**
+ * Interrupts Module
+ *
+ * Rules for popups that can show up at any point of a flow (ads, permission
+ * dialogs, rating prompts). A script declares them once and the Appium wrapper
+ * dismisses them when they get in the way (see appium.js):
+ *
+ *   interrupts: [
+ *     // Tap the popup's own button
+ *     { name: 'skip-ad', match: Selectors.byClassAndText(CLASS.TEXTVIEW, '跳过') },
+ *     // Tap another element of the popup
+ *     { name: 'permission', match: Selectors.byClassAndTextContains(CLASS.TEXTVIEW, '权限'),
+ *       action: { tap: Selectors.byClassAndText(CLASS.TEXTVIEW, '暂不开启') } },
+ *     // Press back, at most once per run
+ *     { name: 'rating', match: Selectors.byTextContains('好评'), action: 'back', maxFires: 1 }
+ *   ]
+ *
+ * A rule fires when its `match` element is displayed: on a wrapper lookup that
+ * finds nothing ($, the wait and scroll helpers), after checkpoint methods
+ * (activateApp and startActivity by default) and on appium.checkInterrupts().
+ * After maxFires firings a rule is left alone, so a popup that keeps coming
+ * back can't stall the run.
+ *
+ * @module interrupts
+ */
+
+const DEFAULT_MAX_FIRES = 3;
+const DEFAULT_PAUSE = 500; // Let the popup close before going on (ms)
+const DEFAULT_CHECKPOINTS = ['activateApp', 'startActivity'];
+
+/**
+ * Error thrown for an invalid interrupt rule
+ * Carries an HTTP status so API routes can answer 400 directly
+ */
+class InterruptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InterruptError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Normalize a rule's action: 'tap' (the matched element), 'back', { tap: selector }
+ * or a function async (appium, element) => void
+ */
+function normalizeAction(action, label) {
+  if (action === undefined || action === 'tap') return { type: 'tap' };
+  if (action === 'back') return { type: 'back' };
+  if (typeof action === 'function') return { type: 'custom', run: action };
+  if (action && typeof action === 'object' && typeof action.tap === 'string' && action.tap) {
+    return { type: 'tap-other', selector: action.tap };
+  }
+  throw new InterruptError(`${label}.action must be 'tap', 'back', { tap: selector } or a function`);
+}
+
+/**
+ * Validate one rule
+ * @param {Object} rule - { name, match, action?, maxFires?, pause? }
+ * @param {number} [index] - Position in the list, for errors
+ * @returns {{name: string, match: string, action: Object, maxFires: number, pause: number}}
+ * @throws {InterruptError} If the rule is invalid
+ */
+function normalizeInterrupt(rule, index = 0) {
+  if (!rule || typeof rule !== 'object') {
+    throw new InterruptError(`interrupts[${index}] must be an object like { name, match, action }`);
+  }
+  const label = typeof rule.name === 'string' && rule.name ? `interrupts '${rule.name}'` : `interrupts[${index}]`;
+  if (typeof rule.name !== 'string' || !rule.name) {
+    throw new InterruptError(`${label}.name must be a non-empty string`);
+  }
+  if (typeof rule.match !== 'string' || !rule.match) {
+    throw new InterruptError(`${label}.match must be an element selector`);
+  }
+
+  const maxFires = rule.maxFires === undefined ? DEFAULT_MAX_FIRES : rule.maxFires;
+  if (!(Number.isInteger(maxFires) && maxFires > 0) && maxFires !== Infinity) {
+    throw new InterruptError(`${label}.maxFires must be a positive integer`);
+  }
+  const pause = rule.pause === undefined ? DEFAULT_PAUSE : rule.pause;
+  if (typeof pause !== 'number' || pause < 0) {
+    throw new InterruptError(`${label}.pause must be a number of ms >= 0`);
+  }
+
+  return { name: rule.name, match: rule.match, action: normalizeAction(rule.action, label), maxFires, pause };
+}
+
+/**
+ * Validate a script's list of rules (module.exports.interrupts)
+ * @param {Array<Object>} [rules]
+ * @returns {Array<Object>} Normalized rules, see normalizeInterrupt
+ * @throws {InterruptError} If a rule is invalid or two share a name
+ */
+function normalizeInterrupts(rules) {
+  if (rules === undefined) return [];
+  if (!Array.isArray(rules)) {
+    throw new InterruptError('interrupts must be a list of rules like { name, match, action }');
+  }
+
+  const normalized = rules.map(normalizeInterrupt);
+  const names = new Set();
+  for (const rule of normalized) {
+    if (names.has(rule.name)) throw new InterruptError(`interrupts has two rules named '${rule.name}'`);
+    names.add(rule.name);
+  }
+  return normalized;
+}
+
+/**
+ * Human readable action, e.g. "tap 'android=...'"
+ * @param {Object} action - Normalized action
+ * @returns {string}
+ */
+function describeAction(action) {
+  switch (action.type) {
+    case 'tap': return 'tap';
+    case 'back': return 'back';
+    case 'tap-other': return `tap ${action.selector}`;
+    default: return 'custom';
+  }
+}
+
+module.exports = {
+  DEFAULT_CHECKPOINTS,
+  InterruptError,
+  normalizeInterrupt,
+  normalizeInterrupts,
+  describeAction,
+};
@@ -0,0 +1,219 @@
+/**
+ * Device Lease Module
+ *
+ * Gives one owner at a time exclusive use of a device, so the scheduler,
+ * manual script runs and session controls don't tear down each other's session.
+ * - owner: Free-form label shown to others, e.g. "scheduler:Daily Publish"
+ * - timeout: How long acquireLease() waits for a busy device (ms)
+ * - ttl: Lease is released automatically after this long (ms), unless its holder
+ *   renews it (see renewLease, the runner does for as long as a run is in progress)
+ *
+ * @module lease
+ */
+
+const { getConfig, getDeviceIds, getDefaultDeviceId } = require('./config');
+
+const leases = new Map(); // deviceId -> lease
+let nextLeaseId = 1;
+
+/**
+ * Error thrown when a device is leased by another owner
+ * Carries an HTTP status so API routes can answer 409 directly
+ */
+class DeviceBusyError extends Error {
+  constructor(deviceId, lease) {
+    super(`Device '${deviceId}' is busy, held by ${lease.owner} since ${new Date(lease.since).toISOString()}`);
+    this.name = 'DeviceBusyError';
+    this.status = 409;
+    this.deviceId = deviceId;
+    this.lease = describeLease(lease);
+  }
+}
+
+/**
+ * Error thrown when a lease is asked for a device that isn't in config.json
+ * Carries an HTTP status so API routes can answer 400 directly
+ */
+class UnknownDeviceError extends Error {
+  constructor(deviceId) {
+    super(`Unknown device '${deviceId}'. Available: ${getDeviceIds().join(', ')}`);
+    this.name = 'UnknownDeviceError';
+    this.status = 400;
+    this.deviceId = deviceId;
+  }
+}
+
+/**
+ * Get lease defaults from config.json
+ * @returns {{ttl: number, acquireTimeout: number}}
+ */
+function getLeaseDefaults() {
+  const leaseConfig = getConfig().leases || {};
+  return {
+    ttl: leaseConfig.ttl || 30 * 60 * 1000,
+    acquireTimeout: leaseConfig.acquireTimeout ?? 60 * 1000,
+  };
+}
+
+/**
+ * Public view of a lease (no timer handle)
+ */
+function describeLease(lease) {
+  return {
+    id: lease.id,
+    deviceId: lease.deviceId,
+    owner: lease.owner,
+    since: new Date(lease.since).toISOString(),
+    expiresAt: new Date(lease.expiresAt).toISOString(),
+  };
+}
+
+/**
+ * (Re)start the automatic release of a lease, ttl ms from now
+ * So a crashed owner can't hold the device forever
+ */
+function scheduleExpiry(lease) {
+  clearTimeout(lease.timer);
+  lease.expiresAt = Date.now() + lease.ttl;
+  lease.timer = setTimeout(() => {
+    console.warn(`[Lease] Lease of '${lease.deviceId}' held by ${lease.owner} expired after ${lease.ttl / 1000}s without renewal, releasing`);
+    releaseLease(lease);
+  }, lease.ttl);
+  lease.timer.unref?.();
+}
+
+/**
+ * Take the lease if the device is free
+ * @returns {Object|null} Lease, or null if the device is held by someone else
+ */
+function tryAcquire(deviceId, owner, ttl) {
+  if (leases.has(deviceId)) return null;
+
+  const lease = {
+    id: nextLeaseId++,
+    deviceId,
+    owner,
+    since: Date.now(),
+    ttl,
+    expiresAt: null,
+    timer: null,
+  };
+  scheduleExpiry(lease);
+
+  leases.set(deviceId, lease);
+  console.log(`[Lease] '${deviceId}' acquired by ${owner}`);
+  return lease;
+}
+
+/**
+ * Acquire the lease of a device, waiting up to `timeout` ms if it is busy
+ * @param {string} [deviceId] - Device id, defaults to the default device
+ * @param {string} owner - Who holds the lease
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Max wait for a busy device (ms), 0 fails immediately
+ * @param {number} [options.ttl] - Automatic release after this long (ms)
+ * @returns {Promise<Object>} Lease to pass to releaseLease()
+ * @throws {UnknownDeviceError} If the device isn't in config.json
+ * @throws {DeviceBusyError} If the device is still busy when the timeout ends
+ */
+async function acquireLease(deviceId, owner, options = {}) {
+  const id = deviceId || getDefaultDeviceId();
+  if (!getDeviceIds().includes(id)) {
+    throw new UnknownDeviceError(id);
+  }
+  const defaults = getLeaseDefaults();
+  const timeout = options.timeout ?? defaults.acquireTimeout;
+  const ttl = options.ttl || defaults.ttl;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const lease = tryAcquire(id, owner, ttl);
+    if (lease) return lease;
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw new DeviceBusyError(id, leases.get(id));
+    }
+
+    await new Promise(resolve => setTimeout(resolve, Math.min(500, remaining)));
+  }
+}
+
+/**
+ * Push the automatic release of a lease back to ttl ms from now
+ * Holders whose work may outlast the ttl call it while they are alive
+ * @param {Object} lease - Lease returned by acquireLease()
+ * @returns {boolean} false if the lease already expired or was released
+ */
+function renewLease(lease) {
+  if (!lease || leases.get(lease.deviceId) !== lease) return false;
+  scheduleExpiry(lease);
+  return true;
+}
+
+/**
+ * Release a lease (no-op if it already expired or was released)
+ * @param {Object} lease - Lease returned by acquireLease()
+ */
+function releaseLease(lease) {
+  if (!lease) return;
+  clearTimeout(lease.timer);
+
+  // Only drop the entry if it is still ours (it may have expired and been re-acquired)
+  if (leases.get(lease.deviceId) === lease) {
+    leases.delete(lease.deviceId);
+    console.log(`[Lease] '${lease.deviceId}' released by ${lease.owner}`);
+  }
+}
+
+/**
+ * Run a function while holding the lease of a device
+ * @param {string} [deviceId] - Device id, defaults to the default device
+ * @param {string} owner - Who holds the lease
+ * @param {Function} fn - Receives the lease
+ * @param {Object} [options] - Same as acquireLease()
+ * @returns {Promise<any>} Whatever fn returns
+ */
+async function withLease(deviceId, owner, fn, options) {
+  const lease = await acquireLease(deviceId, owner, options);
+  try {
+    return await fn(lease);
+  } finally {
+    releaseLease(lease);
+  }
+}
+
+/**
+ * Get the current lease of a device
+ * @param {string} [deviceId] - Device id, defaults to the default device
+ * @returns {Object|null}
+ */
+function getLease(deviceId) {
+  const lease = leases.get(deviceId || getDefaultDeviceId());
+  return lease ? describeLease(lease) : null;
+}
+
+/**
+ * Throw if the device is leased, used by short operations that shouldn't
+ * disturb a running lease holder (stop session, debug clicks, ...)
+ * @param {string} [deviceId] - Device id, defaults to the default device
+ * @throws {DeviceBusyError}
+ */
+function assertDeviceFree(deviceId) {
+  const id = deviceId || getDefaultDeviceId();
+  const lease = leases.get(id);
+  if (lease) {
+    throw new DeviceBusyError(id, lease);
+  }
+}
+
+module.exports = {
+  DeviceBusyError,
+  UnknownDeviceError,
+  acquireLease,
+  releaseLease,
+  renewLease,
+  withLease,
+  getLease,
+  assertDeviceFree,
+};
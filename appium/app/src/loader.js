@@ -0,0 +1,382 @@
+/**
+ * Script Loader Module
+ *
+ * Loads scripts from app/scripts in their own vm context instead of eval in the
+ * server's scope. Shared by /api/scripts and the scheduler; every load reads the
+ * files again, so edits apply to the next run (hot reload).
+ *
+ * What a script can reach:
+ * - Globals: console, timers, URL, URLSearchParams, TextEncoder, TextDecoder, structuredClone
+ *   (no process, no global require, eval and new Function are disabled)
+ * - require(): Relative files inside app/scripts, 'shortcuts' (also as '../src/shortcuts'),
+ *   'fs' (promise API scoped to data/files, see createScriptFs), 'timers' and 'timers/promises'
+ *
+ * Scripts are compiled with their real file name and line numbers, so stack
+ * traces point at the script (see scriptLocation / scriptStack).
+ *
+ * Every server value a script can reach (globals, require, module exports handed
+ * back, the appium wrapper its functions are called with) goes through the
+ * context's membrane (see sandbox.js), so no server function leaks the server's
+ * Function. The first load checks that known escapes fail and refuses to load
+ * anything otherwise. Loading a file is limited to scripts.loadTimeout ms
+ * (config.json, 2s by default), a top-level endless loop can't hang the server.
+ *
+ * @module loader
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+const timers = require('timers');
+const timersPromises = require('timers/promises');
+const { createMembrane } = require('./sandbox');
+const { getConfig } = require('./config');
+
+const SCRIPTS_DIR = path.join(process.cwd(), 'app', 'scripts');
+const SCRIPT_FILES_DIR = path.join(process.cwd(), 'data', 'files');
+
+// Trusted files outside app/scripts a script may require, evaluated in the script's context
+const SANDBOXED_FILES = {
+  shortcuts: path.join(process.cwd(), 'app', 'src', 'shortcuts.js'),
+};
+
+const DEFAULT_LOAD_TIMEOUT = 2000;
+
+// Global a compiled module body is handed over through, removed before the body runs
+const LOAD_SLOT = '__loadModule';
+
+// Escapes a script could try to reach the server's process, each one must throw
+const ESCAPE_PROBES = [
+  "console.log.constructor('return process')()",
+  "this.constructor.constructor('return process')()",
+  "setTimeout(() => {}).constructor.constructor('return process')()",
+  "new URL('http://localhost').constructor.constructor('return process')()",
+  "Object.getPrototypeOf(console).constructor.constructor('return process')()",
+  "(Error.prepareStackTrace = (error, frames) => frames, new Error().stack)",
+  "(globalThis.Error = { prepareStackTrace: (error, frames) => frames }, new RangeError().stack)",
+];
+
+let isolationChecked = false;
+
+// Node modules a script may require, by name
+const BUILTIN_MODULES = {
+  fs: () => createScriptFs(),
+  timers: () => ({
+    setTimeout: timers.setTimeout,
+    clearTimeout: timers.clearTimeout,
+    setInterval: timers.setInterval,
+    clearInterval: timers.clearInterval,
+  }),
+  'timers/promises': () => timersPromises,
+};
+
+/**
+ * File system access for scripts, limited to data/files
+ * Paths are relative to that directory; anything resolving outside it throws
+ * @returns {Object} Promise-based subset of fs
+ */
+function createScriptFs() {
+  const resolve = (file = '.') => {
+    const target = path.resolve(SCRIPT_FILES_DIR, String(file));
+    const relative = path.relative(SCRIPT_FILES_DIR, target);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Path '${file}' is outside the script data directory`);
+    }
+    return target;
+  };
+
+  // Create parent directories on write, so scripts don't have to
+  const prepare = async (file) => {
+    const target = resolve(file);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    return target;
+  };
+
+  return {
+    readFile: async (file, encoding = 'utf-8') => fs.promises.readFile(resolve(file), encoding),
+    writeFile: async (file, data) => fs.promises.writeFile(await prepare(file), data),
+    appendFile: async (file, data) => fs.promises.appendFile(await prepare(file), data),
+    exists: async (file) => fs.promises.access(resolve(file)).then(() => true, () => false),
+    readdir: async (dir = '.') => {
+      await fs.promises.mkdir(SCRIPT_FILES_DIR, { recursive: true });
+      return fs.promises.readdir(resolve(dir));
+    },
+    mkdir: async (dir) => {
+      await fs.promises.mkdir(resolve(dir), { recursive: true });
+    },
+    unlink: async (file) => fs.promises.unlink(resolve(file)),
+    stat: async (file) => {
+      const stats = await fs.promises.stat(resolve(file));
+      return {
+        size: stats.size,
+        mtime: stats.mtime.toISOString(),
+        isFile: stats.isFile(),
+        isDirectory: stats.isDirectory(),
+      };
+    },
+  };
+}
+
+/**
+ * Get the max time (ms) the top level of a script file may take to load
+ */
+function getLoadTimeout() {
+  const scriptConfig = getConfig().scripts || {};
+  return scriptConfig.loadTimeout || DEFAULT_LOAD_TIMEOUT;
+}
+
+// Print like console.*, without running a script's custom inspect function
+const printer = (method) => (...args) => {
+  method(util.formatWithOptions({ customInspect: false }, ...args));
+};
+
+/**
+ * Create the global scope of one script load
+ * The global object has no prototype of the server's, and stack traces can't be
+ * customized: Error.prepareStackTrace would get the server's stack frames
+ * @param {string} filePath - Script file, used to name the context
+ * @returns {{context: Object, membrane: Object}} The context and its membrane (see sandbox.js)
+ */
+function createContext(filePath) {
+  const context = vm.createContext(Object.create(null), {
+    name: path.relative(process.cwd(), filePath),
+    codeGeneration: { strings: false, wasm: false },
+  });
+  const membrane = createMembrane(context);
+
+  vm.runInContext(`
+    Object.defineProperty(Error, 'prepareStackTrace', { value: undefined, writable: false, configurable: false });
+    Object.defineProperty(globalThis, 'Error', { value: Error, writable: false, configurable: false });
+  `, context);
+
+  // console and structuredClone read the script's values themselves (see sandbox.js exposeRaw)
+  context.console = vm.runInContext('({})', context);
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    context.console[method] = membrane.exposeRaw(printer(console[method]));
+  }
+  context.structuredClone = membrane.exposeRaw(structuredClone);
+
+  const globals = {
+    setTimeout: timers.setTimeout,
+    clearTimeout: timers.clearTimeout,
+    setInterval: timers.setInterval,
+    clearInterval: timers.clearInterval,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+  };
+  for (const [name, value] of Object.entries(globals)) {
+    context[name] = membrane.toContext(value);
+  }
+
+  return { context, membrane };
+}
+
+/**
+ * Check once that the escapes of ESCAPE_PROBES fail in a script context
+ * @throws {Error} If one of them works, no script is loaded then
+ */
+function checkIsolation() {
+  if (isolationChecked) return;
+
+  const { context } = createContext(path.join(SCRIPTS_DIR, 'isolation-check.js'));
+  const escaped = ESCAPE_PROBES.filter(probe => {
+    try {
+      const result = vm.runInContext(probe, context, { timeout: getLoadTimeout() });
+      return result !== undefined && typeof result !== 'string';
+    } catch (error) {
+      return false;
+    }
+  });
+
+  if (escaped.length > 0) {
+    throw new Error(`Script sandbox is not isolated, refusing to load scripts. Escapes: ${escaped.join('; ')}`);
+  }
+  isolationChecked = true;
+}
+
+/**
+ * Files a script may load with a relative require
+ */
+function isAllowedFile(filePath) {
+  const relative = path.relative(SCRIPTS_DIR, filePath);
+  const inScriptsDir = !relative.startsWith('..') && !path.isAbsolute(relative);
+  return inScriptsDir || Object.values(SANDBOXED_FILES).includes(filePath);
+}
+
+/**
+ * Resolve a require() request to a file evaluated in the sandbox
+ * @returns {string|null} Absolute path, or null if the request isn't allowed
+ */
+function resolveRequest(fromFile, request) {
+  if (SANDBOXED_FILES[request]) return SANDBOXED_FILES[request];
+  if (!request.startsWith('.')) return null;
+
+  const base = path.resolve(path.dirname(fromFile), request);
+  for (const candidate of [base + '.js', base]) {
+    if (isAllowedFile(candidate) && fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Evaluate a CommonJS file in the context
+ * @param {string} filePath - Absolute path
+ * @param {Object} sandbox - From createContext()
+ * @param {Map} cache - Modules of this load, by path (also handles require cycles)
+ * @returns {any} module.exports, as the server sees it (see sandbox.js toHost)
+ * @throws {Error} If the file fails to compile, throws or doesn't load within the load timeout
+ */
+function evaluateModule(filePath, sandbox, cache) {
+  const { context, membrane } = sandbox;
+  if (cache.has(filePath)) return membrane.toHost(cache.get(filePath).exports);
+
+  const code = fs.readFileSync(filePath, 'utf-8');
+  // Created inside the context, so module objects don't expose the server's Object
+  const module = vm.runInContext('({ exports: {} })', context);
+  cache.set(filePath, module);
+
+  // Compiled as a function body: file name and line numbers are the script's own
+  let fn;
+  try {
+    fn = vm.compileFunction(code, ['module', 'exports', 'require', '__filename'], {
+      filename: filePath,
+      parsingContext: context,
+    });
+  } catch (error) {
+    throw membrane.toHost(error);
+  }
+
+  const scriptRequire = (request) => {
+    if (BUILTIN_MODULES[request]) return BUILTIN_MODULES[request]();
+
+    const target = resolveRequest(filePath, request);
+    if (!target) {
+      throw new Error(
+        `Cannot require '${request}' from scripts. Allowed: relative files in app/scripts, ` +
+        `${[...Object.keys(SANDBOXED_FILES), ...Object.keys(BUILTIN_MODULES)].join(', ')}`
+      );
+    }
+    return evaluateModule(target, sandbox, cache);
+  };
+
+  // Run the body inside the context, where the timeout applies
+  const timeout = getLoadTimeout();
+  // Defined, not assigned: assigning would run a setter an earlier file put on the global
+  const load = vm.runInContext('[]', context);
+  load.push(fn, module, membrane.toContext(scriptRequire), path.relative(process.cwd(), filePath));
+  Object.defineProperty(context, LOAD_SLOT, { value: load, configurable: true });
+  try {
+    vm.runInContext(`{
+      const [fn, module, require, filename] = globalThis.${LOAD_SLOT};
+      delete globalThis.${LOAD_SLOT};
+      fn.call(module.exports, module, module.exports, require, filename);
+    }`, context, { timeout });
+  } catch (error) {
+    if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`${path.relative(SCRIPTS_DIR, filePath)} took longer than ${timeout}ms to load, is there an endless loop at its top level?`);
+    }
+    throw membrane.toHost(error);
+  } finally {
+    delete context[LOAD_SLOT];
+  }
+  return membrane.toHost(module.exports);
+}
+
+/**
+ * Load a script file in a fresh context
+ * @param {string} filePath - Path of the script
+ * @returns {Object} The script's module.exports
+ * @throws {Error} If the script fails to compile or throws while loading
+ */
+function loadScript(filePath) {
+  checkIsolation();
+  const absolutePath = path.resolve(filePath);
+  return evaluateModule(absolutePath, createContext(absolutePath), new Map());
+}
+
+/**
+ * Get the path of a script by id (file name without extension)
+ * @param {string} scriptId
+ * @returns {string|null} null if there is no such script
+ */
+function getScriptPath(scriptId) {
+  // Ids are plain file names, never paths
+  if (!scriptId || scriptId !== path.basename(scriptId)) return null;
+
+  const filePath = path.join(SCRIPTS_DIR, `${scriptId}.js`);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Load every script in app/scripts
+ * A script that fails to load is returned with its error instead of its module
+ * @returns {Array<{id: string, file: string, path: string, script?: Object, error?: Error}>}
+ */
+function listScripts() {
+  return fs.readdirSync(SCRIPTS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const filePath = path.join(SCRIPTS_DIR, file);
+      const entry = { id: path.basename(file, '.js'), file, path: filePath };
+
+      try {
+        return { ...entry, script: loadScript(filePath) };
+      } catch (error) {
+        return { ...entry, error };
+      }
+    });
+}
+
+/**
+ * Stack frames of an error that point into script files, as "file:line:column"
+ */
+function scriptFrames(error) {
+  const stack = error && typeof error.stack === 'string' ? error.stack : '';
+  const frames = [];
+
+  for (const line of stack.split('\n')) {
+    const match = line.match(/\(?([^\s()]+):(\d+):(\d+)\)?$/);
+    if (match && isAllowedFile(match[1])) {
+      frames.push({ line: line.trim(), location: `${path.relative(SCRIPTS_DIR, match[1])}:${match[2]}:${match[3]}` });
+    }
+  }
+  return frames;
+}
+
+/**
+ * Location in the script where an error was thrown (or the device call that threw was made)
+ * @param {Error} error
+ * @returns {string|null} e.g. "Demo.js:14:31", null if no frame is in a script
+ */
+function scriptLocation(error) {
+  const frames = scriptFrames(error);
+  return frames.length > 0 ? frames[0].location : null;
+}
+
+/**
+ * Stack trace reduced to the frames in script files, for the run history
+ * Falls back to the full stack if no frame is in a script
+ * @param {Error} error
+ * @returns {string|undefined}
+ */
+function scriptStack(error) {
+  const frames = scriptFrames(error);
+  if (frames.length === 0) return error && error.stack;
+
+  return [`${error.name || 'Error'}: ${error.message}`, ...frames.map(frame => `    ${frame.line}`)].join('\n');
+}
+
+module.exports = {
+  SCRIPTS_DIR,
+  SCRIPT_FILES_DIR,
+  loadScript,
+  getScriptPath,
+  listScripts,
+  scriptLocation,
+  scriptStack,
+};
@@ -0,0 +1,205 @@
+/**
+ * Lock Screen Module
+ *
+ * Unlocks and locks a device the way its profile says (config.json "device",
+ * overridable per device under "devices", see config.js):
+ *
+ *   "device": {
+ *     "unlockType": "pin",     // 'pin', 'password', 'pattern' or 'none' (swipe only)
+ *     "unlockKey": { "secret": "device.pin" },  // The PIN, the password, or the pattern's cells
+ *     "lockTimeout": 5000      // Max wait (ms) for the lock state to change
+ *   }
+ *
+ * unlockKey is best kept in the secret store (see secrets.js); a plain string
+ * still works.
+ *
+ * A pattern is the path of cells on the 3x3 grid, numbered like a keypad
+ * (1 2 3 / 4 5 6 / 7 8 9), e.g. "14789" for an L. The grid is found by its class
+ * (LockPatternView); set "patternArea": { x, y, width, height } for lock screens
+ * that hide it. Success is checked with isLocked(), the key is never logged.
+ *
+ * @module lockscreen
+ */
+
+const { KEYCODE, Actions } = require('./shortcuts');
+const { resolveSecretRef } = require('./secrets');
+
+const UNLOCK_TYPES = ['pin', 'password', 'pattern', 'none'];
+const DEFAULT_LOCK_TIMEOUT = 5000;
+const POLL_INTERVAL = 250;
+const PATTERN_VIEW = 'android=new UiSelector().className("com.android.internal.widget.LockPatternView")';
+
+/**
+ * Error thrown when the device profile can't be used or the lock state didn't change
+ */
+class DeviceLockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DeviceLockError';
+  }
+}
+
+/**
+ * Validate a device profile's lock settings
+ * @param {Object} [device] - Profile "device" block (see getDeviceProfile)
+ * @returns {{unlockType: string, unlockKey: string, lockTimeout: number, patternArea: Object|null}}
+ * @throws {DeviceLockError} If the settings can't be used
+ */
+function normalizeDeviceLock(device = {}) {
+  const unlockType = device.unlockType || 'none';
+  if (!UNLOCK_TYPES.includes(unlockType)) {
+    throw new DeviceLockError(`device.unlockType must be one of: ${UNLOCK_TYPES.join(', ')}, got ${JSON.stringify(unlockType)}`);
+  }
+
+  let unlockKey = device.unlockKey;
+  try {
+    unlockKey = resolveSecretRef(unlockKey);
+  } catch (error) {
+    throw new DeviceLockError(`device.unlockKey: ${error.message}`);
+  }
+  unlockKey = unlockKey === undefined || unlockKey === null ? '' : String(unlockKey);
+  if (unlockType === 'pin' && !/^\d{4,}$/.test(unlockKey)) {
+    throw new DeviceLockError('device.unlockKey must be a PIN of at least 4 digits');
+  }
+  if (unlockType === 'password' && !unlockKey) {
+    throw new DeviceLockError('device.unlockKey must be the password');
+  }
+  if (unlockType === 'pattern' && (!/^[1-9]{2,9}$/.test(unlockKey) || new Set(unlockKey).size !== unlockKey.length)) {
+    throw new DeviceLockError('device.unlockKey must list the pattern\'s cells 1-9 in order, each at most once, e.g. "14789"');
+  }
+
+  const lockTimeout = device.lockTimeout === undefined ? DEFAULT_LOCK_TIMEOUT : device.lockTimeout;
+  if (typeof lockTimeout !== 'number' || !(lockTimeout > 0)) {
+    throw new DeviceLockError(`device.lockTimeout must be a positive number of ms, got ${JSON.stringify(lockTimeout)}`);
+  }
+
+  const area = device.patternArea;
+  if (area !== undefined && !(area && ['x', 'y', 'width', 'height'].every(key => typeof area[key] === 'number'))) {
+    throw new DeviceLockError('device.patternArea must be { x, y, width, height } in pixels');
+  }
+
+  return { unlockType, unlockKey, lockTimeout, patternArea: area || null };
+}
+
+/**
+ * Poll isLocked() until it reports the wanted state
+ * @returns {Promise<boolean>} Whether it did within the timeout
+ */
+async function waitForLockState(driver, locked, timeout, sleep) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    if ((await driver.isLocked()) === locked) return true;
+    if (Date.now() >= deadline) return false;
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+/**
+ * Draw the pattern through the centers of its cells
+ */
+async function drawPattern(driver, cells, patternArea) {
+  let area = patternArea;
+  if (!area) {
+    const grid = await driver.$(PATTERN_VIEW);
+    if (!grid.elementId) {
+      throw new DeviceLockError('Pattern grid (LockPatternView) not found, set device.patternArea');
+    }
+    area = await driver.getElementRect(grid.elementId);
+  }
+
+  const points = [...cells].map(cell => {
+    const index = Number(cell) - 1;
+    return {
+      x: Math.round(area.x + area.width * (2 * (index % 3) + 1) / 6),
+      y: Math.round(area.y + area.height * (2 * Math.floor(index / 3) + 1) / 6),
+    };
+  });
+
+  await driver.performActions([{
+    type: 'pointer',
+    id: 'finger1',
+    parameters: { pointerType: 'touch' },
+    actions: [
+      { type: 'pointerMove', duration: 0, x: points[0].x, y: points[0].y },
+      { type: 'pointerDown', button: 0 },
+      { type: 'pause', duration: 100 },
+      ...points.slice(1).map(({ x, y }) => ({ type: 'pointerMove', duration: 150, x, y })),
+      { type: 'pointerUp', button: 0 },
+    ],
+  }]);
+  await driver.releaseActions();
+}
+
+/**
+ * Unlock the device with its profile's method, unless it already is
+ * @param {Object} driver - WebdriverIO driver of the device
+ * @param {Object} device - Profile "device" block
+ * @param {Object} options
+ * @param {Function} options.sleep - async (ms) => void, e.g. the wrapper's cancellable one
+ * @param {Function} [options.log] - (message) => void
+ * @returns {Promise<boolean>} false if it was already unlocked
+ * @throws {DeviceLockError} If the settings are invalid or the device stays locked
+ */
+async function unlockDevice(driver, device, { sleep, log = () => {} }) {
+  const { unlockType, unlockKey, lockTimeout, patternArea } = normalizeDeviceLock(device);
+  if (!(await driver.isLocked())) return false;
+
+  log(`Unlocking device (${unlockType})...`);
+  await driver.pressKeyCode(KEYCODE.WAKEUP);
+  await sleep(500);
+
+  // Swipe up to leave the lock screen, or to bring up the PIN / password / pattern entry
+  const { width, height } = await driver.getWindowSize();
+  const x = Math.floor(width / 2);
+  await driver.performActions([Actions.swipe(x, Math.floor(height * 0.8), x, Math.floor(height * 0.2), 300)]);
+  await driver.releaseActions();
+  await sleep(500);
+
+  if (unlockType === 'pin') {
+    for (const digit of unlockKey) {
+      await driver.pressKeyCode(KEYCODE.NUM_0 + Number(digit));
+    }
+    await driver.pressKeyCode(KEYCODE.ENTER);
+  } else if (unlockType === 'password') {
+    await driver.keys(unlockKey);
+    await driver.pressKeyCode(KEYCODE.ENTER);
+  } else if (unlockType === 'pattern') {
+    await drawPattern(driver, unlockKey, patternArea);
+  }
+
+  if (!(await waitForLockState(driver, false, lockTimeout, sleep))) {
+    throw new DeviceLockError(`Device is still locked ${lockTimeout / 1000}s after entering the ${unlockType === 'none' ? 'swipe' : unlockType}`);
+  }
+  log('Device unlocked');
+  return true;
+}
+
+/**
+ * Lock the device, unless it already is
+ * @param {Object} driver - WebdriverIO driver of the device
+ * @param {Object} device - Profile "device" block (lockTimeout)
+ * @param {Object} options - As unlockDevice
+ * @returns {Promise<boolean>} false if it was already locked
+ * @throws {DeviceLockError} If the device doesn't report locked in time
+ */
+async function lockDevice(driver, device, { sleep, log = () => {} }) {
+  const { lockTimeout } = normalizeDeviceLock(device);
+  if (await driver.isLocked()) return false;
+
+  log('Locking device...');
+  await driver.lock();
+
+  if (!(await waitForLockState(driver, true, lockTimeout, sleep))) {
+    throw new DeviceLockError(`Device is still unlocked ${lockTimeout / 1000}s after locking it`);
+  }
+  log('Device locked');
+  return true;
+}
+
+module.exports = {
+  UNLOCK_TYPES,
+  DeviceLockError,
+  normalizeDeviceLock,
+  unlockDevice,
+  lockDevice,
+};
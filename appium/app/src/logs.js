@@ -0,0 +1,180 @@
+/**
+ * Log Store Module
+ *
+ * Structured log records written by scripts (appium.log / appium.err) and the runner.
+ * - Every record goes into a shared ring buffer of recent logs (all devices)
+ * - Records of a run also go into that run's own ring buffer, which is
+ *   persisted with the run when it finishes (see runs.js)
+ * - Readers pass a cursor (the last seq they saw) instead of draining a shared array,
+ *   so several tabs can follow the same logs
+ *
+ * Record: { seq, timestamp, level ('info' | 'error'), runId, scriptId, deviceId, message }
+ * New records are also published to live subscribers (see onLogRecord)
+ * Secret values are masked in messages before they are stored (see secrets.js redact)
+ *
+ * @module logs
+ */
+
+const { EventEmitter } = require('events');
+const { getConfig } = require('./config');
+const { redact } = require('./secrets');
+
+/**
+ * Fixed-size buffer that overwrites its oldest entries
+ */
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = [];
+    this.start = 0; // Index of the oldest item once the buffer is full
+    this.dropped = 0; // Items overwritten so far
+  }
+
+  push(item) {
+    if (this.items.length < this.capacity) {
+      this.items.push(item);
+    } else {
+      this.items[this.start] = item;
+      this.start = (this.start + 1) % this.capacity;
+      this.dropped++;
+    }
+  }
+
+  toArray() {
+    return this.items.slice(this.start).concat(this.items.slice(0, this.start));
+  }
+}
+
+let recent = null; // RingBuffer shared by all runs, created on first use
+const runBuffers = new Map(); // runId -> RingBuffer
+let seq = 0;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open log stream
+
+/**
+ * Get buffer sizes from config.json
+ * @returns {{bufferSize: number, runBufferSize: number}}
+ */
+function getLogLimits() {
+  const logConfig = getConfig().logs || {};
+  return {
+    bufferSize: logConfig.bufferSize || 5000,
+    runBufferSize: logConfig.runBufferSize || 2000,
+  };
+}
+
+function getRecentBuffer() {
+  if (!recent) {
+    recent = new RingBuffer(getLogLimits().bufferSize);
+  }
+  return recent;
+}
+
+/**
+ * Start capturing the logs of a run
+ * @param {string} runId
+ */
+function openRunLog(runId) {
+  runBuffers.set(runId, new RingBuffer(getLogLimits().runBufferSize));
+}
+
+/**
+ * Stop capturing the logs of a run
+ * @param {string} runId
+ * @returns {{logs: Array<Object>, droppedLogs: number}} Captured records, oldest first
+ */
+function closeRunLog(runId) {
+  const buffer = runBuffers.get(runId);
+  runBuffers.delete(runId);
+  if (!buffer) return { logs: [], droppedLogs: 0 };
+  return { logs: buffer.toArray(), droppedLogs: buffer.dropped };
+}
+
+/**
+ * Get the records captured so far for a running run
+ * @param {string} runId
+ * @returns {Array<Object>|null} null if the run isn't capturing logs
+ */
+function getRunLogs(runId) {
+  const buffer = runBuffers.get(runId);
+  return buffer ? buffer.toArray() : null;
+}
+
+/**
+ * Append a log record
+ * @param {Object} entry
+ * @param {string} entry.level - 'info' or 'error'
+ * @param {string} entry.message
+ * @param {string} [entry.runId]
+ * @param {string} [entry.scriptId]
+ * @param {string} [entry.deviceId]
+ * @returns {Object} The stored record
+ */
+function appendLog({ level, message, runId = null, scriptId = null, deviceId = null }) {
+  const record = {
+    seq: ++seq,
+    timestamp: new Date().toISOString(),
+    level,
+    runId,
+    scriptId,
+    deviceId,
+    message: redact(message),
+  };
+
+  getRecentBuffer().push(record);
+  if (runId && runBuffers.has(runId)) {
+    runBuffers.get(runId).push(record);
+  }
+
+  emitter.emit('record', record);
+  return record;
+}
+
+/**
+ * Subscribe to new log records as they are appended
+ * @param {Function} handler - Receives the record
+ * @returns {Function} Unsubscribe function
+ */
+function onLogRecord(handler) {
+  emitter.on('record', handler);
+  return () => emitter.off('record', handler);
+}
+
+/**
+ * Read log records after a cursor, without removing them
+ * A running run is read from its own buffer, so none of its records are missed
+ * even when the shared buffer has wrapped
+ * @param {Object} [query]
+ * @param {number} [query.cursor=0] - Return records with seq greater than this
+ * @param {string} [query.runId] - Only records of this run
+ * @param {string} [query.deviceId] - Only records of this device
+ * @param {number} [query.limit=500]
+ * @returns {{records: Array<Object>, cursor: number}} Records and the cursor for the next read
+ */
+function readLogs({ cursor = 0, runId, deviceId, limit = 500 } = {}) {
+  const source = runId && runBuffers.has(runId) ? runBuffers.get(runId) : getRecentBuffer();
+
+  const records = source.toArray()
+    .filter(record =>
+      record.seq > cursor &&
+      (!runId || record.runId === runId) &&
+      (!deviceId || record.deviceId === deviceId)
+    )
+    .slice(0, limit);
+
+  return {
+    records,
+    cursor: records.length > 0 ? records[records.length - 1].seq : cursor,
+  };
+}
+
+module.exports = {
+  RingBuffer,
+  appendLog,
+  readLogs,
+  onLogRecord,
+  openRunLog,
+  closeRunLog,
+  getRunLogs,
+};
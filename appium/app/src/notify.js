@@ -0,0 +1,430 @@
+/**
+ * Notifications Module
+ *
+ * Tells someone when things go wrong on a headless box, through the channels
+ * configured in config.json:
+ *
+ *   "notifications": {
+ *     "repeatedFailures": 3,       // Consecutive failed runs of a scheduled task for 'repeated-failure'
+ *     "logLines": 20,              // Last log lines of the run in each message
+ *     "channels": [
+ *       { "name": "mail", "type": "smtp", "host": "smtp.example.com", "port": 587,
+ *         "starttls": true, "user": "appium", "pass": { "secret": "smtp.pass" },
+ *         "from": "appium@example.com", "to": ["me@example.com"] },
+ *       { "name": "chat", "type": "webhook", "url": "https://example.com/hook",
+ *         "body": { "text": "{{subject}}", "logs": "{{logs}}" },
+ *         "events": ["repeated-failure", "device-offline"], "triggers": ["scheduler"] }
+ *     ]
+ *   }
+ *
+ * Events (NOTIFICATION_EVENTS):
+ * - run-failed: A run ended 'failed' or 'error' (a cancelled run is no failure); for a
+ *   scheduled run only its last attempt, not the ones the scheduler retries
+ * - session-failed: A run's session failed to start (SessionStartError), the script never ran
+ * - repeated-failure: A scheduled task failed repeatedFailures times in a row
+ * - device-offline: Session recovery gave up (see connection.js)
+ * A channel gets every event unless it lists `events`, and run events of every
+ * trigger unless it lists `triggers`; `enabled: false` turns it off.
+ *
+ * Webhooks POST a JSON body, by default { event, subject, message, run, attempt, logs, screenshot }.
+ * A `body` template replaces "{{path}}" in its strings with values of that object;
+ * a string that is only "{{path}}" takes the value as is (e.g. the logs array).
+ * Emails (see smtp.js) carry the message as text and the screenshot as attachment.
+ * The SMTP pass and webhook header values may refer to the secret store (see
+ * secrets.js) like { "secret": "smtp.pass" }, which keeps them out of config.json.
+ *
+ * The screenshot is the screen when the run failed, taken before its cleanup hook.
+ * Sending never blocks or fails a run, a channel that can't be reached is logged.
+ *
+ * @module notify
+ */
+
+const { getConfig } = require('./config');
+const { getDriver, onSessionEvent } = require('./connection');
+const { getRun } = require('./runs');
+const { sendMail } = require('./smtp');
+const { resolveSecretRef } = require('./secrets');
+
+const NOTIFICATION_EVENTS = ['run-failed', 'session-failed', 'repeated-failure', 'device-offline'];
+const CHANNEL_TYPES = ['webhook', 'smtp'];
+const SCREENSHOT_TIMEOUT = 10000;
+const WEBHOOK_TIMEOUT = 15000;
+const MAX_SCREENSHOTS = 20; // Screenshots of failed runs kept for repeated-failure messages
+
+const screenshots = new Map(); // runId -> base64 PNG
+let watching = false;
+
+/**
+ * Error of a test notification request
+ * Carries an HTTP status so API routes can answer with it directly
+ */
+class NotificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'NotificationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Get the notification settings from config.json
+ * A channel without a name is named after its type and place in the list, e.g. "webhook #2"
+ * @returns {{repeatedFailures: number, logLines: number, channels: Array<Object>}}
+ */
+function getNotificationConfig() {
+  const notifyConfig = getConfig().notifications || {};
+  return {
+    repeatedFailures: notifyConfig.repeatedFailures || 3,
+    logLines: notifyConfig.logLines || 20,
+    channels: (notifyConfig.channels || [])
+      .map((channel, index) => ({ ...channel, name: channel.name || `${channel.type} #${index + 1}` })),
+  };
+}
+
+/**
+ * Problem with a channel's configuration
+ * @returns {string|null}
+ */
+function channelProblem(channel) {
+  if (!CHANNEL_TYPES.includes(channel.type)) {
+    return `unknown type '${channel.type}', use one of: ${CHANNEL_TYPES.join(', ')}`;
+  }
+  if (channel.type === 'webhook' && !channel.url) return 'webhook needs a url';
+  if (channel.type === 'smtp' && (!channel.host || !channel.from || !channel.to)) return 'smtp needs host, from and to';
+  const unknown = (channel.events || []).find(event => !NOTIFICATION_EVENTS.includes(event));
+  if (unknown) return `unknown event '${unknown}', use one of: ${NOTIFICATION_EVENTS.join(', ')}`;
+  return null;
+}
+
+/**
+ * Channels that want an event
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {string} [trigger] - Trigger of the run, for run events
+ */
+function channelsFor(event, trigger) {
+  return getNotificationConfig().channels.filter(channel => {
+    if (channel.enabled === false) return false;
+
+    const problem = channelProblem(channel);
+    if (problem) {
+      console.error(`[Notify] Skipping channel ${channel.name}: ${problem}`);
+      return false;
+    }
+    return (!channel.events || channel.events.includes(event)) &&
+      (!trigger || !channel.triggers || channel.triggers.includes(trigger));
+  });
+}
+
+/**
+ * Value at a dotted path, e.g. "run.error.message"
+ */
+function lookup(context, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+/**
+ * Fill a webhook body template
+ * @param {any} template - JSON value from the channel's `body`
+ * @param {Object} context - The notification
+ * @returns {any}
+ */
+function render(template, context) {
+  if (Array.isArray(template)) return template.map(item => render(item, context));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, render(value, context)]));
+  }
+  if (typeof template !== 'string') return template;
+
+  const whole = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+  if (whole) {
+    const value = lookup(context, whole[1]);
+    return value === undefined ? null : value;
+  }
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = lookup(context, path);
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Last log records of a run as text lines
+ */
+function lastLogLines(run) {
+  const { logLines } = getNotificationConfig();
+  return ((run && run.logs) || [])
+    .slice(-logLines)
+    .map(record => `${record.timestamp} [${record.level}] ${record.message}`);
+}
+
+/**
+ * The parts of a run record worth sending (no logs, no params)
+ */
+function runSummary(run) {
+  if (!run) return null;
+  const { id, scriptId, scriptName, trigger, deviceId, status, startedAt, endedAt, durationMs, result, error } = run;
+  return { id, scriptId, scriptName, trigger, deviceId, status, startedAt, endedAt, durationMs, result, error };
+}
+
+/**
+ * Text lines describing a finished run
+ */
+function describeRun(run) {
+  const problem = run.error
+    ? `Error: ${run.error.name}: ${run.error.message}`
+    : `Result: ${(run.result && run.result.message) || JSON.stringify(run.result)}`;
+  return [
+    `Script: ${run.scriptName} (${run.scriptId})`,
+    `Device: ${run.deviceId}`,
+    `Trigger: ${run.trigger}`,
+    `Status: ${run.status}`,
+    problem,
+    `Started: ${run.startedAt}`,
+    `Duration: ${run.durationMs === null ? '-' : `${(run.durationMs / 1000).toFixed(1)}s`}`,
+    `Run: ${run.id}`,
+  ];
+}
+
+/**
+ * A channel setting that may refer to a secret, e.g. "pass": { "secret": "smtp.pass" }
+ * @throws {Error} If the secret can't be read
+ */
+function channelSecret(value, setting) {
+  try {
+    return resolveSecretRef(value);
+  } catch (error) {
+    throw new Error(`${setting}: ${error.message}`);
+  }
+}
+
+/**
+ * POST a notification to a webhook
+ */
+async function sendWebhook(channel, notification) {
+  const body = channel.body ? render(channel.body, notification) : notification;
+  const headers = Object.fromEntries(Object.entries(channel.headers || {})
+    .map(([name, value]) => [name, channelSecret(value, `headers.${name}`)]));
+  const res = await fetch(channel.url, {
+    method: channel.method || 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(channel.timeout || WEBHOOK_TIMEOUT),
+  });
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status} ${(await res.text()).slice(0, 200)}`);
+  }
+}
+
+/**
+ * Email a notification
+ */
+async function sendEmail(channel, notification) {
+  const logs = notification.logs.length > 0 ? `\n\nLast log lines:\n${notification.logs.join('\n')}` : '';
+  await sendMail({
+    host: channel.host,
+    port: channel.port,
+    secure: channel.secure,
+    starttls: channel.starttls,
+    user: channel.user,
+    pass: channelSecret(channel.pass, 'pass'),
+    timeout: channel.timeout,
+    from: channel.from,
+    to: [].concat(channel.to),
+    subject: `[Appium] ${notification.subject}`,
+    text: `${notification.message}${logs}\n`,
+    attachments: notification.screenshot
+      ? [{ filename: `${notification.run ? notification.run.id : 'screenshot'}.png`, contentType: 'image/png', content: Buffer.from(notification.screenshot, 'base64') }]
+      : [],
+  });
+}
+
+/**
+ * Send a notification to the channels that want it
+ * @param {Array<Object>} channels - From channelsFor()
+ * @param {Object} notification - { event, subject, message, run, logs, screenshot, ... }
+ * @returns {Promise<Array<{channel: string, sent: boolean, error?: string}>>} Never rejects
+ */
+function deliver(channels, notification) {
+  return Promise.all(channels.map(async (channel) => {
+    const { name } = channel;
+    try {
+      await (channel.type === 'smtp' ? sendEmail(channel, notification) : sendWebhook(channel, notification));
+      console.log(`[Notify] Sent ${notification.event} to ${name}`);
+      return { channel: name, sent: true };
+    } catch (error) {
+      console.error(`[Notify] Failed to send ${notification.event} to ${name}:`, error.message);
+      return { channel: name, sent: false, error: error.message };
+    }
+  }));
+}
+
+/**
+ * Failure event of a run status, null if the run didn't fail
+ */
+function failureEvent(run) {
+  if (run.status !== 'failed' && run.status !== 'error') return null;
+  return run.error && run.error.name === 'SessionStartError' ? 'session-failed' : 'run-failed';
+}
+
+/**
+ * Take the screenshot for a failed run's notifications, while its session is still open
+ * Only when a channel will send it (run or repeated failure of a scheduled run)
+ * @param {Object} run - Run record, not finished yet
+ * @param {string} status - The run's outcome
+ */
+async function captureRunScreenshot(run, status) {
+  const event = failureEvent({ ...run, status });
+  if (!event) return;
+  const wanted = channelsFor(event, run.trigger).length > 0 ||
+    (run.trigger === 'scheduler' && channelsFor('repeated-failure').length > 0);
+  const driver = getDriver(run.deviceId);
+  if (!wanted || !driver) return;
+
+  try {
+    const screenshot = await Promise.race([
+      driver.takeScreenshot(),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('timed out')), SCREENSHOT_TIMEOUT).unref()),
+    ]);
+    screenshots.set(run.id, screenshot);
+    if (screenshots.size > MAX_SCREENSHOTS) {
+      screenshots.delete(screenshots.keys().next().value);
+    }
+  } catch (error) {
+    console.error(`[Notify] Screenshot of run ${run.id} failed:`, error.message);
+  }
+}
+
+/**
+ * Notify the failure of a finished run (run-failed or session-failed), in the background
+ * @param {Object} run - Finished run record, with its logs
+ * @param {Object} [attempt] - Scheduled runs: { attempt, maxAttempts, willRetry } (see
+ *   scheduler.js), nothing is sent for an attempt that will be retried
+ */
+function notifyRunFailure(run, attempt = null) {
+  const event = failureEvent(run);
+  const channels = event && !(attempt && attempt.willRetry) ? channelsFor(event, run.trigger) : [];
+  if (channels.length === 0) return;
+
+  const subject = event === 'session-failed'
+    ? `Session failed to start for ${run.scriptName} on ${run.deviceId}`
+    : `${run.scriptName} ${run.status === 'failed' ? 'failed' : 'threw an error'} on ${run.deviceId}`;
+  const attempts = attempt ? [`Attempt: ${attempt.attempt}/${attempt.maxAttempts}, not retried`] : [];
+
+  deliver(channels, {
+    event,
+    subject,
+    message: [subject, '', ...describeRun(run), ...attempts].join('\n'),
+    run: runSummary(run),
+    attempt: attempt && { attempt: attempt.attempt, maxAttempts: attempt.maxAttempts },
+    logs: lastLogLines(run),
+    screenshot: screenshots.get(run.id) || null,
+  });
+}
+
+/**
+ * Notify that a scheduled task failed too many times in a row, in the background
+ * Sends once, when the count reaches notifications.repeatedFailures
+ * @param {Object} details
+ * @param {string} details.name - Task name
+ * @param {string} details.scriptId
+ * @param {number} details.failures - Consecutive failed runs so far
+ * @param {{kind: string, message: string}} details.failure - The last failure (see scheduler.js)
+ * @param {string|null} details.runId - The last failed run, null if nothing ran (device busy)
+ */
+function notifyRepeatedFailures({ name, scriptId, failures, failure, runId }) {
+  if (failures !== getNotificationConfig().repeatedFailures) return;
+  const channels = channelsFor('repeated-failure', 'scheduler');
+  if (channels.length === 0) return;
+
+  const run = runId ? getRun(runId) : null;
+  const subject = `${name} failed ${failures} times in a row`;
+  deliver(channels, {
+    event: 'repeated-failure',
+    subject,
+    message: [subject, '', `Task: ${scriptId}`, `Last failure: ${failure.kind} - ${failure.message}`, ...(run ? describeRun(run) : [])].join('\n'),
+    task: { name, scriptId, failures, failure },
+    run: runSummary(run),
+    logs: lastLogLines(run),
+    screenshot: (runId && screenshots.get(runId)) || null,
+  });
+}
+
+/**
+ * Send device-offline when session recovery gives up on a device (idempotent)
+ * Called when the scheduler's timer starts, so a headless server reports it
+ */
+function watchDevices() {
+  if (watching) return;
+  watching = true;
+
+  onSessionEvent(event => {
+    if (event.type !== 'gave-up') return;
+    const channels = channelsFor('device-offline');
+    if (channels.length === 0) return;
+
+    const subject = `Device ${event.deviceId} is offline`;
+    deliver(channels, {
+      event: 'device-offline',
+      subject,
+      message: [subject, '', `Session recovery gave up after ${event.attempt} attempt(s): ${event.message || 'unknown error'}`, `At: ${event.timestamp}`].join('\n'),
+      deviceId: event.deviceId,
+      run: null,
+      logs: [],
+      screenshot: null,
+    });
+  });
+}
+
+/**
+ * Configured channels, without credentials
+ * @returns {Array<Object>} { name, type, enabled, events, triggers, problem }
+ */
+function listChannels() {
+  return getNotificationConfig().channels.map(channel => ({
+    name: channel.name,
+    type: channel.type,
+    enabled: channel.enabled !== false,
+    events: channel.events || NOTIFICATION_EVENTS,
+    triggers: channel.triggers || null, // null = every trigger
+    problem: channelProblem(channel),
+  }));
+}
+
+/**
+ * Send a test message to channels, enabled or not, to check their settings
+ * @param {string} [name] - Channel name, defaults to every channel
+ * @returns {Promise<Array<{channel: string, sent: boolean, error?: string}>>}
+ * @throws {NotificationError} 404 if there is no such channel, 400 if its configuration is invalid
+ */
+async function sendTestNotification(name) {
+  const channels = getNotificationConfig().channels
+    .filter(channel => !name || channel.name === name);
+  if (channels.length === 0) {
+    throw new NotificationError(name ? `No notification channel '${name}'` : 'No notification channels in config.json', 404);
+  }
+  const invalid = channels.find(channelProblem);
+  if (invalid) {
+    throw new NotificationError(`Channel ${invalid.name}: ${channelProblem(invalid)}`);
+  }
+
+  const subject = 'Test notification';
+  return deliver(channels, {
+    event: 'test',
+    subject,
+    message: `${subject} from the Appium control server, sent ${new Date().toISOString()}`,
+    run: null,
+    logs: [],
+    screenshot: null,
+  });
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NotificationError,
+  captureRunScreenshot,
+  notifyRunFailure,
+  notifyRepeatedFailures,
+  watchDevices,
+  listChannels,
+  sendTestNotification,
+};
@@ -0,0 +1,197 @@
+/**
+ * Script Parameters Module
+ *
+ * Scripts declare typed parameters in module.exports.params, the UI renders a
+ * form from them and the runner validates the values before calling
+ * execute(appium, params).
+ *
+ * Declaration:
+ *   params: {
+ *     pin: { type: 'secret', description: 'Lock screen PIN, if not the stored device.pin' },
+ *     count: { type: 'number', default: 3, min: 1, max: 10 },
+ *     mode: { type: 'enum', values: ['fast', 'safe'], default: 'safe' },
+ *     dryRun: { type: 'boolean', default: false },
+ *     message: { type: 'string', required: true, label: 'Message to publish' }
+ *   }
+ *
+ * Real PINs and passwords don't belong in a script's defaults: the script reads them
+ * from the secret store with appium.secret('device.pin') (see secrets.js), a secret
+ * parameter only carries a value given for one run.
+ *
+ * Scripts that only export the older `config` object get a schema inferred from
+ * it: each string/number/boolean value becomes a parameter of that type with the
+ * value as default, names ending in pin/password/secret/token become secrets.
+ *
+ * @module params
+ */
+
+const PARAM_TYPES = ['string', 'number', 'boolean', 'enum', 'secret'];
+
+// Legacy config keys that hold credentials
+const SECRET_NAME = /(pin|password|secret|token)$/i;
+
+/**
+ * Error thrown when parameter values don't match the declaration
+ * Carries an HTTP status so API routes can answer 400 directly
+ */
+class ParamValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid params: ${errors.map(e => `${e.param}: ${e.message}`).join('; ')}`);
+    this.name = 'ParamValidationError';
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Normalize one declared parameter
+ * @throws {Error} If the declaration itself is invalid (a bug in the script)
+ */
+function normalizeParam(name, spec) {
+  const type = spec.type || 'string';
+  if (!PARAM_TYPES.includes(type)) {
+    throw new Error(`Param '${name}' has unknown type '${type}'. Use one of: ${PARAM_TYPES.join(', ')}`);
+  }
+  if (type === 'enum' && (!Array.isArray(spec.values) || spec.values.length === 0)) {
+    throw new Error(`Param '${name}' of type 'enum' needs a non-empty 'values' array`);
+  }
+
+  return {
+    name,
+    type,
+    label: spec.label || name,
+    description: spec.description || '',
+    default: spec.default,
+    required: Boolean(spec.required),
+    values: type === 'enum' ? spec.values : undefined,
+    min: spec.min,
+    max: spec.max,
+  };
+}
+
+/**
+ * Get the parameter schema of a script
+ * @param {Object} script - Loaded script module
+ * @returns {Array<Object>} Normalized parameters, in declaration order
+ * @throws {Error} If the declaration is invalid
+ */
+function getParamSchema(script) {
+  if (script.params) {
+    return Object.entries(script.params).map(([name, spec]) => normalizeParam(name, spec || {}));
+  }
+
+  // Legacy: infer from config, skipping values that can't be edited in a form
+  return Object.entries(script.config || {})
+    .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+    .map(([name, value]) => normalizeParam(name, {
+      type: typeof value === 'string' && SECRET_NAME.test(name) ? 'secret' : typeof value,
+      default: value,
+    }));
+}
+
+/**
+ * Convert one value to the parameter's type
+ * Form values arrive as strings, so "3" and "true" are accepted for numbers and booleans
+ * @returns {{value?: any, error?: string}}
+ */
+function coerceValue(param, raw) {
+  switch (param.type) {
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (param.min !== undefined && value < param.min) return { error: `must be at least ${param.min}` };
+      if (param.max !== undefined && value > param.max) return { error: `must be at most ${param.max}` };
+      return { value };
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'enum':
+      if (!param.values.includes(raw)) return { error: `must be one of: ${param.values.join(', ')}` };
+      return { value: raw };
+    default: // string, secret
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be a string' };
+      return { value: String(raw) };
+  }
+}
+
+/**
+ * Validate parameter values and fill in defaults
+ * @param {Array<Object>} schema - From getParamSchema()
+ * @param {Object} [values] - Provided values, undefined/null means "use the default"
+ * @returns {Object} Values to pass to execute(appium, params)
+ * @throws {ParamValidationError} If a value is invalid, missing or not declared
+ */
+function resolveParams(schema, values = {}) {
+  const errors = [];
+  const params = {};
+  const declared = new Set(schema.map(param => param.name));
+
+  for (const name of Object.keys(values || {})) {
+    if (!declared.has(name)) {
+      errors.push({ param: name, message: 'is not declared by the script' });
+    }
+  }
+
+  for (const param of schema) {
+    const raw = values ? values[param.name] : undefined;
+
+    if (raw === undefined || raw === null) {
+      if (param.default !== undefined) {
+        params[param.name] = param.default;
+      } else if (param.required) {
+        errors.push({ param: param.name, message: 'is required' });
+      }
+      continue;
+    }
+
+    const { value, error } = coerceValue(param, raw);
+    if (error) {
+      errors.push({ param: param.name, message: error });
+    } else {
+      params[param.name] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ParamValidationError(errors);
+  }
+  return params;
+}
+
+/**
+ * Copy of resolved values with secrets masked, for the run history and logs
+ * @param {Array<Object>} schema
+ * @param {Object} params - From resolveParams()
+ * @returns {Object}
+ */
+function maskParams(schema, params) {
+  const masked = { ...params };
+  for (const param of schema) {
+    if (param.type === 'secret' && masked[param.name] !== undefined) {
+      masked[param.name] = '***';
+    }
+  }
+  return masked;
+}
+
+/**
+ * Schema as shown to the UI: secret defaults are not sent, only whether one exists
+ * @param {Array<Object>} schema
+ * @returns {Array<Object>}
+ */
+function describeParams(schema) {
+  return schema.map(param => param.type === 'secret'
+    ? { ...param, default: undefined, hasDefault: param.default !== undefined }
+    : param);
+}
+
+module.exports = {
+  PARAM_TYPES,
+  ParamValidationError,
+  getParamSchema,
+  resolveParams,
+  maskParams,
+  describeParams,
+};
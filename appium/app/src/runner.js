@@ -0,0 +1,309 @@
+/**
+ * Script Runner Module
+ *
+ * Runs one script on one device: validates its parameters (see params.js), leases
+ * the device, optionally starts the session, executes the script with a wrapper
+ * bound to the device, runs the
+ * script's cleanup hook and records the run in the history (see runs.js).
+ * A run that exceeds its timeout (script.timeout or config.json scripts.runTimeout)
+ * is stopped like a cancelled one, without waiting for the script to return, and
+ * recorded as 'error'. A script that exports a workflow instead of execute runs its
+ * steps within the same run (see workflow.js).
+ * A session that fails to start is recorded as 'error' with a SessionStartError, so
+ * callers can tell it from a script that threw. Device hooks of a schedule (beforeRun /
+ * afterRun, e.g. unlock and lock, see schedule.js) run around the script. Failed runs
+ * are sent to the notification channels (see notify.js), unless the caller does it.
+ * Used by PUT /api/scripts and the scheduler.
+ *
+ * @module runner
+ */
+
+const { resolveDeviceId, getDriver, startAppiumSession, stopAppiumSession } = require('./connection');
+const { acquireLease, releaseLease, renewLease } = require('./lease');
+const { createAppiumWrapper } = require('./appium');
+const { RunCancelledError, startRun, finishRun, getRunSignal, untilAborted, cancelRun } = require('./runs');
+const { appendLog } = require('./logs');
+const { getParamSchema, resolveParams, maskParams } = require('./params');
+const { scriptLocation, scriptStack } = require('./loader');
+const { getConfig } = require('./config');
+const { runWorkflow } = require('./workflow');
+const { captureRunScreenshot, notifyRunFailure } = require('./notify');
+const { normalizeInterrupts } = require('./interrupts');
+
+/**
+ * Error a run's abort signal carries when the run exceeds its timeout
+ */
+class RunTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Run timed out after ${timeout / 1000}s`);
+    this.name = 'RunTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error recorded when the run's session couldn't be started (the script never ran)
+ */
+class SessionStartError extends Error {
+  constructor(cause) {
+    super(`Session failed to start: ${cause.message}`);
+    this.name = 'SessionStartError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Error recorded when a beforeRun hook failed (the script never ran)
+ */
+class RunHookError extends Error {
+  constructor(hook, cause) {
+    super(`beforeRun hook '${hook}' failed: ${cause.message}`);
+    this.name = 'RunHookError';
+    this.hook = hook;
+    this.cause = cause;
+  }
+}
+
+// What each device hook does (names in schedule.js RUN_HOOKS)
+const HOOK_ACTIONS = {
+  unlock: (appium) => appium.ensureUnlocked(),
+  lock: (appium) => appium.ensureLocked(),
+};
+
+/**
+ * Get the default run timeout from config.json (ms)
+ */
+function getRunTimeout() {
+  const scriptConfig = getConfig().scripts || {};
+  return scriptConfig.runTimeout || 60 * 60 * 1000;
+}
+
+/**
+ * Derive the run status from what the script returned
+ * A script that returns nothing (undefined) counts as a success
+ * @param {any} result
+ * @returns {'success'|'failed'}
+ */
+function statusFromResult(result) {
+  return result && result.success === false ? 'failed' : 'success';
+}
+
+/**
+ * Outcome of a run whose signal was aborted: 'cancelled' when a user cancelled it,
+ * 'error' for anything else (timeout)
+ */
+function abortedOutcome(signal, result) {
+  const status = signal.reason instanceof RunCancelledError ? 'cancelled' : 'error';
+  return { status, result, error: signal.reason };
+}
+
+/**
+ * Run the beforeRun hooks with the run's wrapper, the first failure stops the run
+ * @throws {RunHookError}
+ */
+async function runBeforeHooks(hooks, appiumWrapper) {
+  for (const hook of hooks) {
+    appiumWrapper.log(`beforeRun hook: ${hook}`);
+    try {
+      await HOOK_ACTIONS[hook](appiumWrapper);
+    } catch (error) {
+      throw new RunHookError(hook, error);
+    }
+  }
+}
+
+/**
+ * Run the afterRun hooks whatever the outcome, with a wrapper that isn't bound to
+ * the run's abort signal. Failures are logged and don't change the run status.
+ */
+async function runAfterHooks(hooks, { run, deviceId, scriptId }) {
+  if (hooks.length === 0) return;
+
+  const appiumWrapper = createAppiumWrapper(deviceId, { runId: run.id, scriptId });
+  for (const hook of hooks) {
+    appiumWrapper.log(`afterRun hook: ${hook}`);
+    try {
+      await HOOK_ACTIONS[hook](appiumWrapper);
+    } catch (error) {
+      console.error(`[Runner] afterRun hook '${hook}' of run ${run.id} failed:`, error.message);
+      appendLog({
+        level: 'error',
+        message: `afterRun hook '${hook}' failed: ${error.message}`,
+        runId: run.id,
+        scriptId,
+        deviceId,
+      });
+    }
+  }
+}
+
+/**
+ * Run the script's optional cleanup hook: module.exports.cleanup(appium, { status, error, params })
+ * It runs after execute() whatever the outcome, cancellation included, with a wrapper
+ * that isn't bound to the run's abort signal. A failing hook is logged and doesn't
+ * change the run status.
+ */
+async function runCleanup(script, { run, deviceId, scriptId, params, outcome }) {
+  if (typeof script.cleanup !== 'function') return;
+
+  const appiumWrapper = createAppiumWrapper(deviceId, { runId: run.id, scriptId, interrupts: script.interrupts });
+  try {
+    await script.cleanup(appiumWrapper, { status: outcome.status, error: outcome.error || null, params });
+  } catch (error) {
+    console.error(`[Runner] Cleanup of run ${run.id} failed:`, error.message);
+    appendLog({
+      level: 'error',
+      message: `Cleanup failed: ${error.message}`,
+      runId: run.id,
+      scriptId,
+      deviceId,
+    });
+  }
+}
+
+/**
+ * Execute a script and record the run
+ * The run can be cancelled with cancelRun(run.id) (see runs.js) while it executes:
+ * the runner stops waiting for the script (its next device call throws) and the run
+ * ends as 'cancelled'
+ * @param {Object} options
+ * @param {Object} options.script - Script loaded by loader.js (must export execute or
+ *   workflow, may export cleanup and timeout in ms)
+ * @param {string} options.scriptId - Script file name without extension
+ * @param {string} options.trigger - 'manual', 'api' or 'scheduler'
+ * @param {string} [options.deviceId] - Device id, defaults to the default device
+ * @param {Object} [options.params] - Parameter values, defaults filled in from the script's declaration
+ * @param {boolean} [options.startSession=false] - Start the session if none is running,
+ *   and stop it afterwards (a session someone else opened is left running)
+ * @param {number} [options.leaseTimeout] - Max wait for a busy device (ms), see lease.js
+ * @param {Object} [options.hooks] - Device hooks { before, after }, lists of names out of
+ *   RUN_HOOKS (see schedule.js)
+ * @param {boolean} [options.notify=true] - Notify a failure; the scheduler does it itself
+ *   once it knows whether the run is retried
+ * @returns {Promise<Object>} Finished run record, check run.status
+ * @throws {ParamValidationError} If the parameter values are invalid (no run is recorded)
+ * @throws {InterruptError} If the script's interrupt rules are invalid (no run is recorded)
+ * @throws {UnknownDeviceError} If the device isn't in config.json (no run is recorded)
+ * @throws {DeviceBusyError} If the device lease can't be acquired (no run is recorded)
+ */
+async function runScript({ script, scriptId, trigger, deviceId, params, startSession = false, leaseTimeout, hooks = {}, notify = true }) {
+  const id = resolveDeviceId(deviceId);
+  const schema = getParamSchema(script);
+  const resolvedParams = resolveParams(schema, params);
+  normalizeInterrupts(script.interrupts);
+  const lease = await acquireLease(id, `${trigger}:${scriptId}`, { timeout: leaseTimeout });
+  // A run may outlast the lease ttl (runTimeout, slow cleanup), hold the device until it ends
+  const renewal = setInterval(() => renewLease(lease), lease.ttl / 2);
+  let startedSession = false;
+
+  try {
+    const run = startRun({
+      scriptId,
+      scriptName: script.name,
+      trigger,
+      deviceId: id,
+      params: maskParams(schema, resolvedParams), // Secrets never reach the history
+    });
+    const signal = getRunSignal(run.id);
+    let ready = false; // The session is up, hooks may run
+    let executed = false;
+    let outcome;
+
+    const timeout = script.timeout || getRunTimeout();
+    const timer = setTimeout(() => cancelRun(run.id, new RunTimeoutError(timeout)), timeout);
+
+    try {
+      if (startSession) {
+        startedSession = !getDriver(id);
+        await startAppiumSession(id);
+      }
+      ready = true;
+
+      // Tag every log record of the script with the run, stop device calls once cancelled
+      const appiumWrapper = createAppiumWrapper(id, { runId: run.id, scriptId, signal, interrupts: script.interrupts });
+      await runBeforeHooks(hooks.before || [], appiumWrapper);
+
+      executed = true;
+      const result = script.workflow
+        ? await runWorkflow(script.workflow, { run, deviceId: id, params: resolvedParams, signal })
+        : await untilAborted(script.execute(appiumWrapper, resolvedParams), signal);
+      // A script may catch the cancellation error and return normally
+      outcome = signal.aborted ? abortedOutcome(signal, result) : { status: statusFromResult(result), result };
+    } catch (error) {
+      if (signal.aborted) {
+        outcome = abortedOutcome(signal);
+      } else if (error instanceof RunHookError) {
+        console.error(`[Runner] Run ${run.id} of "${scriptId}":`, error.message);
+        appendLog({
+          level: 'error',
+          message: error.message,
+          runId: run.id,
+          scriptId,
+          deviceId: id,
+        });
+        outcome = { status: 'error', error };
+      } else if (!executed) {
+        const sessionError = new SessionStartError(error);
+        console.error(`[Runner] Run ${run.id} of "${scriptId}":`, sessionError.message);
+        appendLog({
+          level: 'error',
+          message: sessionError.message,
+          runId: run.id,
+          scriptId,
+          deviceId: id,
+        });
+        outcome = { status: 'error', error: sessionError };
+      } else {
+        // Point at the script's own file and line, not at the server code it called
+        const location = scriptLocation(error);
+        console.error(`[Runner] Run ${run.id} of "${scriptId}" threw:`, error.message);
+        appendLog({
+          level: 'error',
+          message: `Script threw: ${error.message}${location ? ` (at ${location})` : ''}`,
+          runId: run.id,
+          scriptId,
+          deviceId: id,
+        });
+        outcome = { status: 'error', error: { name: error.name, message: error.message, stack: scriptStack(error), details: error.details } };
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (signal.aborted) {
+      appendLog({
+        level: outcome.status === 'cancelled' ? 'info' : 'error',
+        message: outcome.status === 'cancelled' ? 'Run cancelled' : `Run stopped: ${signal.reason.message}`,
+        runId: run.id,
+        scriptId,
+        deviceId: id,
+      });
+    }
+
+    // The screen as the run left it, before the cleanup hook changes it
+    await captureRunScreenshot(run, outcome.status);
+
+    if (executed) {
+      await runCleanup(script, { run, deviceId: id, scriptId, params: resolvedParams, outcome });
+    }
+    if (ready) {
+      await runAfterHooks(hooks.after || [], { run, deviceId: id, scriptId });
+    }
+    const finished = finishRun(run, outcome);
+    if (notify) notifyRunFailure(finished);
+    return finished;
+  } finally {
+    if (startedSession) {
+      await stopAppiumSession(id);
+    }
+    clearInterval(renewal);
+    releaseLease(lease);
+  }
+}
+
+module.exports = {
+  RunHookError,
+  RunTimeoutError,
+  SessionStartError,
+  runScript,
+};
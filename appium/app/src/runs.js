@@ -0,0 +1,320 @@
+/**
+ * Run History Module
+ *
+ * Records every script execution (manual, API or scheduler) in a JSON-lines
+ * file under data/, one line per finished run. Runs still in progress are
+ * kept in memory and listed first. Run start/finish is published to live
+ * subscribers (see onRunEvent). Each running run has an abort signal that
+ * cancelRun() triggers; the runner stops waiting for the script when it aborts
+ * (see untilAborted) and the script wrapper checks it before every device call.
+ *
+ * Run record:
+ * - id, scriptId, scriptName, trigger ('manual' | 'api' | 'scheduler'), deviceId
+ * - status: 'running' | 'success' | 'failed' (script returned success:false) | 'error' (thrown)
+ *   | 'cancelled' (stopped with cancelRun)
+ * - startedAt, endedAt (ISO), durationMs
+ * - params, result, error ({ name, message, stack, details? }, name tells what failed, e.g.
+ *   'SessionStartError', 'RunHookError', 'RunTimeoutError' or 'WaitTimeoutError', see runner.js;
+ *   details is kept from errors that carry it, like WaitTimeoutError)
+ * - logs: Structured log records of the run (see logs.js), droppedLogs: records lost
+ *   to the per-run ring buffer limit
+ * - steps: Workflow runs only, the state of each step (see workflow.js)
+ * Secret values are replaced by "***" everywhere in the record: logs (see logs.js),
+ * error, result and steps, so they reach neither the history file nor subscribers.
+ *
+ * @module runs
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { openRunLog, closeRunLog, getRunLogs } = require('./logs');
+const { redact } = require('./secrets');
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+const RUNS_FILE = path.join(DATA_DIR, 'runs.jsonl');
+
+const TRIGGERS = ['manual', 'api', 'scheduler'];
+
+const activeRuns = new Map(); // runId -> run record
+const controllers = new Map(); // runId -> AbortController of a running run
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open log stream
+
+/**
+ * Error a cancelled run's abort signal carries, thrown by the next device call
+ */
+class RunCancelledError extends Error {
+  constructor(runId) {
+    super(`Run '${runId}' was cancelled`);
+    this.name = 'RunCancelledError';
+    this.runId = runId;
+  }
+}
+
+/**
+ * JSON copy of a value with every secret in its strings replaced (see secrets.js)
+ * Script results reach the history and the live streams through it
+ * @returns {any} null for undefined, a note for a value JSON can't hold (e.g. circular)
+ */
+function redactValue(value) {
+  let json;
+  try {
+    json = JSON.stringify(value);
+  } catch (error) {
+    return `[Unserializable: ${error.message.split('\n')[0]}]`;
+  }
+  if (json === undefined) return null;
+
+  const redactStrings = (item) => {
+    if (typeof item === 'string') return redact(item);
+    if (Array.isArray(item)) return item.map(redactStrings);
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, redactStrings(entry)]));
+    }
+    return item;
+  };
+  return redactStrings(JSON.parse(json));
+}
+
+/**
+ * Run record without its logs, as sent to subscribers
+ */
+function summarizeRun(run) {
+  return { ...run, logs: undefined };
+}
+
+/**
+ * Subscribe to run state changes
+ * @param {Function} handler - Receives { type: 'started' | 'progress' | 'finished', run } (run
+ *   without logs), 'progress' when a running run changed (e.g. a workflow step finished)
+ * @returns {Function} Unsubscribe function
+ */
+function onRunEvent(handler) {
+  emitter.on('run', handler);
+  return () => emitter.off('run', handler);
+}
+
+/**
+ * Start recording a run
+ * @param {Object} info
+ * @param {string} info.scriptId - Script file name without extension
+ * @param {string} [info.scriptName] - Display name
+ * @param {string} info.trigger - 'manual', 'api' or 'scheduler'
+ * @param {string} info.deviceId
+ * @param {Object} [info.params]
+ * @returns {Object} Run record (status 'running')
+ */
+function startRun({ scriptId, scriptName, trigger, deviceId, params }) {
+  if (!TRIGGERS.includes(trigger)) {
+    throw new Error(`Invalid trigger '${trigger}'. Use one of: ${TRIGGERS.join(', ')}`);
+  }
+
+  const run = {
+    id: crypto.randomUUID(),
+    scriptId,
+    scriptName: scriptName || scriptId,
+    trigger,
+    deviceId,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    durationMs: null,
+    params: params || {},
+    result: null,
+    error: null,
+    logs: [],
+    droppedLogs: 0,
+  };
+
+  activeRuns.set(run.id, run);
+  controllers.set(run.id, new AbortController());
+  openRunLog(run.id);
+  emitter.emit('run', { type: 'started', run: summarizeRun(run) });
+  return run;
+}
+
+/**
+ * Update a running run and publish the change
+ * @param {Object} run - Record returned by startRun()
+ * @param {Object} changes - Fields to set, e.g. { steps }, stored redacted
+ * @returns {Object} The run record
+ */
+function updateRun(run, changes) {
+  Object.assign(run, redactValue(changes));
+  emitter.emit('run', { type: 'progress', run: summarizeRun(run) });
+  return run;
+}
+
+/**
+ * Finish a run and append it to the history file
+ * @param {Object} run - Record returned by startRun()
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'success', 'failed', 'error' or 'cancelled'
+ * @param {any} [outcome.result] - Value returned by the script, stored redacted
+ * @param {Error} [outcome.error] - Error thrown by the script
+ * @returns {Object} The finished run record
+ */
+function finishRun(run, { status, result, error }) {
+  const endedAt = new Date();
+
+  run.status = status;
+  run.endedAt = endedAt.toISOString();
+  run.durationMs = endedAt.getTime() - new Date(run.startedAt).getTime();
+  run.result = redactValue(result);
+  run.error = error
+    ? { name: error.name || 'Error', message: redact(error.message || String(error)), stack: redact(error.stack), ...(error.details && { details: redactValue(error.details) }) }
+    : null;
+  Object.assign(run, closeRunLog(run.id));
+
+  activeRuns.delete(run.id);
+  controllers.delete(run.id);
+
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(RUNS_FILE, JSON.stringify(run) + '\n');
+  } catch (writeError) {
+    console.error(`[Runs] Failed to persist run ${run.id}:`, writeError.message);
+  }
+
+  emitter.emit('run', { type: 'finished', run: summarizeRun(run) });
+  return run;
+}
+
+/**
+ * Get the abort signal of a running run
+ * @param {string} runId
+ * @returns {AbortSignal|null} null if the run isn't running
+ */
+function getRunSignal(runId) {
+  const controller = controllers.get(runId);
+  return controller ? controller.signal : null;
+}
+
+/**
+ * Wait for a script's promise, or until the run's signal aborts
+ * A script awaiting anything but a device call (a timer, a fetch) would otherwise
+ * hold the run and its device lease until it returns; it is left to settle on its
+ * own, its device calls throw from then on.
+ * @param {Promise|any} promise - e.g. what script.execute() returned
+ * @param {AbortSignal} signal - The run's signal (see getRunSignal)
+ * @returns {Promise<any>} Settles like promise
+ * @throws {Error} The signal's reason once it aborts
+ */
+function untilAborted(promise, signal) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Cancel a running run
+ * Aborts its signal: the runner stops waiting for the script, whose next device
+ * call throws. The runner records the run as 'cancelled' for a RunCancelledError,
+ * as 'error' for any other reason (e.g. the run timed out)
+ * @param {string} runId
+ * @param {Error} [reason] - Defaults to a RunCancelledError
+ * @returns {Object|null} The run (without logs), or null if it isn't running
+ */
+function cancelRun(runId, reason) {
+  const controller = controllers.get(runId);
+  if (!controller) return null;
+
+  if (!controller.signal.aborted) {
+    const error = reason || new RunCancelledError(runId);
+    console.log(`[Runs] Stopping run ${runId}: ${error.message}`);
+    controller.abort(error);
+  }
+  return summarizeRun(activeRuns.get(runId));
+}
+
+/**
+ * Read all finished runs from the history file, oldest first
+ * Corrupt lines (e.g. a partial write) are skipped
+ */
+function readHistory() {
+  if (!fs.existsSync(RUNS_FILE)) return [];
+
+  return fs.readFileSync(RUNS_FILE, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * List runs, newest first, running ones included
+ * @param {Object} [filter]
+ * @param {string} [filter.scriptId]
+ * @param {string} [filter.deviceId]
+ * @param {string} [filter.trigger]
+ * @param {string} [filter.status]
+ * @param {string} [filter.since] - ISO date, only runs started at or after it
+ * @param {number} [filter.limit=50]
+ * @param {number} [filter.offset=0]
+ * @param {boolean} [filter.includeLogs=false] - Logs can be large, omitted by default
+ * @returns {{total: number, runs: Array<Object>}}
+ */
+function listRuns(filter = {}) {
+  const { scriptId, deviceId, trigger, status, since } = filter;
+  const limit = filter.limit || 50;
+  const offset = filter.offset || 0;
+  const sinceTime = since ? new Date(since).getTime() : null;
+
+  const runs = [...readHistory(), ...activeRuns.values()]
+    .filter(run =>
+      (!scriptId || run.scriptId === scriptId) &&
+      (!deviceId || run.deviceId === deviceId) &&
+      (!trigger || run.trigger === trigger) &&
+      (!status || run.status === status) &&
+      (!sinceTime || new Date(run.startedAt).getTime() >= sinceTime)
+    )
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+  return {
+    total: runs.length,
+    runs: runs
+      .slice(offset, offset + limit)
+      .map(run => filter.includeLogs ? run : summarizeRun(run)),
+  };
+}
+
+/**
+ * Get a single run with its logs
+ * @param {string} runId
+ * @returns {Object|null}
+ */
+function getRun(runId) {
+  if (activeRuns.has(runId)) {
+    return { ...activeRuns.get(runId), logs: getRunLogs(runId) || [] };
+  }
+  return readHistory().find(run => run.id === runId) || null;
+}
+
+module.exports = {
+  TRIGGERS,
+  RunCancelledError,
+  startRun,
+  updateRun,
+  finishRun,
+  getRunSignal,
+  untilAborted,
+  cancelRun,
+  listRuns,
+  getRun,
+  onRunEvent,
+};
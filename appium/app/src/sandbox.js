@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * Sandbox Membrane Module
+ *
+ * The boundary between the server and the vm contexts scripts run in (see loader.js).
+ * A script must never hold a server object itself: from any of them,
+ * `.constructor.constructor` is the server's Function, which compiles code with
+ * full access (process, require). So every value crossing the boundary is wrapped
+ * in a proxy that wraps whatever goes through it in turn:
+ * - server values reach a script as proxies (globals, require, the appium wrapper,
+ *   elements, promises, errors)
+ * - script values reach the server as proxies, so a script function the server
+ *   calls (execute, cleanup, callbacks) gets its arguments wrapped
+ * The constructors and prototypes both sides have (Object, Function, Promise,
+ * Error, ...) are swapped for the other side's, so a script asking a server
+ * function for its constructor gets the context's Function, which can't compile
+ * strings (codeGeneration is off in script contexts).
+ *
+ * Proxies are built on an empty stand-in (shadow) of the same kind, not on the
+ * value: native code that looks through proxies (util.inspect calling a custom
+ * inspect function, Array.isArray) only ever finds the shadow. Typed arrays going
+ * to the server are copied, native code can't read them through a proxy.
+ *
+ * Rules for server code: never hand a server value to a script without toContext(),
+ * never keep a value from the context (vm.runInContext, module.exports) without
+ * toHost(). This file is strict mode code, so fn.caller never reveals its frames.
+ *
+ * @module sandbox
+ */
+
+const vm = require('vm');
+
+/**
+ * Constructors and prototypes every realm has, in a fixed order
+ * Also evaluated inside each context, keep it self-contained
+ */
+function listIntrinsics() {
+  const constructors = [
+    Object, Function, Array, Promise, Date, RegExp, Map, Set, WeakMap, WeakSet, ArrayBuffer,
+    Error, TypeError, RangeError, ReferenceError, SyntaxError, EvalError, URIError,
+    (async function () {}).constructor,
+    (function* () {}).constructor,
+    (async function* () {}).constructor,
+  ];
+  return constructors.flatMap(constructor => [constructor, constructor.prototype]);
+}
+
+const HOST_INTRINSICS = listIntrinsics();
+
+// Forwards calls to a server function; evaluated in each context, uses nothing a script could patch
+const BRIDGE_SOURCE = '(call) => function (...args) { return call(...args); }';
+
+// Reads a typed array's internal slots without running code a script could have patched
+const TypedArrayPrototype = Object.getPrototypeOf(Uint8Array.prototype);
+const typedArrayGetter = (key) => Object.getOwnPropertyDescriptor(TypedArrayPrototype, key).get;
+const typedArrayName = typedArrayGetter(Symbol.toStringTag);
+const typedArrayBuffer = typedArrayGetter('buffer');
+const typedArrayOffset = typedArrayGetter('byteOffset');
+const typedArrayLength = typedArrayGetter('byteLength');
+
+const isPrimitive = (value) => value === null || (typeof value !== 'object' && typeof value !== 'function');
+
+/**
+ * Copy a typed array of the context into a typed array of the server
+ * @returns {Object|null} null if value isn't a typed array
+ */
+function copyTypedArray(value) {
+  const name = typedArrayName.call(value);
+  if (!name) return null;
+
+  const bytes = new Uint8Array(typedArrayBuffer.call(value), typedArrayOffset.call(value), typedArrayLength.call(value));
+  return new globalThis[name](bytes.slice().buffer);
+}
+
+/**
+ * Empty stand-in of the same kind as value, for a proxy to be built on
+ * Functions get a bound function: callable, constructible and without own
+ * non-configurable properties
+ */
+function createShadow(value) {
+  if (typeof value === 'function') return function () {}.bind();
+  return Array.isArray(value) ? [] : {};
+}
+
+/**
+ * Map a list without calling its methods, it may come from the other side
+ */
+function mapList(list, fn) {
+  const result = [];
+  for (let i = 0; i < list.length; i++) result.push(fn(list[i]));
+  return result;
+}
+
+/**
+ * Copy a property descriptor, passing its values through fn
+ */
+function mapDescriptor(descriptor, fn) {
+  const mapped = {};
+  for (const key of ['configurable', 'enumerable', 'writable']) {
+    if (key in descriptor) mapped[key] = Boolean(descriptor[key]);
+  }
+  for (const key of ['value', 'get', 'set']) {
+    if (key in descriptor) mapped[key] = fn(descriptor[key]);
+  }
+  return mapped;
+}
+
+/**
+ * Proxy handler for a value of one side seen from the other
+ * The shadow gets a copy of what a proxy must report consistently with its target:
+ * non-configurable properties, and everything once the value stops being extensible
+ * @param {Object} value - The value behind the proxy
+ * @param {Object} shadow - The proxy's target, see createShadow
+ * @param {Function} out - Wraps values handed out to the viewing side
+ * @param {Function} back - Unwraps values the viewing side hands in
+ */
+function createHandler(value, shadow, out, back) {
+  // Errors cross too, including the ones the engine throws in a trap
+  const guard = (trap) => (...args) => {
+    try {
+      return trap(...args);
+    } catch (error) {
+      throw out(error);
+    }
+  };
+
+  const describe = (key) => {
+    const descriptor = Reflect.getOwnPropertyDescriptor(value, key);
+    if (!descriptor) return undefined;
+
+    const mapped = mapDescriptor(descriptor, out);
+    if (!mapped.configurable) Reflect.defineProperty(shadow, key, mapped);
+    return mapped;
+  };
+
+  const syncExtensible = () => {
+    if (Reflect.isExtensible(value) || !Reflect.isExtensible(shadow)) return;
+
+    for (const key of Reflect.ownKeys(value)) {
+      Reflect.defineProperty(shadow, key, mapDescriptor(Reflect.getOwnPropertyDescriptor(value, key), out));
+    }
+    Reflect.setPrototypeOf(shadow, out(Reflect.getPrototypeOf(value)));
+    Reflect.preventExtensions(shadow);
+  };
+
+  return {
+    get: guard((target, key) => out(Reflect.get(value, key))),
+    set: guard((target, key, newValue) => Reflect.set(value, key, back(newValue))),
+    has: guard((target, key) => Reflect.has(value, key)),
+    deleteProperty: guard((target, key) => {
+      const deleted = Reflect.deleteProperty(value, key);
+      if (deleted) Reflect.deleteProperty(shadow, key);
+      return deleted;
+    }),
+    ownKeys: guard(() => {
+      syncExtensible();
+      return Reflect.ownKeys(value);
+    }),
+    getOwnPropertyDescriptor: guard((target, key) => {
+      syncExtensible();
+      return describe(key);
+    }),
+    defineProperty: guard((target, key, descriptor) => {
+      const defined = Reflect.defineProperty(value, key, mapDescriptor(descriptor, back));
+      if (defined) describe(key);
+      return defined;
+    }),
+    getPrototypeOf: guard(() => {
+      syncExtensible();
+      return out(Reflect.getPrototypeOf(value));
+    }),
+    setPrototypeOf: guard((target, prototype) => Reflect.setPrototypeOf(value, back(prototype))),
+    isExtensible: guard(() => {
+      syncExtensible();
+      return Reflect.isExtensible(shadow);
+    }),
+    preventExtensions: guard(() => {
+      Reflect.preventExtensions(value);
+      syncExtensible();
+      return true;
+    }),
+    apply: guard((target, thisArg, args) => out(Reflect.apply(value, back(thisArg), mapList(args, back)))),
+    construct: guard((target, args, newTarget) => out(Reflect.construct(value, mapList(args, back), back(newTarget)))),
+  };
+}
+
+/**
+ * Create the membrane of a script context
+ * Call it before any script code runs in the context
+ * @param {Object} context - From vm.createContext()
+ * @returns {{toContext: Function, toHost: Function, exposeRaw: Function}}
+ *   toContext(value) makes a server value safe to hand to scripts,
+ *   toHost(value) makes a script value safe for the server to use,
+ *   exposeRaw(fn) makes a script function of a server function that reads
+ *   the script's values itself (see below)
+ */
+function createMembrane(context) {
+  const contextIntrinsics = vm.runInContext(`(${listIntrinsics})()`, context);
+  const hostToContext = new Map(HOST_INTRINSICS.map((value, i) => [value, contextIntrinsics[i]]));
+  const contextToHost = new Map(contextIntrinsics.map((value, i) => [value, HOST_INTRINSICS[i]]));
+  const bridge = vm.runInContext(BRIDGE_SOURCE, context);
+
+  // Proxy of each value, and the value behind each proxy
+  const outbound = new WeakMap();
+  const outboundTargets = new WeakMap();
+  const inbound = new WeakMap();
+  const inboundTargets = new WeakMap();
+
+  const toContext = (value) => {
+    if (isPrimitive(value)) return value;
+    if (hostToContext.has(value)) return hostToContext.get(value);
+    if (inboundTargets.has(value)) return inboundTargets.get(value);
+
+    if (!outbound.has(value)) {
+      const shadow = createShadow(value);
+      const proxy = new Proxy(shadow, createHandler(value, shadow, toContext, toHost));
+      outbound.set(value, proxy);
+      outboundTargets.set(proxy, value);
+    }
+    return outbound.get(value);
+  };
+
+  const toHost = (value) => {
+    if (isPrimitive(value)) return value;
+    if (contextToHost.has(value)) return contextToHost.get(value);
+    if (outboundTargets.has(value)) return outboundTargets.get(value);
+
+    const copy = copyTypedArray(value);
+    if (copy) return copy;
+
+    if (!inbound.has(value)) {
+      const shadow = createShadow(value);
+      const proxy = new Proxy(shadow, createHandler(value, shadow, toHost, toContext));
+      inbound.set(value, proxy);
+      inboundTargets.set(proxy, value);
+    }
+    return inbound.get(value);
+  };
+
+  /**
+   * Expose a server function to scripts that gets the script's arguments as they
+   * are, for native code that must read them itself (structuredClone,
+   * util.format): only proxies of server values are unwrapped. fn must read its
+   * arguments, never call them; its result and errors are wrapped.
+   */
+  const exposeRaw = (fn) => bridge((...args) => {
+    try {
+      return toContext(fn(...args.map(arg => (outboundTargets.has(arg) ? outboundTargets.get(arg) : arg))));
+    } catch (error) {
+      throw toContext(error);
+    }
+  });
+
+  return { toContext, toHost, exposeRaw };
+}
+
+module.exports = {
+  createMembrane,
+};
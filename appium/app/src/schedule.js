@@ -0,0 +1,323 @@
+/**
+ * Schedule Module
+ *
+ * Turns the `schedule` a script exports into one normalized shape the scheduler
+ * can use, whatever form the script chose:
+ * - cron: { cron: '30 9 * * 1-5', timezone: 'Asia/Shanghai' } (see cron.js)
+ * - interval: { interval: 24 * 60 * 60 * 1000, nextRun: '2025-10-23T10:00:00.000Z' }
+ *   Every `interval` ms counted from the `nextRun` anchor (ISO 8601); without an
+ *   anchor the first run is one interval after the schedule is loaded
+ * - period: { period: 24 * 60 * 60, position: 12 * 60 * 60 }
+ *   `position` seconds into each UTC-aligned `period` (seconds)
+ *
+ * Common fields: enabled, offset (random ±seconds), deviceId, params, and what to do
+ * with runs missed while the server was down:
+ * - missedRunPolicy: 'skip' (default), 'run-once' (one catch-up run on startup) or
+ *   'run-all' (every missed run within the last missedRunWindow seconds, default one day)
+ * - retry: { maxAttempts, backoff, factor, maxBackoff, on } to retry a failed run
+ *   after backoff * factor^(attempt - 1) seconds (at most maxBackoff), for the
+ *   failure kinds listed in `on` (see FAILURE_KINDS). Without it a failed run waits
+ *   for the next scheduled time.
+ * - priority: Order in the device queue when several tasks are due (higher first, default 0)
+ * - queueTimeout: Seconds a due run may wait in the device queue before it is
+ *   skipped (default 1800)
+ * - allowedWindows: When runs may start, on top of config.json scheduler.allowedWindows
+ *   (see windows.js)
+ * - beforeRun / afterRun: Device hooks around each run, out of RUN_HOOKS, e.g.
+ *   beforeRun: 'unlock', afterRun: 'lock' (see lockscreen.js). A failing beforeRun
+ *   hook fails the run before the script starts; afterRun hooks run whatever the
+ *   outcome and only log their failures
+ *
+ * A schedule that can't be used throws a ScheduleError saying why, so the
+ * scheduler can report it instead of silently skipping the script.
+ *
+ * @module schedule
+ */
+
+const { parseCron } = require('./cron');
+const { getConfig, getDeviceIds, getDeviceProfile } = require('./config');
+const { AllowedWindows } = require('./windows');
+const { normalizeDeviceLock } = require('./lockscreen');
+
+/**
+ * Error thrown for a schedule the scheduler can't use
+ */
+class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+  }
+}
+
+const MISSED_RUN_POLICIES = ['skip', 'run-once', 'run-all'];
+const DEFAULT_MISSED_RUN_WINDOW = 24 * 60 * 60; // seconds
+
+// What went wrong with a scheduled run, as classified by the scheduler:
+// - busy: The device stayed leased by someone else, nothing ran
+// - session: The session failed to start, the script never ran
+// - failed: The script returned success: false
+// - error: The script threw (or timed out)
+// A run that waited in its device queue past queueTimeout is reported as 'expired'
+// and never retried
+const FAILURE_KINDS = ['busy', 'session', 'failed', 'error'];
+const DEFAULT_QUEUE_TIMEOUT = 30 * 60; // seconds
+const DEFAULT_RETRY = { maxAttempts: 3, backoff: 60, factor: 2, maxBackoff: 60 * 60, on: ['busy', 'session'] };
+
+// Device hooks a schedule can run before / after its runs (see runner.js)
+const RUN_HOOKS = ['unlock', 'lock'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Readable duration for descriptions, e.g. 90000 -> "1m 30s"
+ * @param {number} ms
+ */
+function formatDuration(ms) {
+  const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+  const parts = [];
+  let rest = ms;
+
+  for (const [unit, size] of units) {
+    if (rest >= size) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+  return parts.join(' ') || `${ms}ms`;
+}
+
+function cronTiming(schedule) {
+  let cron;
+  try {
+    cron = parseCron(schedule.cron, { timezone: schedule.timezone });
+  } catch (error) {
+    throw new ScheduleError(error.message);
+  }
+
+  return {
+    kind: 'cron',
+    next: (after) => cron.next(after),
+    describe: () => cron.describe(),
+  };
+}
+
+function intervalTiming(schedule, loadedAt) {
+  const { interval, nextRun } = schedule;
+  if (!isNumber(interval) || interval < 1000) {
+    throw new ScheduleError(`interval must be a number of milliseconds (at least 1000), got ${JSON.stringify(interval)}`);
+  }
+
+  const anchor = nextRun === undefined ? loadedAt + interval : new Date(nextRun).getTime();
+  if (Number.isNaN(anchor)) {
+    throw new ScheduleError(`nextRun must be an ISO 8601 date, got ${JSON.stringify(nextRun)}`);
+  }
+
+  return {
+    kind: 'interval',
+    // First anchor + k * interval strictly after `after`
+    next: (after) => {
+      if (anchor > after) return anchor;
+      return anchor + (Math.floor((after - anchor) / interval) + 1) * interval;
+    },
+    describe: () => `Every ${formatDuration(interval)} from ${new Date(anchor).toISOString()}`,
+  };
+}
+
+function periodTiming(schedule) {
+  const { period, position } = schedule;
+  if (!isNumber(period) || period <= 0) {
+    throw new ScheduleError(`period must be a positive number of seconds, got ${JSON.stringify(period)}`);
+  }
+  if (!isNumber(position) || position < 0 || position >= period) {
+    throw new ScheduleError(`position must be a number of seconds from 0 to period, got ${JSON.stringify(position)}`);
+  }
+
+  return {
+    kind: 'period',
+    // `position` into the current period if that is still ahead, else into the next one
+    next: (after) => {
+      const periodStart = Math.floor(after / 1000 / period) * period;
+      const slot = (periodStart + position) * 1000;
+      return slot > after ? slot : slot + period * 1000;
+    },
+    describe: () => `Every ${formatDuration(period * 1000)} at ${formatDuration(position * 1000)} into the period (UTC-aligned)`,
+  };
+}
+
+/**
+ * Validate the retry settings, filling in defaults
+ * @param {Object} [retry]
+ * @param {Object} [defaults] - Replace some of the default settings (e.g. `on` for workflow steps)
+ * @returns {Object} { maxAttempts, backoff, factor, maxBackoff, on }, maxAttempts 1 without retry
+ */
+function normalizeRetry(retry, defaults = {}) {
+  if (retry === undefined) return { ...DEFAULT_RETRY, ...defaults, maxAttempts: 1 };
+  if (!retry || typeof retry !== 'object') {
+    throw new ScheduleError('retry must be an object');
+  }
+
+  const settings = { ...DEFAULT_RETRY, ...defaults, ...retry };
+  if (!Number.isInteger(settings.maxAttempts) || settings.maxAttempts < 1) {
+    throw new ScheduleError(`retry.maxAttempts must be a positive integer, got ${JSON.stringify(settings.maxAttempts)}`);
+  }
+  for (const key of ['backoff', 'maxBackoff']) {
+    if (!isNumber(settings[key]) || settings[key] < 0) {
+      throw new ScheduleError(`retry.${key} must be a non-negative number of seconds, got ${JSON.stringify(settings[key])}`);
+    }
+  }
+  if (!isNumber(settings.factor) || settings.factor < 1) {
+    throw new ScheduleError(`retry.factor must be a number of at least 1, got ${JSON.stringify(settings.factor)}`);
+  }
+  if (!Array.isArray(settings.on) || settings.on.some(kind => !FAILURE_KINDS.includes(kind))) {
+    throw new ScheduleError(`retry.on must list failure kinds out of: ${FAILURE_KINDS.join(', ')}, got ${JSON.stringify(settings.on)}`);
+  }
+  return settings;
+}
+
+/**
+ * Allowed windows that apply to a schedule: the global ones, then the schedule's own
+ * Windows without a timezone use the schedule's timezone, else the server's
+ * @returns {Array<AllowedWindows>}
+ */
+function loadAllowedWindows(schedule) {
+  const list = [];
+  const global = (getConfig().scheduler || {}).allowedWindows;
+
+  if (global) {
+    try {
+      list.push(new AllowedWindows(global));
+    } catch (error) {
+      throw new ScheduleError(`config.json scheduler.${error.message}`);
+    }
+  }
+  if (schedule.allowedWindows !== undefined) {
+    try {
+      list.push(new AllowedWindows(schedule.allowedWindows, { timezone: schedule.timezone }));
+    } catch (error) {
+      throw new ScheduleError(error.message);
+    }
+  }
+  return list;
+}
+
+/**
+ * Validate and normalize a script's schedule
+ * @param {Object} schedule - The script's module.exports.schedule
+ * @param {Object} [options]
+ * @param {number} [options.loadedAt=Date.now()] - Anchor of interval schedules without nextRun
+ * @returns {Object} { kind: 'cron' | 'interval' | 'period', enabled, offset, deviceId, params,
+ *   missedRunPolicy, missedRunWindow (seconds), retry (see normalizeRetry), priority,
+ *   queueTimeout (seconds), allowedWindows (list of AllowedWindows, see windows.js),
+ *   hooks ({ before, after } lists of RUN_HOOKS),
+ *   next(after) -> timestamp | null, nextTimes(count, after) -> timestamps, describe() -> string }
+ *   next() is the fire time before the random offset
+ * @throws {ScheduleError} If the schedule can't be used
+ */
+function normalizeSchedule(schedule, { loadedAt = Date.now() } = {}) {
+  if (!schedule || typeof schedule !== 'object') {
+    throw new ScheduleError('schedule must be an object');
+  }
+
+  const shapes = [
+    schedule.cron !== undefined && 'cron',
+    schedule.interval !== undefined && 'interval',
+    (schedule.period !== undefined || schedule.position !== undefined) && 'period/position',
+  ].filter(Boolean);
+
+  if (shapes.length === 0) {
+    throw new ScheduleError('missing cron, interval or period/position');
+  }
+  if (shapes.length > 1) {
+    throw new ScheduleError(`use only one of cron, interval or period/position (got ${shapes.join(' and ')})`);
+  }
+
+  const offset = schedule.offset === undefined ? 0 : schedule.offset;
+  if (!isNumber(offset) || offset < 0) {
+    throw new ScheduleError(`offset must be a non-negative number of seconds, got ${JSON.stringify(offset)}`);
+  }
+
+  if (schedule.deviceId !== undefined && !getDeviceIds().includes(schedule.deviceId)) {
+    throw new ScheduleError(`unknown device '${schedule.deviceId}'. Available: ${getDeviceIds().join(', ')}`);
+  }
+
+  const missedRunPolicy = schedule.missedRunPolicy === undefined ? 'skip' : schedule.missedRunPolicy;
+  if (!MISSED_RUN_POLICIES.includes(missedRunPolicy)) {
+    throw new ScheduleError(`missedRunPolicy must be one of: ${MISSED_RUN_POLICIES.join(', ')}, got ${JSON.stringify(missedRunPolicy)}`);
+  }
+
+  const missedRunWindow = schedule.missedRunWindow === undefined ? DEFAULT_MISSED_RUN_WINDOW : schedule.missedRunWindow;
+  if (!isNumber(missedRunWindow) || missedRunWindow <= 0) {
+    throw new ScheduleError(`missedRunWindow must be a positive number of seconds, got ${JSON.stringify(missedRunWindow)}`);
+  }
+
+  const retry = normalizeRetry(schedule.retry);
+
+  const priority = schedule.priority === undefined ? 0 : schedule.priority;
+  if (!isNumber(priority)) {
+    throw new ScheduleError(`priority must be a number, got ${JSON.stringify(priority)}`);
+  }
+
+  const queueTimeout = schedule.queueTimeout === undefined ? DEFAULT_QUEUE_TIMEOUT : schedule.queueTimeout;
+  if (!isNumber(queueTimeout) || queueTimeout <= 0) {
+    throw new ScheduleError(`queueTimeout must be a positive number of seconds, got ${JSON.stringify(queueTimeout)}`);
+  }
+
+  const allowedWindows = loadAllowedWindows(schedule);
+
+  const hooks = {};
+  for (const [field, key] of [['beforeRun', 'before'], ['afterRun', 'after']]) {
+    hooks[key] = schedule[field] === undefined ? [] : [].concat(schedule[field]);
+    const unknown = hooks[key].find(hook => !RUN_HOOKS.includes(hook));
+    if (unknown !== undefined) {
+      throw new ScheduleError(`${field} must list hooks out of: ${RUN_HOOKS.join(', ')}, got ${JSON.stringify(unknown)}`);
+    }
+  }
+  if (hooks.before.length > 0 || hooks.after.length > 0) {
+    // The lock settings of the device must be usable before the first run
+    try {
+      normalizeDeviceLock(getDeviceProfile(schedule.deviceId).device);
+    } catch (error) {
+      throw new ScheduleError(`beforeRun/afterRun: ${error.message}`);
+    }
+  }
+
+  const timing = shapes[0] === 'cron'
+    ? cronTiming(schedule)
+    : shapes[0] === 'interval'
+      ? intervalTiming(schedule, loadedAt)
+      : periodTiming(schedule);
+
+  return {
+    ...timing,
+    enabled: Boolean(schedule.enabled),
+    offset,
+    deviceId: schedule.deviceId, // undefined = default device
+    params: schedule.params,
+    missedRunPolicy,
+    missedRunWindow,
+    retry,
+    priority,
+    queueTimeout,
+    allowedWindows,
+    hooks,
+    nextTimes(count, after = Date.now()) {
+      const times = [];
+      let time = after;
+      while (times.length < count) {
+        time = timing.next(time);
+        if (time === null) break;
+        times.push(time);
+      }
+      return times;
+    },
+  };
+}
+
+module.exports = {
+  FAILURE_KINDS,
+  RUN_HOOKS,
+  MISSED_RUN_POLICIES,
+  ScheduleError,
+  normalizeRetry,
+  normalizeSchedule,
+};
@@ -1,56 +1,91 @@
 /**
  * Task Scheduler with Min Heap
  *
- * Uses a min heap to efficiently manage scheduled tasks based on:
- * - period: Period in seconds, e.g., 24*60*60 for one day
- * - position: Position in seconds within period, e.g., 12*60*60 for 12:00 in a day
+ * Uses a min heap to efficiently manage scheduled tasks. A script's schedule
+ * takes one of these shapes (normalized by schedule.js):
+ * - cron + timezone: e.g. '30 9 * * 1-5' for weekdays at 09:30 (see cron.js)
+ * - interval + nextRun: every interval ms from the nextRun anchor (ISO 8601)
+ * - period + position: position seconds into each UTC-aligned period (seconds)
+ * and may add:
  * - offset: Random offset in seconds, e.g., 3600 for random execution within ±1 hour
+ * - deviceId: Optional device id from config.json, defaults to the default device
+ * - params: Optional parameter values for execute(appium, params), see params.js
+ * - missedRunPolicy / missedRunWindow: Catch-up of runs missed while the server was down
+ * - retry: Retry a failed run with exponential backoff, by kind of failure (see schedule.js)
+ * - priority / queueTimeout: Place in the device queue, and how long a run may wait in it
+ * - allowedWindows: When runs may start, with config.json scheduler.allowedWindows (see
+ *   windows.js). A run that would start outside them moves to the next allowed slot.
+ * - beforeRun / afterRun: Device hooks around each run, e.g. 'unlock' and 'lock' with
+ *   the device's config.json lock settings (see lockscreen.js)
+ *
+ * A scheduled script may be a workflow of several scripts (see workflow.js), it is
+ * scheduled, queued and retried as a whole while its steps retry on their own.
+ *
+ * Due tasks go through a queue per device and run one after another (highest
+ * priority first), so two tasks never start and stop the same session under
+ * each other. A task that waits longer than its queueTimeout is skipped.
+ *
+ * Tasks can be managed at runtime (see /api/scheduler/tasks): enabled or disabled
+ * (overriding schedule.enabled), snoozed until a time, triggered right away, and
+ * all scripts reloaded from disk. Overrides are saved with the task state.
+ *
+ * Each task's next run (random offset included), pending catch-up runs and last
+ * run are saved to data/scheduler-state.json and restored by initialize(), so a
+ * restart neither skips a pending run nor re-randomizes it.
+ *
+ * Consecutive failures of a task are counted and reported to the notification
+ * channels once they reach notifications.repeatedFailures (see notify.js).
+ *
+ * Tasks fire from a built-in timer (startTimer) that sleeps until the first
+ * task in the heap is due. GET /api/scheduler starts it (instrumentation.js
+ * calls it on server boot) and checks for due tasks on demand.
  */
 
 import fs from 'fs';
 import path from 'path';
-import { startAppiumSession, stopAppiumSession, createAppiumWrapper } from './appium.js';
-
-// Scripts directory (reference from app/api/scripts/route.js)
-const SCRIPTS_DIR = path.join(process.cwd(), 'app', 'scripts');
+import { getLease } from './lease.js';
+import { resolveDeviceId } from './connection.js';
+import { runScript } from './runner.js';
+import { getParamSchema, resolveParams } from './params.js';
+import { listScripts } from './loader.js';
+import { normalizeSchedule } from './schedule.js';
+import { nextAllowedTime } from './windows.js';
+import { normalizeWorkflow } from './workflow.js';
+import { normalizeInterrupts } from './interrupts.js';
+import { notifyRunFailure, notifyRepeatedFailures, watchDevices } from './notify.js';
 
 // Global variables for singleton pattern (like appium.js)
 let heap = null;
 let initialized = false;
+let rejected = []; // Scripts whose schedule can't be used: { name, scriptId, file, reason }
+let disabled = []; // Scripts with a valid schedule that isn't enabled
+let tasksById = new Map(); // scriptId -> task, every valid schedule (enabled or not)
+let generation = 0; // Bumped by reloadTasks() and updateTaskState(), runs of older tasks aren't rescheduled
 
-/**
- * Helper function to load CommonJS module from file
- * (Reference from app/api/scripts/route.js)
- */
-function loadCommonJSModule(filePath) {
-  const code = fs.readFileSync(filePath, 'utf-8');
-  const module = { exports: {} };
-  const exports = module.exports;
-
-  // Create a function wrapper to execute the module code
-  const wrappedCode = `(function(module, exports, require) {
-    ${code}
-    return module.exports;
-  })`;
-
-  // Create a custom require function for the module
-  const customRequire = (modulePath) => {
-    if (modulePath.startsWith('.')) {
-      // Resolve relative paths
-      const resolvedPath = path.resolve(path.dirname(filePath), modulePath);
-      if (fs.existsSync(resolvedPath + '.js')) {
-        return loadCommonJSModule(resolvedPath + '.js');
-      } else if (fs.existsSync(resolvedPath)) {
-        return loadCommonJSModule(resolvedPath);
-      }
-    }
-    // For node_modules, use dynamic import or throw
-    throw new Error(`Cannot require '${modulePath}' from scripts`);
-  };
+const STATE_FILE = path.join(process.cwd(), 'data', 'scheduler-state.json');
+const MAX_MISSED_RUNS = 1000; // Don't enumerate missed runs forever after a long downtime
+let taskState = {}; // scriptId -> { schedule, loadedAt, fireTime, nextRun, missed, lastRun, enabled, snoozedUntil }
 
-  // Execute the wrapped code
-  const fn = eval(wrappedCode);
-  return fn(module, exports, customRequire);
+// deviceId -> { running: { task, startedAt } | null, queued: [{ task, queuedAt }] }
+const deviceQueues = new Map();
+
+// Built-in timer: wakes when the first task is due, and at least every MAX_SLEEP
+// so a long sleep never hides a dead loop (and clock changes are picked up)
+const MAX_SLEEP = 60 * 1000;
+const TICK_GRACE = 10 * 1000; // Late wake-up still considered alive
+let timer = null;
+let loop = { running: false, startedAt: null, lastTick: null, nextWake: null, lastError: null };
+
+/**
+ * Error of a task management call
+ * Carries an HTTP status so API routes can answer with it directly
+ */
+class SchedulerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SchedulerError';
+    this.status = status;
+  }
 }
 
 /**
@@ -129,38 +164,219 @@ class MinHeap {
   getAll() {
     return [...this.heap];
   }
+
+  /**
+   * Remove every task matching a predicate
+   */
+  remove(predicate) {
+    const kept = this.heap.filter(task => !predicate(task));
+    this.heap = [];
+    kept.forEach(task => this.push(task));
+  }
 }
 
 /**
- * Calculate next run time based on period, position, and offset
- * @param {number} period - Period in seconds
- * @param {number} position - Position in seconds within period
+ * Pick a random offset within ±offset seconds
  * @param {number} offset - Random offset in seconds
- * @returns {number} Next run timestamp (milliseconds)
+ * @returns {number} Offset in milliseconds
+ */
+function randomOffset(offset) {
+  return (Math.floor(Math.random() * (offset * 2 + 1)) - offset) * 1000;
+}
+
+/**
+ * Calculate the next run of a task
+ * The search starts after the previous fire time, so a run the random offset
+ * moved earlier isn't repeated
+ * @param {Object} task - Task with timing (see schedule.js) and fireTime (previous, if any)
+ * @returns {{fireTime: number, nextRun: number, jitter: number}|null} fireTime is the run
+ *   time before the random offset (jitter, ms), null if the schedule never fires again
  */
-function calculateNextRun(period, position, offset) {
+function calculateTaskRun(task) {
+  const fireTime = task.timing.next(Math.max(Date.now(), task.fireTime || 0, task.snoozedUntil || 0));
+  if (fireTime === null) return null;
+  const jitter = randomOffset(task.timing.offset);
+  return { fireTime, nextRun: fireTime + jitter, jitter };
+}
+
+/**
+ * Read the saved task state, an unreadable file counts as empty
+ * @returns {Object} scriptId -> saved state
+ */
+function loadState() {
+  if (!fs.existsSync(STATE_FILE)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8')).tasks || {};
+  } catch (error) {
+    console.error('[Scheduler] Failed to read saved state, starting fresh:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Write the task state (to a temp file first, so a crash never leaves half a file)
+ */
+function saveState() {
+  try {
+    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+    fs.writeFileSync(`${STATE_FILE}.tmp`, JSON.stringify({ savedAt: new Date().toISOString(), tasks: taskState }, null, 2));
+    fs.renameSync(`${STATE_FILE}.tmp`, STATE_FILE);
+  } catch (error) {
+    console.error('[Scheduler] Failed to save state:', error.message);
+  }
+}
+
+/**
+ * Remember a task's pending run
+ * The schedule is saved with it: a saved run only applies to the schedule it was computed for
+ */
+function recordTaskRun(task) {
+  taskState[task.scriptId] = {
+    ...taskState[task.scriptId],
+    schedule: JSON.stringify(task.schedule),
+    loadedAt: task.loadedAt,
+    fireTime: task.fireTime,
+    nextRun: task.nextRun,
+    jitter: task.jitter,
+    missed: task.missed, // Catch-up runs still to do after this one
+    attempt: task.attempt,
+    shift: task.shift
+  };
+  saveState();
+}
+
+/**
+ * Next run of a task from its saved state, applying its missed run policy
+ * @param {Object} task - Task being loaded
+ * @param {Object} [saved] - Saved state of the task
+ * @returns {{fireTime: number, nextRun: number, missed?: Array<number>}|null} null when
+ *   nothing applies (no saved run, schedule changed, run snoozed, or missed runs skipped)
+ */
+function restoreTaskRun(task, saved) {
+  if (!saved || !saved.nextRun || saved.schedule !== JSON.stringify(task.schedule)) return null;
+  if (task.snoozedUntil && saved.nextRun < task.snoozedUntil) return null;
+
   const now = Date.now();
-  const nowSeconds = Math.floor(now / 1000);
+  const pendingMissed = saved.missed || [];
+  // Still pending: keep it, random offset included, and the catch-up runs after it
+  if (saved.nextRun > now) {
+    return { fireTime: saved.fireTime, nextRun: saved.nextRun, jitter: saved.jitter, missed: pendingMissed, attempt: saved.attempt || 1, shift: saved.shift || null };
+  }
 
-  // Calculate the next period start (current time + period)
-  const nextPeriodStart = nowSeconds + period;
+  // Fire times that passed while the server was down, starting with the pending one
+  // and the catch-up runs that were still to do
+  const missed = [saved.fireTime, ...pendingMissed].slice(0, MAX_MISSED_RUNS);
+  while (missed.length < MAX_MISSED_RUNS) {
+    const time = task.timing.next(missed[missed.length - 1]);
+    if (time === null || time > now) break;
+    missed.push(time);
+  }
 
-  // Calculate which period the next run should be in
-  const targetPeriodStart = Math.floor(nextPeriodStart / period) * period;
+  const { missedRunPolicy, missedRunWindow } = task.timing;
+  console.log(`[Scheduler] "${task.name}" missed ${missed.length} run(s) while the server was down (policy: ${missedRunPolicy})`);
 
-  // Calculate the target time in that period
-  let targetTime = targetPeriodStart + position;
+  if (missedRunPolicy === 'run-once') {
+    return { fireTime: missed[missed.length - 1], nextRun: now };
+  }
+  if (missedRunPolicy === 'run-all') {
+    const inWindow = missed.filter(time => time >= now - missedRunWindow * 1000);
+    if (inWindow.length === 0) return null;
+    // One after the other: the next catch-up is queued when the previous one finished
+    return { fireTime: inWindow[0], nextRun: now, missed: inWindow.slice(1) };
+  }
+  return null;
+}
 
-  // Add random offset within the range
-  const randomOffset = Math.floor(Math.random() * (offset * 2 + 1)) - offset;
-  targetTime += randomOffset;
+/**
+ * Next fire times of a task, starting with the pending one, without the random offset
+ * @param {Object} task - Task in the heap
+ * @param {number} count
+ * @returns {Array<number>} Timestamps (milliseconds)
+ */
+function upcomingRuns(task, count) {
+  if (count <= 0) return [];
+  return [task.fireTime, ...task.timing.nextTimes(count - 1, task.fireTime)];
+}
+
+/**
+ * Human readable description of a task's schedule
+ * @param {Object} task
+ * @returns {string}
+ */
+function describeSchedule(task) {
+  const { offset, allowedWindows, hooks } = task.timing;
+  const jitter = offset ? `, randomly moved by up to ±${offset}s` : '';
+  const windows = allowedWindows.map(windows => `, only ${windows.describe()}`).join('');
+  const before = hooks.before.length > 0 ? `, ${hooks.before.join(' and ')} before` : '';
+  const after = hooks.after.length > 0 ? `, ${hooks.after.join(' and ')} after` : '';
+  return `${task.timing.describe()}${jitter}${windows}${before}${after}`;
+}
+
+/**
+ * Move a run that would start outside the task's allowed windows to the next allowed slot
+ * A scheduled run keeps its random offset: -offset..+offset becomes 0..2 × offset into the
+ * slot (if the slot is long enough), so runs moved to the same slot still spread out.
+ * Retries and catch-up runs have no jitter and start with the slot.
+ * @param {Object} task
+ * @param {{fireTime: number, nextRun: number, jitter?: number}} next - From calculateTaskRun()
+ *   (with jitter), a retry or a catch-up run (without)
+ * @returns {Object|null} next with shift = { from, reason } when nextRun was moved,
+ *   null if no slot is allowed within two years
+ */
+function fitAllowedWindows(task, next) {
+  const { allowedWindows, offset } = task.timing;
+  if (allowedWindows.length === 0) return { shift: null, ...next };
+
+  const slot = nextAllowedTime(allowedWindows, next.nextRun);
+  if (!slot) return null;
+  if (slot.start === next.nextRun) return { shift: null, ...next };
+
+  const delay = next.jitter === undefined ? 0 : next.jitter + offset * 1000;
+  const nextRun = slot.start + delay < slot.end ? slot.start + delay : slot.start;
+  console.log(`[Scheduler] "${task.name}" moved from ${new Date(next.nextRun).toLocaleString()} to ${new Date(nextRun).toLocaleString()}: ${slot.reason}`);
+  return { ...next, nextRun, shift: { from: new Date(next.nextRun).toISOString(), reason: slot.reason } };
+}
 
-  return targetTime * 1000; // Convert to milliseconds
+/**
+ * Put an enabled task in the heap with its next run
+ * A run of the task still in a device queue (reload or update) is continued after.
+ * Otherwise the saved run is resumed (or missed ones caught up), or the next run time calculated
+ * @param {Object} task - Task from initialize()
+ * @param {Object} [saved] - Saved state of the task
+ * @returns {string|null} Why the task has no run, null once it is queued
+ */
+function queueTask(task, saved) {
+  const inFlight = findInFlight(task.scriptId);
+  const next = inFlight
+    ? calculateTaskRun({ ...task, fireTime: inFlight.task.fireTime })
+    : restoreTaskRun(task, saved) || calculateTaskRun(task);
+  if (!next) return 'schedule never fires';
+  const fitted = fitAllowedWindows(task, next);
+  if (!fitted) return 'no allowed window for its runs within two years';
+
+  // Add to heap
+  const queued = { missed: [], attempt: 1, lastFailure: null, ...task, ...fitted };
+  heap.push(queued);
+  recordTaskRun(queued);
+
+  console.log(`[Scheduler] Added task "${task.name}" - next run: ${new Date(fitted.nextRun).toLocaleString()}`);
+  return null;
+}
+
+/**
+ * Remember a script whose schedule can't be used, for getStatus()
+ */
+function reject(entry, reason) {
+  console.warn(`[Scheduler] Rejected schedule of "${entry.name}" - ${reason}`);
+  rejected.push({ ...entry, reason });
 }
 
 /**
  * Initialize the heap with all scheduled tasks (Lazy Loading)
  * Only loads scripts on first call, then cached
+ * Every script's schedule is validated, enabled or not; the ones that can't be
+ * used are listed with the reason in getStatus().rejected
  */
 async function initialize() {
   if (initialized) return;
@@ -169,57 +385,70 @@ async function initialize() {
   if (!heap) {
     heap = new MinHeap();
   }
+  rejected = [];
+  disabled = [];
+  tasksById = new Map();
+  taskState = loadState();
 
   try {
     console.log('[Scheduler] Initializing task heap (lazy loading)...');
 
-    // Read all .js files from scripts directory (synchronous)
-    const files = fs.readdirSync(SCRIPTS_DIR);
-    const scriptFiles = files.filter(file => file.endsWith('.js'));
-
-    for (const file of scriptFiles) {
-      const scriptPath = path.join(SCRIPTS_DIR, file);
-
-      try {
-        // Load CommonJS module (reference from scripts/route.js GET method)
-        const script = loadCommonJSModule(scriptPath);
-
-        // Check if script has schedule configuration and is enabled
-        if (!script.schedule || !script.schedule.enabled) {
-          console.log(`[Scheduler] Skipping "${script.name || file}" - schedule not enabled`);
-          continue;
-        }
+    // Load every script in its sandbox (see loader.js, shared with /api/scripts)
+    for (const { id, file, path: scriptPath, script, error: loadError } of listScripts()) {
+      const entry = { name: (script && script.name) || file, scriptId: id, file };
 
-        const { period, position, offset } = script.schedule;
-
-        // Validate schedule configuration
-        if (!period || position === undefined) {
-          console.warn(`[Scheduler] Invalid schedule config for "${script.name || file}" - missing period or position`);
-          continue;
-        }
+      if (loadError) {
+        reject(entry, `script failed to load: ${loadError.message}`);
+        continue;
+      }
 
-        // Calculate next run time
-        const nextRun = calculateNextRun(period, position, offset || 0);
+      // Scripts without a schedule are only run by hand
+      if (!script.schedule) continue;
 
-        // Add to heap
-        heap.push({
-          name: script.name || file,
+      try {
+        // Validate schedule configuration (any supported shape, see schedule.js)
+        // Interval schedules without an anchor keep the one of their first load
+        const saved = taskState[id];
+        const loadedAt = saved && saved.schedule === JSON.stringify(script.schedule) ? saved.loadedAt : undefined;
+        const timing = normalizeSchedule(script.schedule, { loadedAt: loadedAt || Date.now() });
+
+        // Validate the parameter values up front (schedule.params, defaults fill in the rest)
+        resolveParams(getParamSchema(script), timing.params);
+        // and the steps of a workflow (their scripts exist, no cycles, see workflow.js)
+        if (script.workflow) normalizeWorkflow(script.workflow);
+        // and its interrupt rules (see interrupts.js)
+        normalizeInterrupts(script.interrupts);
+
+        const task = {
+          name: entry.name,
+          scriptId: id,
+          file,
           scriptPath,
           script,
           schedule: script.schedule,
-          nextRun
-        });
-
-        const nextRunDate = new Date(nextRun);
-        console.log(`[Scheduler] Added task "${script.name || file}" - next run: ${nextRunDate.toLocaleString()}`);
+          timing,
+          loadedAt: loadedAt || Date.now(),
+          deviceId: timing.deviceId, // undefined = default device
+          snoozedUntil: saved && saved.snoozedUntil ? new Date(saved.snoozedUntil).getTime() : null,
+          generation,
+        };
+        tasksById.set(id, task);
+
+        if (!isTaskEnabled(task)) {
+          console.log(`[Scheduler] Skipping "${entry.name}" - schedule not enabled`);
+          disabled.push({ ...entry, description: timing.describe() });
+          continue;
+        }
 
+        const reason = queueTask(task, saved);
+        if (reason) reject(entry, reason);
       } catch (error) {
-        console.error(`[Scheduler] Error loading script ${file}:`, error.message);
+        reject(entry, error.message);
       }
     }
 
     initialized = true;
-    console.log(`[Scheduler] Heap initialized with ${heap.size()} task(s) - scripts cached`);
+    console.log(`[Scheduler] Heap initialized with ${heap.size()} task(s), ${rejected.length} rejected - scripts cached`);
 
   } catch (error) {
     console.error('[Scheduler] Error initializing heap:', error);
@@ -245,12 +474,10 @@ async function checkAndExecuteTasks() {
     const task = heap.pop();
     executedTasks.push(task);
 
-    console.log(`[Scheduler] Task "${task.name}" is due, executing...`);
+    console.log(`[Scheduler] Task "${task.name}" is due, queueing...`);
 
-    // Execute task in background
-    executeTask(task).catch(error => {
-      console.error(`[Scheduler] Error executing task "${task.name}":`, error);
-    });
+    // Runs in the background, after the tasks already queued for its device
+    enqueueTask(task);
   }
 
   if (executedTasks.length === 0) {
@@ -262,90 +489,539 @@ async function checkAndExecuteTasks() {
       console.log('[Scheduler] No tasks in queue');
     }
   } else {
-    console.log(`[Scheduler] Executed ${executedTasks.length} task(s)`);
+    console.log(`[Scheduler] Queued ${executedTasks.length} task(s)`);
+  }
+}
+
+/**
+ * Get the execution queue of a device
+ */
+function getDeviceQueue(deviceId) {
+  if (!deviceQueues.has(deviceId)) {
+    deviceQueues.set(deviceId, { running: null, queued: [] });
   }
+  return deviceQueues.get(deviceId);
+}
+
+/**
+ * Queue a due task on its device, ordered by priority (higher first), then by due time
+ */
+function enqueueTask(task) {
+  const deviceId = resolveDeviceId(task.deviceId);
+  const queue = getDeviceQueue(deviceId);
+
+  queue.queued.push({ task, queuedAt: Date.now() });
+  queue.queued.sort((a, b) => (b.task.timing.priority - a.task.timing.priority) || (a.task.nextRun - b.task.nextRun));
+
+  drainQueue(deviceId);
+}
+
+/**
+ * Start the next queued task of a device, unless one is running
+ * Tasks that waited longer than their queueTimeout are skipped and rescheduled
+ */
+function drainQueue(deviceId) {
+  const queue = getDeviceQueue(deviceId);
+  if (queue.running) return;
+
+  let entry;
+  while ((entry = queue.queued.shift())) {
+    const waited = Date.now() - entry.queuedAt;
+    if (waited <= entry.task.timing.queueTimeout * 1000) break;
+
+    const message = `Waited ${Math.round(waited / 1000)}s for device '${deviceId}', longer than queueTimeout (${entry.task.timing.queueTimeout}s)`;
+    console.warn(`[Scheduler] Task "${entry.task.name}" expired in the queue - ${message}`);
+    taskState[entry.task.scriptId] = {
+      ...taskState[entry.task.scriptId],
+      lastRun: { runId: null, status: 'expired', fireTime: entry.task.fireTime, attempt: entry.task.attempt, error: message }
+    };
+    rescheduleTask(entry.task, { kind: 'expired', message });
+  }
+  if (!entry) return;
+
+  const { task } = entry;
+  queue.running = { task, startedAt: Date.now() };
+
+  executeTask(task)
+    .catch(error => {
+      console.error(`[Scheduler] Error executing task "${task.name}":`, error);
+    })
+    .finally(() => {
+      queue.running = null;
+      drainQueue(deviceId);
+    });
+}
+
+/**
+ * Device queues as shown by getStatus()
+ */
+function getQueueStatus() {
+  const toISO = (time) => new Date(time).toISOString();
+  return [...deviceQueues.entries()]
+    .filter(([, queue]) => queue.running || queue.queued.length > 0)
+    .map(([deviceId, queue]) => ({
+      deviceId,
+      running: queue.running && {
+        name: queue.running.task.name,
+        scriptId: queue.running.task.scriptId,
+        startedAt: toISO(queue.running.startedAt)
+      },
+      queued: queue.queued.map(({ task, queuedAt }) => ({
+        name: task.name,
+        scriptId: task.scriptId,
+        priority: task.timing.priority,
+        waitingSince: toISO(queuedAt),
+        expiresAt: toISO(queuedAt + task.timing.queueTimeout * 1000)
+      }))
+    }));
+}
+
+/**
+ * Classify how a scheduled run went wrong
+ * @param {Object} run - Finished run record
+ * @returns {{kind: string, message: string}|null} kind is one of FAILURE_KINDS (schedule.js),
+ *   null if the run succeeded or was cancelled on purpose
+ */
+function classifyRun(run) {
+  if (run.status === 'failed') {
+    return { kind: 'failed', message: (run.result && run.result.message) || 'Script returned success: false' };
+  }
+  if (run.status === 'error') {
+    return { kind: run.error.name === 'SessionStartError' ? 'session' : 'error', message: run.error.message };
+  }
+  return null;
+}
+
+/**
+ * Retry of a failed run, if the task's retry settings allow one
+ * A retry keeps the fire time of the run it repeats, and is dropped when it would
+ * land on or after the next scheduled run
+ * @param {Object} task - Task whose run failed
+ * @param {{kind: string, message: string}} failure
+ * @returns {{fireTime: number, nextRun: number, attempt: number}|null}
+ */
+function retryTaskRun(task, failure) {
+  const { retry } = task.timing;
+  if (task.attempt >= retry.maxAttempts || !retry.on.includes(failure.kind)) return null;
+
+  const delay = Math.min(retry.backoff * retry.factor ** (task.attempt - 1), retry.maxBackoff) * 1000;
+  const nextRun = Date.now() + delay;
+  const regular = task.timing.next(Math.max(Date.now(), task.fireTime));
+  if (regular !== null && nextRun >= regular) return null;
+
+  return { fireTime: task.fireTime, nextRun, attempt: task.attempt + 1 };
 }
 
 /**
  * Execute a task and reschedule it
- * (Reference from app/api/scripts/route.js PUT method and session/route.js)
+ * Runs through the shared runner (same as PUT /api/scripts), so it lands in the run history
  */
 async function executeTask(task) {
+  let run = null;
+  let lastRun;
+  let failure = null;
   try {
     console.log(`[Scheduler] Executing "${task.name}"...`);
 
-    // Start Appium session (reference from session/route.js)
-    console.log(`[Scheduler] Starting Appium session for "${task.name}"...`);
-    await startAppiumSession();
-    console.log(`[Scheduler] Appium session started for "${task.name}"`);
+    // Lease the device, start the session if needed and record the run
+    // (a session opened by someone else is reused and left running afterwards)
+    run = await runScript({
+      script: task.script,
+      scriptId: task.scriptId,
+      trigger: task.triggered ? 'api' : 'scheduler',
+      deviceId: task.deviceId,
+      params: task.timing.params,
+      hooks: task.timing.hooks,
+      startSession: true,
+      notify: false // Below, once the retry is decided
+    });
 
-    // Create Appium wrapper for the script (reference from scripts/route.js)
-    const appiumWrapper = createAppiumWrapper();
+    console.log(`[Scheduler] Task "${task.name}" completed: ${run.status.toUpperCase()} (run ${run.id})`);
+    lastRun = { runId: run.id, status: run.status, fireTime: task.fireTime, startedAt: run.startedAt, endedAt: run.endedAt };
+    failure = classifyRun(run);
+    if (run.status === 'failed') {
+      console.error(`[Scheduler] Error message: ${run.result.message}`);
+    } else if (run.status === 'error') {
+      console.error(`[Scheduler] Error: ${run.error.message}`);
+    }
+  } catch (error) {
+    // Device stayed busy past the lease timeout, nothing was run
+    console.error(`[Scheduler] Error executing task "${task.name}":`, error.message);
+    lastRun = { runId: null, status: 'not-run', fireTime: task.fireTime, error: error.message };
+    failure = { kind: error.name === 'DeviceBusyError' ? 'busy' : 'error', message: error.message };
+  }
+  lastRun.attempt = task.attempt;
+  taskState[task.scriptId] = { ...taskState[task.scriptId], lastRun };
+
+  // Consecutive failed scheduled runs, retries included (see notify.js)
+  if (!task.triggered) {
+    const failures = failure ? (taskState[task.scriptId].failures || 0) + 1 : 0;
+    taskState[task.scriptId].failures = failures;
+    if (failure) {
+      notifyRepeatedFailures({ name: task.name, scriptId: task.scriptId, failures, failure, runId: lastRun.runId });
+    }
+  }
 
-    // Execute the script with the wrapper
-    const result = await task.script.execute(appiumWrapper);
+  // Reschedule whatever the outcome, then notify the failure unless it is retried
+  const willRetry = rescheduleTask(task, failure);
+  if (run) {
+    notifyRunFailure(run, task.triggered ? null : { attempt: task.attempt, maxAttempts: task.timing.retry.maxAttempts, willRetry });
+  }
+}
 
-    // Stop Appium session
-    await stopAppiumSession();
-    console.log(`[Scheduler] Appium session stopped for "${task.name}"`);
+/**
+ * Put a task back in the heap after its run
+ * @param {Object} task - Task that ran (or expired in the queue)
+ * @param {{kind: string, message: string}|null} failure - From classifyRun(), null on success
+ * @returns {boolean} Whether a retry of the failed run was queued
+ */
+function rescheduleTask(task, failure) {
+  // Out-of-band runs (triggerTask) leave the schedule as it is, and tasks from
+  // before a reload or an update were already scheduled again by it
+  const current = tasksById.get(task.scriptId);
+  if (task.triggered || !current || task.generation !== current.generation) {
+    saveState();
+    return false;
+  }
 
-    console.log(`[Scheduler] Task "${task.name}" completed:`, result.success ? 'SUCCESS' : 'FAILED');
-    if (!result.success) {
-      console.error(`[Scheduler] Error message: ${result.message}`);
-    }
+  // A retry of this run first, then catch-up
+  // runs of missed fire times, then the next scheduled time
+  const retry = failure && retryTaskRun(task, failure);
+  if (failure) {
+    const attempts = `attempt ${task.attempt}/${task.timing.retry.maxAttempts}`;
+    console.log(`[Scheduler] "${task.name}" failed (${failure.kind}, ${attempts})${retry ? `, retrying in ${Math.round((retry.nextRun - Date.now()) / 1000)}s` : ''}`);
+  }
+
+  const candidate = retry
+    || (task.missed.length > 0
+      ? { fireTime: task.missed[0], nextRun: Date.now(), missed: task.missed.slice(1), attempt: 1 }
+      : calculateTaskRun(task));
+  // Any of them waits for an allowed window
+  const next = candidate && fitAllowedWindows(task, candidate);
+  if (!next) {
+    console.log(`[Scheduler] "${task.name}" has no further runs${candidate ? ' in an allowed window' : ''}, dropping it`);
+    saveState();
+    return false;
+  }
+  const { nextRun } = next;
+
+  // Add back to heap with new time
+  const queued = {
+    ...task,
+    missed: retry ? task.missed : [],
+    attempt: 1,
+    jitter: undefined, // Only a scheduled run from calculateTaskRun() has one
+    lastFailure: failure && { ...failure, at: new Date().toISOString() },
+    ...next
+  };
+  heap.push(queued);
+  recordTaskRun(queued);
 
-    // Calculate next run time
-    const { period, position, offset } = task.schedule;
-    const nextRun = calculateNextRun(period, position, offset || 0);
+  const nextRunDate = new Date(nextRun);
+  console.log(`[Scheduler] Rescheduled "${task.name}" for ${nextRunDate.toLocaleString()}`);
 
-    // Add back to heap with new time
-    heap.push({
-      ...task,
-      nextRun
-    });
+  // The rescheduled run may be due before the timer's current wake-up
+  armTimer();
+  return Boolean(retry);
+}
+
+/**
+ * Set the built-in timer to wake when the first task is due (at most MAX_SLEEP away)
+ * Does nothing unless the timer was started
+ */
+function armTimer() {
+  if (!loop.running) return;
 
-    const nextRunDate = new Date(nextRun);
-    console.log(`[Scheduler] Rescheduled "${task.name}" for ${nextRunDate.toLocaleString()}`);
+  clearTimeout(timer);
+  const nextTask = heap && heap.peek();
+  const delay = nextTask ? Math.min(Math.max(nextTask.nextRun - Date.now(), 0), MAX_SLEEP) : MAX_SLEEP;
 
+  loop.nextWake = Date.now() + delay;
+  timer = setTimeout(tick, delay);
+  timer.unref(); // Never keeps the process alive on shutdown
+}
+
+/**
+ * One wake-up of the built-in timer: run the due tasks, then sleep again
+ */
+async function tick() {
+  timer = null;
+  loop.lastTick = Date.now();
+
+  try {
+    await checkAndExecuteTasks();
+    loop.lastError = null;
   } catch (error) {
-    console.error(`[Scheduler] Error executing task "${task.name}":`, error);
-
-    // Try to stop session if it was started
-    try {
-      await stopAppiumSession();
-      console.log(`[Scheduler] Appium session cleaned up after error`);
-    } catch (cleanupError) {
-      console.error(`[Scheduler] Error during cleanup:`, cleanupError.message);
+    console.error('[Scheduler] Timer tick failed:', error);
+    loop.lastError = error.message;
+  } finally {
+    armTimer();
+  }
+}
+
+/**
+ * Start the built-in timer (idempotent)
+ * Loads the scheduled scripts right away, so tasks are queued from server boot
+ */
+async function startTimer() {
+  if (loop.running) return;
+
+  loop = { running: true, startedAt: Date.now(), lastTick: null, nextWake: null, lastError: null };
+  console.log('[Scheduler] Starting built-in timer');
+
+  await initialize();
+  armTimer();
+  // Nobody watches a headless server's UI, report devices that go offline
+  watchDevices();
+}
+
+/**
+ * Stop the built-in timer, tasks then only run on GET /api/scheduler
+ */
+function stopTimer() {
+  clearTimeout(timer);
+  timer = null;
+  loop = { ...loop, running: false, nextWake: null };
+  console.log('[Scheduler] Stopped built-in timer');
+}
+
+/**
+ * State of the built-in timer
+ * alive: started and woke up when it was supposed to (a stuck or dead loop misses its wake-up)
+ */
+function getTimerStatus() {
+  const toISO = (time) => (time ? new Date(time).toISOString() : null);
+  return {
+    running: loop.running,
+    alive: loop.running && loop.nextWake !== null && Date.now() <= loop.nextWake + TICK_GRACE,
+    startedAt: toISO(loop.startedAt),
+    lastTick: toISO(loop.lastTick),
+    nextWake: toISO(loop.nextWake),
+    lastError: loop.lastError
+  };
+}
+
+/**
+ * Whether a task is enabled: the runtime override if one was set, else schedule.enabled
+ */
+function isTaskEnabled(task) {
+  const state = taskState[task.scriptId];
+  return state && typeof state.enabled === 'boolean' ? state.enabled : task.timing.enabled;
+}
+
+/**
+ * Scheduled (not triggered) run of a script that is running or waiting in a device queue
+ * @returns {{task: Object, status: 'running'|'queued'}|null}
+ */
+function findInFlight(scriptId) {
+  for (const queue of deviceQueues.values()) {
+    if (queue.running && queue.running.task.scriptId === scriptId && !queue.running.task.triggered) {
+      return { task: queue.running.task, status: 'running' };
     }
+    const entry = queue.queued.find(({ task }) => task.scriptId === scriptId && !task.triggered);
+    if (entry) return { task: entry.task, status: 'queued' };
+  }
+  return null;
+}
 
-    // Still reschedule even if failed
-    const { period, position, offset } = task.schedule;
-    const nextRun = calculateNextRun(period, position, offset || 0);
-    heap.push({
-      ...task,
-      nextRun
-    });
+/**
+ * Management view of one task
+ */
+function describeTask(task) {
+  const state = taskState[task.scriptId] || {};
+  const pending = heap.getAll().find(entry => entry.scriptId === task.scriptId);
+  const inFlight = findInFlight(task.scriptId);
+  const enabled = isTaskEnabled(task);
+  const snoozed = task.snoozedUntil !== null && task.snoozedUntil > Date.now();
+
+  let status = 'finished'; // Schedule never fires again
+  if (inFlight) status = inFlight.status;
+  else if (!enabled) status = 'disabled';
+  else if (pending) status = snoozed ? 'snoozed' : 'scheduled';
+
+  return {
+    scriptId: task.scriptId,
+    name: task.name,
+    status,
+    enabled,
+    disabledBy: enabled ? null : (state.enabled === false ? 'api' : 'script'),
+    snoozedUntil: snoozed ? new Date(task.snoozedUntil).toISOString() : null,
+    description: describeSchedule(task),
+    deviceId: task.deviceId || null,
+    nextRun: pending ? new Date(pending.nextRun).toISOString() : null,
+    lastRun: state.lastRun || null,
+    failures: state.failures || 0, // Consecutive failed runs
+    lastFailure: pending ? pending.lastFailure : null,
+    shift: pending ? pending.shift : null // { from, reason } when the run was moved into an allowed window
+  };
+}
+
+/**
+ * Get a loaded task by script id
+ * @throws {SchedulerError} 404 if the script has no schedule, 409 if its schedule was rejected
+ */
+function getTask(scriptId) {
+  const task = tasksById.get(scriptId);
+  if (task) return task;
+
+  const rejection = rejected.find(entry => entry.scriptId === scriptId);
+  if (rejection) {
+    throw new SchedulerError(`Schedule of '${scriptId}' was rejected: ${rejection.reason}`, 409);
+  }
+  throw new SchedulerError(`No scheduled task '${scriptId}'`, 404);
+}
+
+/**
+ * List every scheduled script: loaded tasks and rejected schedules
+ * @returns {Array<Object>} status is 'scheduled', 'snoozed', 'queued', 'running', 'disabled',
+ *   'finished' or 'rejected' (with reason)
+ */
+async function listTasks() {
+  await initialize();
+  return [
+    ...[...tasksById.values()].map(describeTask),
+    ...rejected.map(entry => ({ ...entry, status: 'rejected' }))
+  ];
+}
+
+/**
+ * Reload all scripts from disk and rebuild the heap
+ * Runs already in a device queue finish, their tasks continue from the reloaded scripts
+ * @returns {Promise<Array<Object>>} listTasks()
+ */
+async function reloadTasks() {
+  console.log('[Scheduler] Reloading scripts...');
+  generation++;
+  heap = new MinHeap();
+  initialized = false;
+  await initialize();
+  armTimer();
+  return listTasks();
+}
+
+/**
+ * Update a task's saved overrides, then schedule that task again so the heap reflects them
+ * The other tasks keep their pending runs, retries and catch-ups
+ */
+async function updateTaskState(scriptId, changes) {
+  await initialize();
+  const task = getTask(scriptId);
+
+  taskState[scriptId] = { ...taskState[scriptId], ...changes };
+  saveState();
+
+  // A run of the task in a device queue isn't rescheduled, its next run is calculated here
+  generation++;
+  task.generation = generation;
+  const { snoozedUntil } = taskState[scriptId];
+  task.snoozedUntil = snoozedUntil ? new Date(snoozedUntil).getTime() : null;
+
+  heap.remove(entry => entry.scriptId === scriptId);
+  disabled = disabled.filter(entry => entry.scriptId !== scriptId);
+  if (!isTaskEnabled(task)) {
+    disabled.push({ name: task.name, scriptId, file: task.file, description: task.timing.describe() });
+  } else {
+    const reason = queueTask(task, taskState[scriptId]);
+    if (reason) console.warn(`[Scheduler] "${task.name}" has no further runs - ${reason}`);
   }
+
+  armTimer();
+  return describeTask(task);
+}
+
+/**
+ * Enable or disable a task at runtime, overriding schedule.enabled (persisted)
+ * @param {string} scriptId
+ * @param {boolean} enabled
+ * @returns {Promise<Object>} The task, see listTasks()
+ * @throws {SchedulerError} If there is no such task
+ */
+async function setTaskEnabled(scriptId, enabled) {
+  console.log(`[Scheduler] ${enabled ? 'Enabling' : 'Disabling'} "${scriptId}"`);
+  return updateTaskState(scriptId, { enabled: Boolean(enabled) });
+}
+
+/**
+ * Skip a task's runs until a time (persisted)
+ * @param {string} scriptId
+ * @param {string|number|null} until - Date (ISO or timestamp), null to clear the snooze
+ * @returns {Promise<Object>} The task, see listTasks()
+ * @throws {SchedulerError} If there is no such task or until isn't a date
+ */
+async function snoozeTask(scriptId, until) {
+  const time = until === null || until === undefined ? null : new Date(until).getTime();
+  if (Number.isNaN(time)) {
+    throw new SchedulerError(`Invalid snooze time: ${JSON.stringify(until)}`);
+  }
+
+  console.log(`[Scheduler] ${time ? `Snoozing "${scriptId}" until ${new Date(time).toISOString()}` : `Clearing snooze of "${scriptId}"`}`);
+  // Drop the saved next run, it is calculated again from the end of the snooze (or from now)
+  return updateTaskState(scriptId, { snoozedUntil: time ? new Date(time).toISOString() : null, nextRun: null });
+}
+
+/**
+ * Run a task now, out of band: it goes through its device queue like a due task,
+ * and its schedule (next run, retries) is left as it is. Disabled tasks can be triggered too.
+ * @param {string} scriptId
+ * @returns {Promise<Object>} The task, see listTasks()
+ * @throws {SchedulerError} If there is no such task
+ */
+async function triggerTask(scriptId) {
+  await initialize();
+  const task = getTask(scriptId);
+
+  console.log(`[Scheduler] Triggering "${task.name}" now`);
+  enqueueTask({ ...task, triggered: true, fireTime: Date.now(), nextRun: Date.now(), attempt: 1, missed: [], lastFailure: null });
+  return describeTask(task);
 }
 
 /**
  * Get current scheduler status
+ * @param {Object} [options]
+ * @param {number} [options.upcoming=5] - How many future fire times to list per task
+ * @returns {Object} Built-in timer state, device queues (running and waiting runs), tasks in
+ *   the heap, scripts whose schedule is disabled,
+ *   and scripts whose schedule was rejected at load time with the reason
  */
-function getStatus() {
+function getStatus({ upcoming = 5 } = {}) {
   return {
     initialized,
+    timer: getTimerStatus(),
+    queues: getQueueStatus(),
     queueSize: heap ? heap.size() : 0,
     tasks: heap ? heap.getAll().map(task => ({
       name: task.name,
       nextRun: new Date(task.nextRun).toISOString(),
+      description: describeSchedule(task),
+      upcoming: upcomingRuns(task, upcoming).map(time => new Date(time).toISOString()),
+      deviceId: task.deviceId || null,
+      lease: getLease(task.deviceId),
+      missedRunPolicy: task.timing.missedRunPolicy,
+      catchUpRuns: task.missed.length,
+      attempt: task.attempt, // > 1 while retrying a failed run
+      maxAttempts: task.timing.retry.maxAttempts,
+      lastFailure: task.lastFailure,
+      failures: (taskState[task.scriptId] && taskState[task.scriptId].failures) || 0,
+      shift: task.shift, // { from, reason } when the run was moved into an allowed window
+      lastRun: (taskState[task.scriptId] && taskState[task.scriptId].lastRun) || null,
       schedule: task.schedule
-    })) : []
+    })) : [],
+    disabled,
+    rejected
   };
 }
 
 // Export functions
 export {
+  SchedulerError,
   initialize,
   checkAndExecuteTasks,
-  getStatus
+  startTimer,
+  stopTimer,
+  getStatus,
+  listTasks,
+  reloadTasks,
+  setTaskEnabled,
+  snoozeTask,
+  triggerTask
 };
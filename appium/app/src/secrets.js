@@ -0,0 +1,246 @@
+/**
+ * Secrets Module
+ *
+ * Local encrypted store for PINs, passwords and tokens, so they live neither in
+ * config.json nor in scripts. data/secrets.json holds them encrypted with
+ * AES-256-GCM under a key derived (scrypt) from the APPIUM_SECRETS_KEY environment
+ * variable, which never touches the disk:
+ *
+ *   { "version": 1, "salt": "...", "iv": "...", "tag": "...", "data": "..." }  (base64)
+ *
+ * `data` decrypts to { "device.pin": "1234", ... }. Secrets are managed with
+ * /api/secrets, read by scripts with appium.secret('device.pin') and referenced
+ * from config.json as { "secret": "device.pin" } (see resolveSecretRef).
+ * Every log record goes through redact() (see logs.js), so a secret value never
+ * reaches the log buffers, the run history or the live streams.
+ *
+ * The file is re-read when it changes on disk, so every module instance of the
+ * server (route handlers, instrumentation) sees the same secrets.
+ *
+ * @module secrets
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SECRETS_FILE = path.join(process.cwd(), 'data', 'secrets.json');
+const KEY_ENV = 'APPIUM_SECRETS_KEY';
+const VERSION = 1;
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Decrypted secrets, or why they can't be, and what they were read from
+let cache = null; // { mtimeMs, keyHash, secrets, pattern } or { mtimeMs, keyHash, error }
+
+/**
+ * Error of the secret store, with the HTTP status API routes should answer
+ */
+class SecretError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SecretError';
+    this.status = status;
+  }
+}
+
+/**
+ * Passphrase from the environment
+ * @throws {SecretError} If it is not set
+ */
+function getPassphrase() {
+  const passphrase = process.env[KEY_ENV];
+  if (!passphrase) {
+    throw new SecretError(`${KEY_ENV} is not set, secrets are unavailable`, 503);
+  }
+  return passphrase;
+}
+
+const deriveKey = (passphrase, salt) => crypto.scryptSync(passphrase, salt, 32);
+
+/**
+ * One regular expression matching every secret value, longest first
+ */
+function buildPattern(secrets) {
+  const values = [...new Set(Object.values(secrets))].filter(Boolean).sort((a, b) => b.length - a.length);
+  if (values.length === 0) return null;
+  return new RegExp(values.map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+}
+
+/**
+ * Decrypt the secrets file
+ * @returns {Object} name -> value
+ * @throws {SecretError} If the file has an unknown version or the key doesn't decrypt it
+ */
+function decryptFile(passphrase) {
+  const file = JSON.parse(fs.readFileSync(SECRETS_FILE, 'utf-8'));
+  if (file.version !== VERSION) {
+    throw new SecretError(`${SECRETS_FILE} has unknown version ${file.version}`, 500);
+  }
+  try {
+    const key = deriveKey(passphrase, Buffer.from(file.salt, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf-8'));
+  } catch (error) {
+    throw new SecretError(`Cannot decrypt ${SECRETS_FILE}, is ${KEY_ENV} the key it was written with?`, 500);
+  }
+}
+
+/**
+ * Decrypted secrets, read again when the file or the key changed
+ * A failure is remembered the same way until then, so redact() doesn't derive the
+ * key again for every log record, and it is logged once
+ * @returns {Object} name -> value
+ * @throws {SecretError} If the key is missing or doesn't decrypt the file
+ */
+function loadSecrets() {
+  const passphrase = getPassphrase();
+  const keyHash = crypto.createHash('sha256').update(passphrase).digest('hex');
+
+  let stat = null;
+  try {
+    stat = fs.statSync(SECRETS_FILE);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const mtimeMs = stat ? stat.mtimeMs : 0;
+  if (cache && cache.mtimeMs === mtimeMs && cache.keyHash === keyHash) {
+    if (cache.error) throw cache.error;
+    return cache.secrets;
+  }
+
+  let secrets = {};
+  if (stat) {
+    try {
+      secrets = decryptFile(passphrase);
+    } catch (error) {
+      if (!(error instanceof SecretError)) throw error;
+      console.error(`[Secrets] ${error.message}`);
+      cache = { mtimeMs, keyHash, error };
+      throw error;
+    }
+  }
+
+  cache = { mtimeMs, keyHash, secrets, pattern: buildPattern(secrets) };
+  return secrets;
+}
+
+/**
+ * Encrypt and write all secrets (new salt and IV on every write)
+ */
+function saveSecrets(secrets) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(getPassphrase(), salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf-8'), cipher.final()]);
+
+  const file = {
+    version: VERSION,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+
+  fs.mkdirSync(path.dirname(SECRETS_FILE), { recursive: true });
+  fs.writeFileSync(`${SECRETS_FILE}.tmp`, JSON.stringify(file, null, 2), { mode: 0o600 });
+  fs.renameSync(`${SECRETS_FILE}.tmp`, SECRETS_FILE);
+  cache = null;
+}
+
+/**
+ * Get a secret's value
+ * @param {string} name - e.g. 'device.pin'
+ * @returns {string}
+ * @throws {SecretError} If there is no such secret (404) or the store is unavailable
+ */
+function getSecret(name) {
+  const secrets = loadSecrets();
+  if (!Object.prototype.hasOwnProperty.call(secrets, name)) {
+    throw new SecretError(`No secret named '${name}', add it with POST /api/secrets`, 404);
+  }
+  return secrets[name];
+}
+
+/**
+ * Add or replace a secret
+ * @param {string} name - Letters, digits, '_', '.' and '-'
+ * @param {string} value - Non-empty
+ * @throws {SecretError} If the name or value is invalid or the store is unavailable
+ */
+function setSecret(name, value) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new SecretError('Secret names may only contain letters, digits, "_", "." and "-"');
+  }
+  if (typeof value !== 'string' || !value) {
+    throw new SecretError('A secret value must be a non-empty string');
+  }
+  saveSecrets({ ...loadSecrets(), [name]: value });
+}
+
+/**
+ * Remove a secret
+ * @param {string} name
+ * @returns {boolean} Whether there was such a secret
+ */
+function deleteSecret(name) {
+  const secrets = { ...loadSecrets() };
+  if (!Object.prototype.hasOwnProperty.call(secrets, name)) return false;
+  delete secrets[name];
+  saveSecrets(secrets);
+  return true;
+}
+
+/**
+ * Names of the stored secrets, never their values
+ * @returns {{available: boolean, names: Array<string>, error?: string}}
+ *   available is false when the key is missing or wrong
+ */
+function listSecrets() {
+  try {
+    return { available: true, names: Object.keys(loadSecrets()).sort() };
+  } catch (error) {
+    if (!(error instanceof SecretError)) throw error;
+    return { available: false, names: [], error: error.message };
+  }
+}
+
+/**
+ * Resolve a config value that may refer to a secret: { secret: 'device.pin' }
+ * @param {any} value
+ * @returns {any} The secret's value, or value itself
+ * @throws {SecretError} If the secret can't be read
+ */
+function resolveSecretRef(value) {
+  if (value && typeof value === 'object' && typeof value.secret === 'string') {
+    return getSecret(value.secret);
+  }
+  return value;
+}
+
+/**
+ * Replace every secret value in a text with "***"
+ * Leaves the text alone when the store is unavailable (nothing could be read from it either)
+ * @param {string} text
+ * @returns {string}
+ */
+function redact(text) {
+  if (typeof text !== 'string' || !process.env[KEY_ENV]) return text;
+  try {
+    loadSecrets();
+  } catch (error) {
+    return text;
+  }
+  return cache.pattern ? text.replace(cache.pattern, '***') : text;
+}
+
+module.exports = {
+  SecretError,
+  getSecret,
+  setSecret,
+  deleteSecret,
+  listSecrets,
+  resolveSecretRef,
+  redact,
+};
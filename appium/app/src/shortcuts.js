@@ -24,6 +24,8 @@ const KEYCODE = {
 
   // Power & Volume
   POWER: 26,
+  WAKEUP: 224,
+  SLEEP: 223,
   VOLUME_UP: 24,
   VOLUME_DOWN: 25,
   VOLUME_MUTE: 164,
@@ -0,0 +1,243 @@
+/**
+ * SMTP Module
+ *
+ * Minimal SMTP client for notification emails (see notify.js), enough for a
+ * local mail catcher (MailHog, Mailpit, maildev) or a regular relay:
+ * implicit TLS (secure, port 465) or STARTTLS, AUTH PLAIN, one text part and
+ * attachments. No dependency beyond Node's net and tls.
+ *
+ * @module smtp
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Error of an SMTP exchange, with the server's reply code when there was one
+ */
+class SmtpError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
+/**
+ * Read replies from a socket, one { code, text } per (possibly multi-line) reply
+ * @returns {{next: Function, detach: Function}} next() resolves with the next reply
+ */
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  const settle = () => {
+    while (waiters.length > 0 && (replies.length > 0 || failure)) {
+      const waiter = waiters.shift();
+      if (replies.length > 0) waiter.resolve(replies.shift());
+      else waiter.reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf-8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      // "250-..." continues the reply, "250 ..." ends it
+      if (line[3] !== '-') {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.map(part => part.slice(4)).join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (error) => {
+    failure = failure || error;
+    settle();
+  };
+  const onClose = () => onError(new SmtpError('Connection closed by the server'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiters.push({ resolve, reject });
+      settle();
+    }),
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    },
+  };
+}
+
+/**
+ * Open a connection, resolves once connected
+ */
+function connect({ host, port, secure, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(timeout, () => socket.destroy(new SmtpError(`No answer from ${host}:${port} within ${timeout / 1000}s`)));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Upgrade a plain connection to TLS (STARTTLS)
+ */
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+    secureSocket.once('error', reject);
+  });
+}
+
+/**
+ * "=?UTF-8?B?...?=" for header values that aren't plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`;
+}
+
+/**
+ * Base64 in lines of 76 characters, as MIME wants
+ */
+function base64Lines(content) {
+  return Buffer.from(content).toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * Build the MIME message
+ */
+function buildMessage({ from, to, subject, text, attachments = [] }) {
+  const boundary = `----=_Part_${crypto.randomUUID()}`;
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+  ];
+
+  const parts = [
+    [
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(text),
+    ].join('\r\n'),
+    ...attachments.map(({ filename, contentType, content }) => [
+      `Content-Type: ${contentType}; name="${filename}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; filename="${filename}"`,
+      '',
+      base64Lines(content),
+    ].join('\r\n')),
+  ];
+
+  return [
+    ...headers,
+    '',
+    ...parts.map(part => `--${boundary}\r\n${part}`),
+    `--${boundary}--`,
+  ].join('\r\n');
+}
+
+/**
+ * Send one email
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} [options.port] - Defaults to 465 with secure, else 25
+ * @param {boolean} [options.secure=false] - TLS from the start
+ * @param {boolean} [options.starttls=false] - Upgrade to TLS with STARTTLS (fails if the server can't)
+ * @param {string} [options.user] - Log in with AUTH PLAIN
+ * @param {string} [options.pass]
+ * @param {string} options.from - Sender address
+ * @param {Array<string>} options.to - Recipient addresses
+ * @param {string} options.subject
+ * @param {string} options.text - Plain text body
+ * @param {Array<{filename: string, contentType: string, content: Buffer}>} [options.attachments]
+ * @param {number} [options.timeout=15000] - Max silence from the server (ms)
+ * @returns {Promise<string>} The server's answer to the message, e.g. "OK: queued as ..."
+ * @throws {SmtpError} If the server refuses a command or doesn't answer
+ */
+async function sendMail(options) {
+  const { host, secure = false, starttls = false, user, pass, from, to, timeout = DEFAULT_TIMEOUT } = options;
+  const port = options.port || (secure ? 465 : 25);
+
+  let socket = await connect({ host, port, secure, timeout });
+  let reader = replyReader(socket);
+
+  const expect = async (codes, command) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw new SmtpError(`${command || 'Greeting'} refused by ${host}: ${reply.code} ${reply.text}`, reply.code);
+    }
+    return reply;
+  };
+  const send = (command, codes, label = command.split(' ')[0]) => {
+    socket.write(`${command}\r\n`);
+    return expect(codes, label);
+  };
+
+  try {
+    await expect([220]);
+    let hello = await send(`EHLO ${os.hostname()}`, [250]);
+
+    if (starttls && !secure) {
+      await send('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgrade(socket, host);
+      socket.setTimeout(timeout, () => socket.destroy(new SmtpError(`No answer from ${host}:${port} within ${timeout / 1000}s`)));
+      reader = replyReader(socket);
+      hello = await send(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (user) {
+      if (!/AUTH[ =][^\n]*PLAIN/i.test(hello.text)) {
+        throw new SmtpError(`${host} doesn't offer AUTH PLAIN${secure || starttls ? '' : ', try secure or starttls'}`);
+      }
+      const credentials = Buffer.from(`\0${user}\0${pass || ''}`, 'utf-8').toString('base64');
+      await send(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await send(`MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+    for (const recipient of to) {
+      await send(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    }
+    await send('DATA', [354]);
+
+    // A line starting with a dot gets a second one (dot-stuffing)
+    const message = buildMessage(options).replace(/^\./gm, '..');
+    const accepted = await send(`${message}\r\n.`, [250], 'Message');
+
+    socket.write('QUIT\r\n');
+    return accepted.text;
+  } finally {
+    reader.detach();
+    socket.end();
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  SmtpError,
+  sendMail,
+};
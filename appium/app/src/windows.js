@@ -0,0 +1,203 @@
+/**
+ * Allowed Windows Module
+ *
+ * Limits when scheduled runs may start, e.g. not at night while the phone charges
+ * and not on holidays. Declared globally (config.json scheduler.allowedWindows)
+ * and per task (schedule.allowedWindows); a run must fit both.
+ *
+ *   allowedWindows: {
+ *     timezone: 'Asia/Shanghai',          // Defaults to the schedule's, else the server's
+ *     windows: [
+ *       '08:00-22:00',                    // Every day
+ *       { from: '10:00', to: '18:00', days: ['SAT', 'SUN'] }
+ *     ],
+ *     blackoutDates: ['2025-12-25']       // Whole local days without runs
+ *   }
+ *
+ * Times are local wall-clock times, `to` is exclusive and may be '24:00'.
+ * A window can't cross midnight, use two windows instead.
+ *
+ * @module windows
+ */
+
+const { isValidTimezone, getLocalTimezone, toWallTime, toInstant } = require('./cron');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_DAYS_AHEAD = 2 * 366; // Give up looking for an allowed slot after this
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ */
+function parseTime(text, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text));
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`${label} must be a time like '08:00', got ${JSON.stringify(text)}`);
+  }
+  return minutes;
+}
+
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Normalize one window: '08:00-22:00' or { from, to, days }
+ */
+function parseWindow(window, index) {
+  const label = `windows[${index}]`;
+  const spec = typeof window === 'string' ? { from: window.split('-')[0], to: window.split('-')[1] } : window;
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`${label} must be 'HH:MM-HH:MM' or { from, to, days }`);
+  }
+
+  const from = parseTime(spec.from, `${label}.from`);
+  const to = parseTime(spec.to, `${label}.to`);
+  if (to <= from) {
+    throw new Error(`${label} ends before it starts (${formatTime(from)}-${formatTime(to)}), split windows that cross midnight in two`);
+  }
+
+  let days = null;
+  if (spec.days !== undefined) {
+    if (!Array.isArray(spec.days) || spec.days.length === 0) {
+      throw new Error(`${label}.days must be a non-empty list like ['MON', 'TUE']`);
+    }
+    days = spec.days.map(day => {
+      const index = typeof day === 'number' ? day % 7 : DAY_NAMES.indexOf(String(day).toUpperCase());
+      if (index < 0 || !Number.isInteger(index)) {
+        throw new Error(`${label}.days has an unknown day ${JSON.stringify(day)}, use ${DAY_NAMES.join(', ')}`);
+      }
+      return index;
+    });
+  }
+
+  return { from, to, days };
+}
+
+/**
+ * Allowed windows of a config block
+ */
+class AllowedWindows {
+  /**
+   * @param {Object} config - See module doc
+   * @param {Object} [options]
+   * @param {string} [options.timezone] - Used when config has no timezone
+   * @throws {Error} If the config is invalid
+   */
+  constructor(config, { timezone } = {}) {
+    if (!config || typeof config !== 'object') {
+      throw new Error('allowedWindows must be an object');
+    }
+
+    this.timezone = config.timezone || timezone || getLocalTimezone();
+    if (!isValidTimezone(this.timezone)) {
+      throw new Error(`allowedWindows has an unknown timezone '${this.timezone}'`);
+    }
+
+    const windows = config.windows === undefined ? ['00:00-24:00'] : config.windows;
+    if (!Array.isArray(windows) || windows.length === 0) {
+      throw new Error('allowedWindows.windows must be a non-empty list');
+    }
+    this.windows = windows.map(parseWindow).sort((a, b) => a.from - b.from);
+
+    const blackoutDates = config.blackoutDates || [];
+    if (!Array.isArray(blackoutDates) || blackoutDates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      throw new Error(`allowedWindows.blackoutDates must list dates like '2025-12-25', got ${JSON.stringify(blackoutDates)}`);
+    }
+    this.blackoutDates = new Set(blackoutDates);
+  }
+
+  /**
+   * First allowed slot at or after a time
+   * @param {number} time - Timestamp (ms)
+   * @returns {{start: number, end: number, reason: string|null}|null} start is `time` itself
+   *   when it is allowed; reason says why `time` wasn't; null if nothing is allowed
+   *   within two years
+   */
+  nextAllowed(time) {
+    const wall = toWallTime(time, this.timezone);
+    let reason = null;
+    let dayStart = Math.floor(wall / DAY) * DAY;
+
+    for (let day = 0; day < MAX_DAYS_AHEAD; day++, dayStart += DAY) {
+      const date = new Date(dayStart).toISOString().slice(0, 10);
+      if (this.blackoutDates.has(date)) {
+        reason = reason || `${date} is a blackout date (${this.timezone})`;
+        continue;
+      }
+
+      const weekday = new Date(dayStart).getUTCDay();
+      for (const window of this.windows) {
+        if (window.days && !window.days.includes(weekday)) continue;
+
+        const start = dayStart + window.from * 60 * 1000;
+        const end = dayStart + window.to * 60 * 1000;
+        if (wall >= end) continue;
+
+        if (wall >= start) {
+          return { start: time, end: toInstant(end, this.timezone), reason };
+        }
+        return {
+          start: toInstant(start, this.timezone),
+          end: toInstant(end, this.timezone),
+          reason: reason || `outside the allowed windows ${this.describe()}`,
+        };
+      }
+      // No window left on this day
+      reason = reason || `outside the allowed windows ${this.describe()}`;
+    }
+    return null;
+  }
+
+  /**
+   * Human readable description, e.g. "08:00-22:00, not on 2025-12-25 (Asia/Shanghai)"
+   * @returns {string}
+   */
+  describe() {
+    const windows = this.windows.map(window => {
+      const days = window.days ? ` on ${window.days.map(day => DAY_NAMES[day]).join(', ')}` : '';
+      return `${formatTime(window.from)}-${formatTime(window.to)}${days}`;
+    });
+    const blackout = this.blackoutDates.size > 0 ? `, not on ${[...this.blackoutDates].join(', ')}` : '';
+    return `${windows.join(', ')}${blackout} (${this.timezone})`;
+  }
+}
+
+/**
+ * First time at or after `time` that every set of windows allows
+ * @param {Array<AllowedWindows>} list
+ * @param {number} time - Timestamp (ms)
+ * @returns {{start: number, end: number, reason: string|null}|null} As AllowedWindows#nextAllowed,
+ *   end is the earliest end of the windows that allow start
+ */
+function nextAllowedTime(list, time) {
+  let start = time;
+  let reason = null;
+
+  // Each set moves start forward until all of them agree
+  for (let round = 0; round < 100; round++) {
+    let end = Infinity;
+    let moved = false;
+
+    for (const windows of list) {
+      const slot = windows.nextAllowed(start);
+      if (!slot) return null;
+
+      reason = reason || slot.reason;
+      if (slot.start > start) {
+        start = slot.start;
+        moved = true;
+        break;
+      }
+      end = Math.min(end, slot.end);
+    }
+
+    if (!moved) return { start, end, reason };
+  }
+  return null;
+}
+
+module.exports = {
+  AllowedWindows,
+  nextAllowedTime,
+};
@@ -0,0 +1,350 @@
+/**
+ * Workflow Module
+ *
+ * A script can export a `workflow` instead of `execute`: several scripts from
+ * app/scripts run one after another on the same device, as one run in the history.
+ *
+ *   workflow: {
+ *     steps: [
+ *       { id: 'unlock', script: 'Unlock', params: ({ params }) => ({ pin: params.pin }) },
+ *       { id: 'fetch', script: 'QueryGemini', dependsOn: ['unlock'],
+ *         onSuccess: ['publish'], onFailure: ['lock'], retry: { maxAttempts: 3, backoff: 30 } },
+ *       { id: 'publish', script: 'PublishSoul',
+ *         params: ({ steps }) => ({ content: steps.fetch.result.response }) },
+ *       { id: 'lock', script: 'Lock' }
+ *     ]
+ *   }
+ *
+ * Edges between steps:
+ * - dependsOn: The step only runs if every listed step succeeded
+ * - onSuccess / onFailure: Steps to run when this one succeeds / fails. A step that
+ *   is the target of such edges runs if at least one of them fired.
+ * A step waits until every step it has an edge from is done (or skipped), then runs
+ * or is skipped. Steps without edges into them start the workflow. Among the steps
+ * that can run, the one declared first goes first.
+ *
+ * `params` is an object, or a function of { params (the workflow's), steps (id ->
+ * { status, result } of the steps done so far) } to hand results on. Each step can
+ * retry on its own (retry as in schedule.js, `on` defaults to ['failed', 'error']).
+ * The workflow fails if any step failed, its timeout covers all steps.
+ *
+ * @module workflow
+ */
+
+const { setTimeout: sleep } = require('timers/promises');
+const { createAppiumWrapper } = require('./appium');
+const { updateRun, untilAborted } = require('./runs');
+const { appendLog } = require('./logs');
+const { getParamSchema, resolveParams } = require('./params');
+const { getScriptPath, loadScript, scriptStack } = require('./loader');
+const { normalizeRetry } = require('./schedule');
+const { normalizeInterrupts } = require('./interrupts');
+
+// What can go wrong with a step: it returned success: false, or it threw
+const STEP_FAILURE_KINDS = ['failed', 'error'];
+const EDGES = ['dependsOn', 'onSuccess', 'onFailure'];
+
+/**
+ * Error thrown for a workflow that can't be run
+ * Carries an HTTP status so API routes can answer 400 directly
+ */
+class WorkflowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Validate one step and load its script
+ * @param {Object} spec - Declared step
+ * @param {string} label - e.g. "steps[1] 'fetch'", prefixed to errors
+ * @param {Set<string>} ids - Ids of all steps
+ */
+function normalizeStep(spec, label, ids) {
+  const scriptPath = typeof spec.script === 'string' ? getScriptPath(spec.script) : null;
+  if (!scriptPath) {
+    throw new WorkflowError(`${label} has an unknown script ${JSON.stringify(spec.script)}, use a file name in app/scripts without .js`);
+  }
+
+  let script;
+  try {
+    script = loadScript(scriptPath);
+  } catch (error) {
+    throw new WorkflowError(`${label} script '${spec.script}' failed to load: ${error.message}`);
+  }
+  if (typeof script.execute !== 'function') {
+    throw new WorkflowError(`${label} script '${spec.script}' must export an execute function (workflows can't be nested)`);
+  }
+  try {
+    normalizeInterrupts(script.interrupts);
+  } catch (error) {
+    throw new WorkflowError(`${label} script '${spec.script}': ${error.message}`);
+  }
+
+  const edges = {};
+  for (const edge of EDGES) {
+    const targets = spec[edge] === undefined ? [] : [].concat(spec[edge]);
+    const unknown = targets.find(id => !ids.has(id) || id === spec.id);
+    if (unknown !== undefined) {
+      throw new WorkflowError(`${label}.${edge} has an unknown step ${JSON.stringify(unknown)}`);
+    }
+    edges[edge] = targets;
+  }
+
+  if (spec.params !== undefined && typeof spec.params !== 'function' && (!spec.params || typeof spec.params !== 'object')) {
+    throw new WorkflowError(`${label}.params must be an object or a function`);
+  }
+  try {
+    // Values a function returns are only known at run time
+    if (typeof spec.params !== 'function') resolveParams(getParamSchema(script), spec.params);
+  } catch (error) {
+    throw new WorkflowError(`${label}: ${error.message}`);
+  }
+
+  let retry;
+  try {
+    retry = normalizeRetry(spec.retry, { on: STEP_FAILURE_KINDS });
+  } catch (error) {
+    throw new WorkflowError(`${label}.${error.message}`);
+  }
+  if (retry.on.some(kind => !STEP_FAILURE_KINDS.includes(kind))) {
+    throw new WorkflowError(`${label}.retry.on must list failure kinds out of: ${STEP_FAILURE_KINDS.join(', ')}`);
+  }
+
+  return { id: spec.id, scriptId: spec.script, script, params: spec.params, retry, ...edges };
+}
+
+/**
+ * Validate a workflow and load the scripts of its steps
+ * @param {Object} workflow - The script's module.exports.workflow
+ * @returns {{steps: Array<Object>}} Steps in declaration order with { id, scriptId, script,
+ *   params, retry, dependsOn, triggers: [{ from, on: 'success' | 'failure' }], upstream }
+ * @throws {WorkflowError} If the workflow can't be run (unknown script or step, cycle, ...)
+ */
+function normalizeWorkflow(workflow) {
+  if (!workflow || typeof workflow !== 'object' || !Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+    throw new WorkflowError('workflow must be an object with a non-empty steps list');
+  }
+
+  const ids = new Set();
+  workflow.steps.forEach((spec, index) => {
+    const id = spec && spec.id;
+    if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+      throw new WorkflowError(`workflow steps[${index}] needs an id of letters, digits, _ or -, got ${JSON.stringify(id)}`);
+    }
+    if (ids.has(id)) {
+      throw new WorkflowError(`workflow steps[${index}] repeats the id '${id}'`);
+    }
+    ids.add(id);
+  });
+
+  const steps = workflow.steps.map((spec, index) => normalizeStep(spec, `workflow steps[${index}] '${spec.id}'`, ids));
+
+  // onSuccess / onFailure point forward, turn them into triggers of their targets
+  for (const step of steps) step.triggers = [];
+  for (const step of steps) {
+    for (const target of step.onSuccess) steps.find(s => s.id === target).triggers.push({ from: step.id, on: 'success' });
+    for (const target of step.onFailure) steps.find(s => s.id === target).triggers.push({ from: step.id, on: 'failure' });
+  }
+  for (const step of steps) {
+    step.upstream = [...new Set([...step.dependsOn, ...step.triggers.map(trigger => trigger.from)])];
+  }
+
+  // Every step must become ready at some point
+  const done = new Set();
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const step of steps) {
+      if (!done.has(step.id) && step.upstream.every(id => done.has(id))) {
+        done.add(step.id);
+        progress = true;
+      }
+    }
+  }
+  const cycle = steps.filter(step => !done.has(step.id)).map(step => step.id);
+  if (cycle.length > 0) {
+    throw new WorkflowError(`workflow has a cycle between steps ${cycle.join(', ')}`);
+  }
+
+  return { steps };
+}
+
+const isSettled = (state) => !['pending', 'running'].includes(state.status);
+const isFailure = (state) => state.status === 'failed' || state.status === 'error';
+
+/**
+ * Why a ready step doesn't run, from the outcome of the steps it has edges from
+ * @returns {string|null} null if it runs
+ */
+function skipReason(step, states) {
+  const dependency = step.dependsOn.find(id => states.get(id).status !== 'success');
+  if (dependency) {
+    return `depends on '${dependency}', which ${states.get(dependency).status === 'skipped' ? 'was skipped' : 'did not succeed'}`;
+  }
+
+  const fired = step.triggers.some(({ from, on }) =>
+    on === 'success' ? states.get(from).status === 'success' : isFailure(states.get(from)));
+  if (step.triggers.length > 0 && !fired) {
+    return `none of its edges fired (${step.triggers.map(({ from, on }) => `on${on === 'success' ? 'Success' : 'Failure'} of '${from}'`).join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * What went wrong in an attempt, for the logs
+ */
+function failureMessage(outcome) {
+  if (outcome.error) return outcome.error.message;
+  return (outcome.result && outcome.result.message) || 'returned success: false';
+}
+
+/**
+ * Run one attempt of a step, ended early when the run is cancelled or times out
+ * @returns {Promise<{status: 'success'|'failed'|'error', result?: any, error?: Object}>}
+ */
+async function attemptStep(step, appium, params, signal) {
+  try {
+    const result = await untilAborted(step.script.execute(appium, params), signal);
+    return { status: result && result.success === false ? 'failed' : 'success', result };
+  } catch (error) {
+    return { status: 'error', error: { name: error.name || 'Error', message: error.message, stack: scriptStack(error), details: error.details } };
+  }
+}
+
+/**
+ * Run a step with its retries, then its script's cleanup hook
+ * Updates the step's state in place
+ * @throws {Error} The run's abort reason if the workflow was cancelled or timed out
+ */
+async function runStep(step, state, { run, deviceId, params, steps, signal, publish }) {
+  const log = (level, message) => appendLog({ level, message, runId: run.id, scriptId: step.scriptId, deviceId });
+  Object.assign(state, { status: 'running', startedAt: new Date().toISOString() });
+  publish();
+  log('info', `Step '${step.id}' started (${step.scriptId})`);
+
+  let outcome;
+  let values;
+  try {
+    const declared = typeof step.params === 'function' ? step.params({ params, steps }) : step.params;
+    values = resolveParams(getParamSchema(step.script), declared);
+  } catch (error) {
+    // Retrying won't fix the params
+    outcome = { status: 'error', error: { name: error.name || 'Error', message: `Invalid params: ${error.message}` } };
+  }
+
+  if (values) {
+    const appium = createAppiumWrapper(deviceId, { runId: run.id, scriptId: step.scriptId, signal, interrupts: step.script.interrupts });
+    const { retry } = step;
+
+    for (;;) {
+      state.attempts++;
+      publish();
+      outcome = await attemptStep(step, appium, values, signal);
+      if (outcome.status === 'success' || signal.aborted) break;
+      if (state.attempts >= retry.maxAttempts || !retry.on.includes(outcome.status)) break;
+
+      const delay = Math.min(retry.backoff * retry.factor ** (state.attempts - 1), retry.maxBackoff) * 1000;
+      log('error', `Step '${step.id}' ${outcome.status} (attempt ${state.attempts}/${retry.maxAttempts}): ${failureMessage(outcome)}, retrying in ${delay / 1000}s`);
+      // Resolves early when the run is cancelled
+      await sleep(delay, undefined, { signal }).catch(() => {});
+      if (signal.aborted) break;
+    }
+  }
+
+  const status = signal.aborted ? 'cancelled' : outcome.status;
+  if (values && typeof step.script.cleanup === 'function') {
+    try {
+      const cleanupAppium = createAppiumWrapper(deviceId, { runId: run.id, scriptId: step.scriptId, interrupts: step.script.interrupts });
+      await step.script.cleanup(cleanupAppium, { status, error: outcome.error || null, params: values });
+    } catch (error) {
+      log('error', `Cleanup of step '${step.id}' failed: ${error.message}`);
+    }
+  }
+
+  Object.assign(state, {
+    status,
+    endedAt: new Date().toISOString(),
+    result: outcome.result === undefined ? null : outcome.result,
+    error: signal.aborted ? null : outcome.error || null,
+  });
+  publish();
+  log(status === 'success' ? 'info' : 'error', `Step '${step.id}' ${status}${['failed', 'error'].includes(status) ? `: ${failureMessage(outcome)}` : ''}`);
+
+  if (signal.aborted) throw signal.reason;
+}
+
+/**
+ * Run a workflow within a run (see runner.js), recording each step's state in run.steps
+ * @param {Object} workflow - The script's module.exports.workflow
+ * @param {Object} options
+ * @param {Object} options.run - Run record from startRun()
+ * @param {string} options.deviceId
+ * @param {Object} options.params - The workflow script's resolved params
+ * @param {AbortSignal} options.signal - The run's abort signal
+ * @returns {Promise<Object>} { success, message, results: step id -> result of the steps that succeeded }
+ * @throws {WorkflowError} If the workflow can't be run
+ * @throws {Error} The run's abort reason if it was cancelled or timed out
+ */
+async function runWorkflow(workflow, { run, deviceId, params, signal }) {
+  const { steps } = normalizeWorkflow(workflow);
+  const states = new Map(steps.map(step => [step.id, {
+    id: step.id,
+    scriptId: step.scriptId,
+    status: 'pending', // then running, success, failed, error, cancelled or skipped
+    attempts: 0,
+    startedAt: null,
+    endedAt: null,
+    result: null,
+    error: null,
+    reason: null, // Why the step was skipped
+  }]));
+  const publish = () => updateRun(run, { steps: [...states.values()].map(state => ({ ...state })) });
+  publish();
+
+  try {
+    let step;
+    while ((step = steps.find(s => states.get(s.id).status === 'pending' && s.upstream.every(id => isSettled(states.get(id)))))) {
+      const state = states.get(step.id);
+      const reason = skipReason(step, states);
+      if (reason) {
+        Object.assign(state, { status: 'skipped', reason });
+        publish();
+        continue;
+      }
+
+      const results = Object.fromEntries([...states.values()]
+        .filter(isSettled)
+        .map(({ id, status, result }) => [id, { status, result }]));
+      await runStep(step, state, { run, deviceId, params, steps: results, signal, publish });
+    }
+  } finally {
+    // Cancelled or timed out: the rest never runs
+    for (const state of states.values()) {
+      if (state.status === 'pending') Object.assign(state, { status: 'skipped', reason: 'workflow stopped' });
+    }
+    publish();
+  }
+
+  const all = [...states.values()];
+  const failed = all.filter(isFailure).map(state => state.id);
+  const succeeded = all.filter(state => state.status === 'success');
+  const skipped = all.filter(state => state.status === 'skipped').length;
+
+  return {
+    success: failed.length === 0,
+    message: failed.length > 0
+      ? `Step(s) failed: ${failed.join(', ')}`
+      : `Workflow finished: ${succeeded.length} step(s) succeeded, ${skipped} skipped`,
+    results: Object.fromEntries(succeeded.map(({ id, result }) => [id, result])),
+  };
+}
+
+module.exports = {
+  STEP_FAILURE_KINDS,
+  WorkflowError,
+  normalizeWorkflow,
+  runWorkflow,
+};
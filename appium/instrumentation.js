@@ -0,0 +1,58 @@
+/**
+ * Next.js Instrumentation
+ * register() runs once when the server boots, before it accepts requests
+ *
+ * Starts the scheduler's built-in timer, so scheduled scripts run without an
+ * external poll. register() is bundled apart from the route handlers, so
+ * importing the scheduler here would create a second scheduler (with its own
+ * sessions and leases). Instead it calls GET /api/scheduler once the server is
+ * listening, which starts the timer inside the route handlers' modules.
+ *
+ * The URL defaults to http://127.0.0.1:$PORT/api/scheduler; set
+ * "scheduler": { "startUrl": "..." } in config.json when the server can't be
+ * reached there (other host, base path, proxy in front). Until the call succeeds
+ * it is retried, with an error logged every time once the server had time to start.
+ */
+
+const START_RETRY_DELAY = 1000;
+const MAX_START_RETRY_DELAY = 60 * 1000;
+const QUIET_ATTEMPTS = 10; // Connection refused is expected while the server starts
+
+async function startScheduler(url, attempt = 1) {
+  let problem;
+  try {
+    const res = await fetch(url);
+    if (res.ok) {
+      console.log('[Instrumentation] Scheduler timer started');
+      return;
+    }
+    // The server answered, but not with the scheduler: a wrong URL
+    problem = `HTTP ${res.status}`;
+  } catch (error) {
+    if (attempt < QUIET_ATTEMPTS) {
+      setTimeout(() => startScheduler(url, attempt + 1), START_RETRY_DELAY);
+      return;
+    }
+    problem = error.cause ? error.cause.message : error.message;
+  }
+
+  const delay = Math.min(START_RETRY_DELAY * 2 ** Math.max(attempt - QUIET_ATTEMPTS, 0), MAX_START_RETRY_DELAY);
+  console.error(
+    `[Instrumentation] Scheduler timer NOT started, scheduled scripts won't run: GET ${url} failed (${problem}). ` +
+    `Set scheduler.startUrl in config.json if the server isn't reachable there. Retrying in ${delay / 1000}s`
+  );
+  setTimeout(() => startScheduler(url, attempt + 1), delay);
+}
+
+export async function register() {
+  // The scheduler needs Node.js (fs, webdriverio), skip the edge runtime
+  if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+  // Only reads config.json, a second copy of this module is harmless
+  const { getConfig } = await import('./app/src/config');
+  const { startUrl } = getConfig().scheduler || {};
+  const url = startUrl || `http://127.0.0.1:${process.env.PORT || 3000}/api/scheduler`;
+
+  // Not awaited: the server only starts listening after register() returns
+  setTimeout(() => startScheduler(url), START_RETRY_DELAY);
+}
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, toWallTime, toInstant } = require('../app/src/cron');
+
+const at = (iso) => new Date(iso).getTime();
+const iso = (time) => new Date(time).toISOString();
+const nextAfter = (expression, after, timezone = 'UTC') => iso(parseCron(expression, { timezone }).next(at(after)));
+
+describe('parseCron', () => {
+  it('fires on the wall clock of the timezone', () => {
+    // Friday 10:00 in Shanghai, the next weekday 09:30 is Monday's
+    assert.equal(nextAfter('30 9 * * 1-5', '2026-10-16T02:00:00Z', 'Asia/Shanghai'), '2026-10-19T01:30:00.000Z');
+  });
+
+  it('fires strictly after the given time', () => {
+    assert.equal(nextAfter('0 12 * * *', '2026-10-19T12:00:00Z'), '2026-10-20T12:00:00.000Z');
+  });
+
+  it('supports a seconds field', () => {
+    const cron = parseCron('*/20 * * * * *', { timezone: 'UTC' });
+    assert.deepEqual(cron.nextTimes(3, at('2026-10-19T12:00:00Z')).map(iso), [
+      '2026-10-19T12:00:20.000Z',
+      '2026-10-19T12:00:40.000Z',
+      '2026-10-19T12:01:00.000Z',
+    ]);
+  });
+
+  it('supports lists, ranges with steps and names', () => {
+    const cron = parseCron('0 8-12/2,18 * JAN-MAR MON', { timezone: 'UTC' });
+    assert.deepEqual(cron.nextTimes(4, at('2027-01-01T00:00:00Z')).map(iso), [
+      '2027-01-04T08:00:00.000Z',
+      '2027-01-04T10:00:00.000Z',
+      '2027-01-04T12:00:00.000Z',
+      '2027-01-04T18:00:00.000Z',
+    ]);
+  });
+
+  it('supports macros', () => {
+    assert.equal(nextAfter('@daily', '2026-10-19T12:00:00Z'), '2026-10-20T00:00:00.000Z');
+    assert.equal(nextAfter('@monthly', '2026-10-19T12:00:00Z'), '2026-11-01T00:00:00.000Z');
+  });
+
+  it('supports the last day of the month', () => {
+    assert.equal(nextAfter('0 0 L * *', '2026-02-10T00:00:00Z'), '2026-02-28T00:00:00.000Z');
+    assert.equal(nextAfter('0 0 L * *', '2028-02-10T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  });
+
+  it('supports the nth and the last weekday of the month', () => {
+    assert.equal(nextAfter('0 10 * * MON#1', '2026-10-19T00:00:00Z'), '2026-11-02T10:00:00.000Z');
+    assert.equal(nextAfter('0 10 * * 5L', '2026-10-19T00:00:00Z'), '2026-10-30T10:00:00.000Z');
+    assert.equal(nextAfter('0 10 * * FRIL', '2026-10-19T00:00:00Z'), '2026-10-30T10:00:00.000Z');
+  });
+
+  it('treats 0 and 7 as Sunday', () => {
+    assert.equal(nextAfter('0 0 * * 7', '2026-10-19T00:00:00Z'), nextAfter('0 0 * * 0', '2026-10-19T00:00:00Z'));
+  });
+
+  it('fires on a day matching either day field when both are restricted', () => {
+    // The 13th or a Friday, whichever comes first
+    assert.equal(nextAfter('0 0 13 * 5', '2026-10-01T00:00:00Z'), '2026-10-02T00:00:00.000Z');
+    assert.equal(nextAfter('0 0 13 * 5', '2026-10-09T00:00:00Z'), '2026-10-13T00:00:00.000Z');
+  });
+
+  it('returns null for an expression that never fires', () => {
+    assert.equal(parseCron('0 0 30 2 *', { timezone: 'UTC' }).next(at('2026-10-19T00:00:00Z')), null);
+  });
+
+  it('shifts a time skipped by a DST change by the jump', () => {
+    // Berlin moves from 02:00 CET to 03:00 CEST on 2026-03-29, 02:30 fires at 03:30 CEST
+    assert.equal(nextAfter('30 2 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z');
+  });
+
+  it('fires a time repeated by a DST change once', () => {
+    // Berlin moves from 03:00 CEST back to 02:00 CET on 2026-10-25
+    const cron = parseCron('30 2 * * *', { timezone: 'Europe/Berlin' });
+    assert.deepEqual(cron.nextTimes(2, at('2026-10-24T12:00:00Z')).map(iso), [
+      '2026-10-25T00:30:00.000Z',
+      '2026-10-26T01:30:00.000Z',
+    ]);
+  });
+
+  it('describes the expression', () => {
+    assert.equal(parseCron('30 9 * * 1-5', { timezone: 'Asia/Shanghai' }).describe(), 'At 09:30 on Monday-Friday (Asia/Shanghai)');
+    assert.match(parseCron('0 10 * * MON#1', { timezone: 'UTC' }).describe(), /the first Monday/);
+    assert.match(parseCron('0 10 * * 5L', { timezone: 'UTC' }).describe(), /the last Friday/);
+    assert.match(parseCron('0 0 L * *', { timezone: 'UTC' }).describe(), /the last day of the month/);
+  });
+
+  it('rejects invalid expressions with the reason', () => {
+    const invalid = {
+      '0 0 * *': /expected 5 or 6 fields, got 4/,
+      '60 * * * *': /60 is out of range 0-59/,
+      '0 0 * * FOO': /'FOO' is not a number/,
+      '0 5-1 * * *': /range '5-1' is backwards/,
+      '0 1-2-3 * * *': /range '1-2-3' has more than two ends/,
+      '*/2/3 * * * *': /more than one step in '\*\/2\/3'/,
+      '*/0 * * * *': /bad step/,
+      '0 0 * * MON#6': /'#6' in 'MON#6' must be #1 to #5/,
+      '0 0 * * MON#0': /'#0' in 'MON#0' must be #1 to #5/,
+      '0 0 * * 1#2L': /mixes # and L/,
+      '0 0 * * 1#1,L': /'L' in day of week needs a day/,
+    };
+    for (const [expression, message] of Object.entries(invalid)) {
+      assert.throws(() => parseCron(expression, { timezone: 'UTC' }), message, expression);
+    }
+  });
+
+  it('rejects an unknown timezone', () => {
+    assert.throws(() => parseCron('0 0 * * *', { timezone: 'Mars/Olympus' }), /Unknown timezone 'Mars\/Olympus'/);
+  });
+});
+
+describe('toWallTime / toInstant', () => {
+  it('convert between instants and wall times', () => {
+    const instant = at('2026-10-19T01:30:00Z');
+    const wall = toWallTime(instant, 'Asia/Shanghai');
+    assert.equal(wall, Date.UTC(2026, 9, 19, 9, 30));
+    assert.equal(toInstant(wall, 'Asia/Shanghai'), instant);
+  });
+
+  it('resolve a repeated wall time to its first occurrence', () => {
+    assert.equal(iso(toInstant(Date.UTC(2026, 9, 25, 2, 30), 'Europe/Berlin')), '2026-10-25T00:30:00.000Z');
+  });
+});
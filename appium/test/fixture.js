@@ -0,0 +1,36 @@
+/**
+ * Test Fixture
+ *
+ * A throwaway server directory (config.json, app/scripts, data/) for the modules
+ * that read process.cwd() when they are loaded (config, loader, secrets).
+ * Call useFixture() before requiring them; node --test runs every test file in
+ * its own process, so each file gets its own directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create the directory and make it the working directory
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Contents of config.json
+ * @param {Object} [options.scripts] - Script id -> source of app/scripts/<id>.js
+ * @returns {string} The directory, removed when the process exits
+ */
+function useFixture({ config = {}, scripts = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appium-test-'));
+  fs.mkdirSync(path.join(dir, 'app', 'scripts'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(config));
+  for (const [id, source] of Object.entries(scripts)) {
+    fs.writeFileSync(path.join(dir, 'app', 'scripts', `${id}.js`), source);
+  }
+
+  process.chdir(dir);
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = {
+  useFixture,
+};
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ParamValidationError, getParamSchema, resolveParams, maskParams, describeParams } = require('../app/src/params');
+
+const script = {
+  params: {
+    pin: { type: 'secret', default: '0000' },
+    count: { type: 'number', default: 3, min: 1, max: 10 },
+    mode: { type: 'enum', values: ['fast', 'safe'], default: 'safe' },
+    dryRun: { type: 'boolean', default: false },
+    message: { required: true, label: 'Message to publish' },
+  },
+};
+const schema = getParamSchema(script);
+
+describe('getParamSchema', () => {
+  it('normalizes the declared parameters in order', () => {
+    assert.deepEqual(schema.map(param => [param.name, param.type]), [
+      ['pin', 'secret'],
+      ['count', 'number'],
+      ['mode', 'enum'],
+      ['dryRun', 'boolean'],
+      ['message', 'string'],
+    ]);
+    const message = schema.find(param => param.name === 'message');
+    assert.equal(message.label, 'Message to publish');
+    assert.equal(message.required, true);
+    assert.equal(schema.find(param => param.name === 'count').label, 'count');
+  });
+
+  it('infers parameters from a legacy config object', () => {
+    const legacy = getParamSchema({ config: { userPin: '1234', retries: 2, verbose: true, target: 'home', nested: { a: 1 } } });
+    assert.deepEqual(legacy.map(param => [param.name, param.type, param.default]), [
+      ['userPin', 'secret', '1234'],
+      ['retries', 'number', 2],
+      ['verbose', 'boolean', true],
+      ['target', 'string', 'home'],
+    ]);
+  });
+
+  it('rejects invalid declarations', () => {
+    assert.throws(() => getParamSchema({ params: { when: { type: 'date' } } }), /Param 'when' has unknown type 'date'/);
+    assert.throws(() => getParamSchema({ params: { mode: { type: 'enum' } } }), /needs a non-empty 'values' array/);
+  });
+});
+
+describe('resolveParams', () => {
+  it('fills in the defaults', () => {
+    assert.deepEqual(resolveParams(schema, { message: 'hi' }), { pin: '0000', count: 3, mode: 'safe', dryRun: false, message: 'hi' });
+  });
+
+  it('converts form values to the parameter types', () => {
+    const params = resolveParams(schema, { message: 42, count: '7', dryRun: 'true', pin: 1234 });
+    assert.equal(params.message, '42');
+    assert.equal(params.count, 7);
+    assert.equal(params.dryRun, true);
+    assert.equal(params.pin, '1234');
+  });
+
+  it('treats null as "use the default"', () => {
+    assert.equal(resolveParams(schema, { message: 'hi', count: null }).count, 3);
+  });
+
+  it('reports every invalid value at once', () => {
+    let error;
+    try {
+      resolveParams(schema, { count: '11', mode: 'slow', dryRun: 'yes', extra: 1 });
+    } catch (thrown) {
+      error = thrown;
+    }
+    assert.ok(error instanceof ParamValidationError);
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.errors, [
+      { param: 'extra', message: 'is not declared by the script' },
+      { param: 'count', message: 'must be at most 10' },
+      { param: 'mode', message: 'must be one of: fast, safe' },
+      { param: 'dryRun', message: 'must be true or false' },
+      { param: 'message', message: 'is required' },
+    ]);
+    assert.match(error.message, /^Invalid params: extra: is not declared by the script; count: must be at most 10/);
+  });
+
+  it('rejects values that aren\'t numbers or strings', () => {
+    assert.throws(() => resolveParams(schema, { message: 'hi', count: 'many' }), /count: must be a number/);
+    assert.throws(() => resolveParams(schema, { message: { text: 'hi' } }), /message: must be a string/);
+  });
+});
+
+describe('maskParams / describeParams', () => {
+  it('masks secret values', () => {
+    const params = resolveParams(schema, { message: 'hi' });
+    assert.deepEqual(maskParams(schema, params), { ...params, pin: '***' });
+    assert.equal(params.pin, '0000');
+  });
+
+  it('doesn\'t send secret defaults to the UI', () => {
+    const pin = describeParams(schema).find(param => param.name === 'pin');
+    assert.equal(pin.default, undefined);
+    assert.equal(pin.hasDefault, true);
+    assert.equal(describeParams(schema).find(param => param.name === 'count').default, 3);
+  });
+});
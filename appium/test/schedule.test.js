@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFixture } = require('./fixture');
+
+useFixture({ config: { devices: { phone: {}, tablet: {} }, defaultDevice: 'phone' } });
+const { ScheduleError, normalizeRetry, normalizeSchedule } = require('../app/src/schedule');
+
+const at = (iso) => new Date(iso).getTime();
+const iso = (time) => new Date(time).toISOString();
+
+describe('normalizeSchedule', () => {
+  it('fills in the defaults', () => {
+    const timing = normalizeSchedule({ cron: '0 9 * * *', timezone: 'UTC' });
+    assert.equal(timing.kind, 'cron');
+    assert.equal(timing.enabled, false);
+    assert.equal(timing.offset, 0);
+    assert.equal(timing.deviceId, undefined);
+    assert.equal(timing.missedRunPolicy, 'skip');
+    assert.equal(timing.missedRunWindow, 24 * 60 * 60);
+    assert.equal(timing.retry.maxAttempts, 1);
+    assert.equal(timing.priority, 0);
+    assert.equal(timing.queueTimeout, 30 * 60);
+    assert.deepEqual(timing.allowedWindows, []);
+    assert.deepEqual(timing.hooks, { before: [], after: [] });
+  });
+
+  it('computes cron fire times', () => {
+    const timing = normalizeSchedule({ cron: '0 9 * * *', timezone: 'UTC' });
+    assert.deepEqual(timing.nextTimes(2, at('2026-10-19T12:00:00Z')).map(iso), [
+      '2026-10-20T09:00:00.000Z',
+      '2026-10-21T09:00:00.000Z',
+    ]);
+    assert.equal(timing.describe(), 'At 09:00 (UTC)');
+  });
+
+  it('counts intervals from the nextRun anchor', () => {
+    const timing = normalizeSchedule({ interval: 60 * 60 * 1000, nextRun: '2026-10-19T10:15:00Z' });
+    assert.equal(iso(timing.next(at('2026-10-19T08:00:00Z'))), '2026-10-19T10:15:00.000Z');
+    assert.equal(iso(timing.next(at('2026-10-19T12:15:00Z'))), '2026-10-19T13:15:00.000Z');
+    assert.equal(timing.describe(), 'Every 1h from 2026-10-19T10:15:00.000Z');
+  });
+
+  it('anchors an interval without nextRun one interval after loading', () => {
+    const loadedAt = at('2026-10-19T10:00:00Z');
+    const timing = normalizeSchedule({ interval: 90 * 1000 }, { loadedAt });
+    assert.equal(iso(timing.next(loadedAt)), '2026-10-19T10:01:30.000Z');
+  });
+
+  it('fires a period schedule in the current period when its slot is still ahead', () => {
+    const timing = normalizeSchedule({ period: 24 * 60 * 60, position: 12 * 60 * 60 });
+    assert.equal(iso(timing.next(at('2026-10-19T11:59:00Z'))), '2026-10-19T12:00:00.000Z');
+    assert.equal(iso(timing.next(at('2026-10-19T12:00:00Z'))), '2026-10-20T12:00:00.000Z');
+  });
+
+  it('keeps the settings of the schedule', () => {
+    const timing = normalizeSchedule({
+      cron: '0 9 * * *',
+      enabled: true,
+      offset: 300,
+      deviceId: 'tablet',
+      params: { count: 2 },
+      missedRunPolicy: 'run-all',
+      missedRunWindow: 3600,
+      priority: 5,
+      queueTimeout: 60,
+      allowedWindows: { windows: ['08:00-22:00'] },
+      timezone: 'Asia/Shanghai',
+    });
+    assert.equal(timing.enabled, true);
+    assert.equal(timing.offset, 300);
+    assert.equal(timing.deviceId, 'tablet');
+    assert.deepEqual(timing.params, { count: 2 });
+    assert.equal(timing.missedRunPolicy, 'run-all');
+    assert.equal(timing.missedRunWindow, 3600);
+    assert.equal(timing.priority, 5);
+    assert.equal(timing.queueTimeout, 60);
+    assert.equal(timing.allowedWindows.length, 1);
+    // Windows without a timezone use the schedule's
+    assert.equal(timing.allowedWindows[0].timezone, 'Asia/Shanghai');
+  });
+
+  it('rejects unusable schedules with the reason', () => {
+    const invalid = [
+      [null, /schedule must be an object/],
+      [{ enabled: true }, /missing cron, interval or period\/position/],
+      [{ cron: '0 9 * * *', interval: 60000 }, /use only one of cron, interval or period\/position \(got cron and interval\)/],
+      [{ cron: '0 9 * *' }, /expected 5 or 6 fields/],
+      [{ interval: 500 }, /interval must be a number of milliseconds \(at least 1000\)/],
+      [{ interval: 60000, nextRun: 'tomorrow' }, /nextRun must be an ISO 8601 date/],
+      [{ period: 60, position: 60 }, /position must be a number of seconds from 0 to period/],
+      [{ period: 60, position: 0, offset: -1 }, /offset must be a non-negative number/],
+      [{ period: 60, position: 0, deviceId: 'watch' }, /unknown device 'watch'\. Available: phone, tablet/],
+      [{ period: 60, position: 0, missedRunPolicy: 'later' }, /missedRunPolicy must be one of: skip, run-once, run-all/],
+      [{ period: 60, position: 0, queueTimeout: 0 }, /queueTimeout must be a positive number/],
+      [{ period: 60, position: 0, beforeRun: 'reboot' }, /beforeRun must list hooks out of: unlock, lock/],
+      [{ period: 60, position: 0, allowedWindows: { windows: ['22:00-06:00'] } }, /ends before it starts/],
+    ];
+    for (const [schedule, message] of invalid) {
+      assert.throws(() => normalizeSchedule(schedule), (error) => error instanceof ScheduleError && message.test(error.message), JSON.stringify(schedule));
+    }
+  });
+});
+
+describe('normalizeRetry', () => {
+  it('disables retries when there are no settings', () => {
+    assert.equal(normalizeRetry(undefined).maxAttempts, 1);
+  });
+
+  it('fills in the default settings', () => {
+    assert.deepEqual(normalizeRetry({ maxAttempts: 4 }), { maxAttempts: 4, backoff: 60, factor: 2, maxBackoff: 3600, on: ['busy', 'session'] });
+  });
+
+  it('uses the caller\'s defaults under the given settings', () => {
+    assert.deepEqual(normalizeRetry({ backoff: 5 }, { on: ['failed', 'error'] }).on, ['failed', 'error']);
+    assert.deepEqual(normalizeRetry({ on: ['failed'] }, { on: ['failed', 'error'] }).on, ['failed']);
+  });
+
+  it('rejects invalid settings with the reason', () => {
+    assert.throws(() => normalizeRetry('always'), /retry must be an object/);
+    assert.throws(() => normalizeRetry({ maxAttempts: 0 }), /retry\.maxAttempts must be a positive integer/);
+    assert.throws(() => normalizeRetry({ backoff: -1 }), /retry\.backoff must be a non-negative number/);
+    assert.throws(() => normalizeRetry({ factor: 0.5 }), /retry\.factor must be a number of at least 1/);
+    assert.throws(() => normalizeRetry({ on: ['timeout'] }), /retry\.on must list failure kinds out of: busy, session, failed, error/);
+  });
+});
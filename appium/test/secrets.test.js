@@ -0,0 +1,94 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { useFixture } = require('./fixture');
+
+const dir = useFixture();
+const { SecretError, getSecret, setSecret, deleteSecret, listSecrets, resolveSecretRef, redact } = require('../app/src/secrets');
+
+const SECRETS_FILE = path.join(dir, 'data', 'secrets.json');
+
+describe('secrets', () => {
+  beforeEach(() => {
+    fs.rmSync(SECRETS_FILE, { force: true });
+    process.env.APPIUM_SECRETS_KEY = 'correct horse';
+  });
+
+  it('reads back what was stored, encrypted on disk', () => {
+    setSecret('device.pin', '482913');
+    setSecret('account.password', 'hunter2');
+
+    assert.equal(getSecret('device.pin'), '482913');
+    assert.deepEqual(listSecrets(), { available: true, names: ['account.password', 'device.pin'] });
+
+    const file = fs.readFileSync(SECRETS_FILE, 'utf-8');
+    assert.equal(JSON.parse(file).version, 1);
+    assert.ok(!file.includes('482913') && !file.includes('hunter2'));
+  });
+
+  it('replaces and deletes secrets', () => {
+    setSecret('device.pin', '1111');
+    setSecret('device.pin', '2222');
+    assert.equal(getSecret('device.pin'), '2222');
+
+    assert.equal(deleteSecret('device.pin'), true);
+    assert.equal(deleteSecret('device.pin'), false);
+    assert.throws(() => getSecret('device.pin'), (error) => error instanceof SecretError && error.status === 404);
+  });
+
+  it('resolves { secret } references from config.json', () => {
+    setSecret('device.pin', '482913');
+    assert.equal(resolveSecretRef({ secret: 'device.pin' }), '482913');
+    assert.equal(resolveSecretRef('1234'), '1234');
+  });
+
+  it('rejects invalid names and values', () => {
+    assert.throws(() => setSecret('device pin', 'x'), /may only contain letters, digits/);
+    assert.throws(() => setSecret('device.pin', ''), /must be a non-empty string/);
+  });
+
+  it('redacts every stored value, longest first', () => {
+    setSecret('short', '1234');
+    setSecret('long', '123456');
+    assert.equal(redact('pin 123456, then 1234 and 12'), 'pin ***, then *** and 12');
+    assert.equal(redact(undefined), undefined);
+  });
+
+  it('escapes values in the redaction pattern', () => {
+    setSecret('token', 'a.b*c');
+    assert.equal(redact('a.b*c axbbc'), '*** axbbc');
+  });
+
+  it('is unavailable without the key', () => {
+    setSecret('device.pin', '482913');
+    delete process.env.APPIUM_SECRETS_KEY;
+
+    assert.throws(() => getSecret('device.pin'), (error) => error.status === 503 && /APPIUM_SECRETS_KEY is not set/.test(error.message));
+    assert.equal(listSecrets().available, false);
+    assert.equal(redact('pin 482913'), 'pin 482913');
+  });
+
+  it('reports a wrong key, and reads the file again once the key is right', () => {
+    setSecret('device.pin', '482913');
+    process.env.APPIUM_SECRETS_KEY = 'wrong key';
+
+    assert.throws(() => getSecret('device.pin'), (error) => error.status === 500 && /Cannot decrypt/.test(error.message));
+    assert.deepEqual(listSecrets().names, []);
+    assert.equal(redact('pin 482913'), 'pin 482913');
+    assert.throws(() => setSecret('other', 'x'), /Cannot decrypt/);
+
+    process.env.APPIUM_SECRETS_KEY = 'correct horse';
+    assert.equal(redact('pin 482913'), 'pin ***');
+  });
+
+  it('doesn\'t derive the key again for every record while it is wrong', (t) => {
+    setSecret('device.pin', '482913');
+    process.env.APPIUM_SECRETS_KEY = 'wrong key';
+    const scrypt = t.mock.method(crypto, 'scryptSync');
+
+    for (let i = 0; i < 10; i++) redact('pin 482913');
+    assert.equal(scrypt.mock.callCount(), 1);
+  });
+});
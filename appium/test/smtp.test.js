@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { SmtpError, sendMail } = require('../app/src/smtp');
+
+/**
+ * Minimal SMTP server recording what it receives
+ * @param {Object} [options]
+ * @param {boolean} [options.auth=true] - Offer AUTH PLAIN
+ * @param {Function} [options.reply] - command -> reply line to use instead of the default
+ */
+function startServer({ auth = true, reply = () => null } = {}) {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: null };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf-8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 OK: queued as 42\r\n');
+      }
+
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) >= 0) {
+        const command = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        session.commands.push(command);
+
+        const custom = reply(command);
+        if (custom) socket.write(`${custom}\r\n`);
+        else if (command.startsWith('EHLO')) socket.write(`250-test${auth ? '\r\n250-AUTH PLAIN LOGIN' : ''}\r\n250 SIZE 1000000\r\n`);
+        else if (command.startsWith('AUTH')) socket.write('235 Authenticated\r\n');
+        else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') socket.end('221 Bye\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, sessions, port: server.address().port })));
+}
+
+const message = { from: 'bot@example.com', to: ['ops@example.com', 'dev@example.com'], subject: 'Run failed', text: 'Details' };
+
+describe('sendMail', () => {
+  let smtp;
+  before(async () => {
+    smtp = await startServer();
+  });
+  after(() => smtp.server.close());
+
+  it('sends the message to every recipient', async () => {
+    const accepted = await sendMail({ host: '127.0.0.1', port: smtp.port, ...message });
+    assert.equal(accepted, 'OK: queued as 42');
+
+    const { commands, data } = smtp.sessions.at(-1);
+    assert.deepEqual(commands.filter(command => /^(MAIL|RCPT)/.test(command)), [
+      'MAIL FROM:<bot@example.com>',
+      'RCPT TO:<ops@example.com>',
+      'RCPT TO:<dev@example.com>',
+    ]);
+    assert.match(data, /^From: bot@example.com\r\nTo: ops@example.com, dev@example.com\r\nSubject: Run failed\r\n/);
+    assert.ok(data.includes(Buffer.from('Details').toString('base64')));
+  });
+
+  it('logs in with AUTH PLAIN', async () => {
+    await sendMail({ host: '127.0.0.1', port: smtp.port, user: 'bot', pass: 's3cret', ...message });
+    const auth = smtp.sessions.at(-1).commands.find(command => command.startsWith('AUTH PLAIN '));
+    assert.equal(Buffer.from(auth.slice('AUTH PLAIN '.length), 'base64').toString('utf-8'), '\0bot\0s3cret');
+  });
+
+  it('encodes a subject that isn\'t plain ASCII', async () => {
+    await sendMail({ host: '127.0.0.1', port: smtp.port, ...message, subject: 'Échec' });
+    assert.match(smtp.sessions.at(-1).data, new RegExp(`Subject: =\\?UTF-8\\?B\\?${Buffer.from('Échec').toString('base64')}\\?=`));
+  });
+
+  it('attaches files', async () => {
+    const content = Buffer.from('png bytes');
+    await sendMail({ host: '127.0.0.1', port: smtp.port, ...message, attachments: [{ filename: 'screen.png', contentType: 'image/png', content }] });
+    const { data } = smtp.sessions.at(-1);
+    assert.match(data, /Content-Type: image\/png; name="screen.png"/);
+    assert.match(data, /Content-Disposition: attachment; filename="screen.png"/);
+    assert.ok(data.includes(content.toString('base64')));
+  });
+
+  it('fails with the reply code when the server refuses a command', async () => {
+    const refusing = await startServer({ reply: command => command.startsWith('RCPT TO:<dev@') ? '550 No such user' : null });
+    try {
+      await assert.rejects(
+        sendMail({ host: '127.0.0.1', port: refusing.port, ...message }),
+        (error) => error instanceof SmtpError && error.code === 550 && /RCPT TO refused by 127.0.0.1: 550 No such user/.test(error.message)
+      );
+    } finally {
+      refusing.server.close();
+    }
+  });
+
+  it('fails when the server doesn\'t offer AUTH PLAIN', async () => {
+    const noAuth = await startServer({ auth: false });
+    try {
+      await assert.rejects(
+        sendMail({ host: '127.0.0.1', port: noAuth.port, user: 'bot', pass: 'x', ...message }),
+        /doesn't offer AUTH PLAIN, try secure or starttls/
+      );
+    } finally {
+      noAuth.server.close();
+    }
+  });
+
+  it('fails when the server doesn\'t answer in time', async () => {
+    const silent = net.createServer(() => {});
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+    try {
+      await assert.rejects(
+        sendMail({ host: '127.0.0.1', port: silent.address().port, timeout: 200, ...message }),
+        /No answer from 127.0.0.1:\d+ within 0.2s/
+      );
+    } finally {
+      silent.close();
+    }
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AllowedWindows, nextAllowedTime } = require('../app/src/windows');
+
+const at = (iso) => new Date(iso).getTime();
+const iso = (time) => new Date(time).toISOString();
+
+describe('AllowedWindows', () => {
+  const daytime = new AllowedWindows({ timezone: 'UTC', windows: ['08:00-22:00'] });
+
+  it('allows a time inside a window as it is', () => {
+    const slot = daytime.nextAllowed(at('2026-10-19T12:00:00Z'));
+    assert.deepEqual(slot, { start: at('2026-10-19T12:00:00Z'), end: at('2026-10-19T22:00:00Z'), reason: null });
+  });
+
+  it('moves a time outside the windows to the start of the next one', () => {
+    const slot = daytime.nextAllowed(at('2026-10-19T23:00:00Z'));
+    assert.equal(iso(slot.start), '2026-10-20T08:00:00.000Z');
+    assert.equal(iso(slot.end), '2026-10-20T22:00:00.000Z');
+    assert.match(slot.reason, /outside the allowed windows 08:00-22:00 \(UTC\)/);
+  });
+
+  it('treats the end of a window as exclusive', () => {
+    assert.equal(iso(daytime.nextAllowed(at('2026-10-19T22:00:00Z')).start), '2026-10-20T08:00:00.000Z');
+  });
+
+  it('only uses a window on its days', () => {
+    const weekend = new AllowedWindows({ timezone: 'UTC', windows: [{ from: '10:00', to: '18:00', days: ['SAT', 'SUN'] }] });
+    // 2026-10-19 is a Monday
+    assert.equal(iso(weekend.nextAllowed(at('2026-10-19T12:00:00Z')).start), '2026-10-24T10:00:00.000Z');
+  });
+
+  it('skips blackout dates', () => {
+    const windows = new AllowedWindows({ timezone: 'UTC', windows: ['08:00-22:00'], blackoutDates: ['2026-12-25'] });
+    const slot = windows.nextAllowed(at('2026-12-25T12:00:00Z'));
+    assert.equal(iso(slot.start), '2026-12-26T08:00:00.000Z');
+    assert.match(slot.reason, /2026-12-25 is a blackout date/);
+  });
+
+  it('reads windows in their timezone', () => {
+    const windows = new AllowedWindows({ windows: ['08:00-22:00'] }, { timezone: 'Asia/Shanghai' });
+    // 06:00 in Shanghai, the window opens at 08:00 local (00:00Z)
+    assert.equal(iso(windows.nextAllowed(at('2026-10-18T22:00:00Z')).start), '2026-10-19T00:00:00.000Z');
+  });
+
+  it('returns null when nothing is ever allowed', () => {
+    const dates = [];
+    for (let day = 0; day < 2 * 366 + 1; day++) {
+      dates.push(new Date(at('2026-10-19T00:00:00Z') + day * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+    }
+    const windows = new AllowedWindows({ timezone: 'UTC', blackoutDates: dates });
+    assert.equal(windows.nextAllowed(at('2026-10-19T12:00:00Z')), null);
+  });
+
+  it('describes the windows', () => {
+    const windows = new AllowedWindows({
+      timezone: 'UTC',
+      windows: ['08:00-22:00', { from: '10:00', to: '12:00', days: ['SAT'] }],
+      blackoutDates: ['2026-12-25'],
+    });
+    assert.equal(windows.describe(), '08:00-22:00, 10:00-12:00 on SAT, not on 2026-12-25 (UTC)');
+  });
+
+  it('rejects invalid settings with the reason', () => {
+    assert.throws(() => new AllowedWindows({ windows: ['22:00-06:00'] }), /ends before it starts .* split windows that cross midnight in two/);
+    assert.throws(() => new AllowedWindows({ windows: ['8-22'] }), /windows\[0\]\.from must be a time like '08:00'/);
+    assert.throws(() => new AllowedWindows({ windows: [{ from: '08:00', to: '10:00', days: ['FUNDAY'] }] }), /unknown day "FUNDAY"/);
+    assert.throws(() => new AllowedWindows({ windows: [] }), /must be a non-empty list/);
+    assert.throws(() => new AllowedWindows({ blackoutDates: ['25.12.2026'] }), /blackoutDates must list dates/);
+    assert.throws(() => new AllowedWindows({ timezone: 'Mars/Olympus' }), /unknown timezone 'Mars\/Olympus'/);
+  });
+});
+
+describe('nextAllowedTime', () => {
+  it('finds the first time every set of windows allows', () => {
+    const global = new AllowedWindows({ timezone: 'UTC', windows: ['08:00-22:00'] });
+    const task = new AllowedWindows({ timezone: 'UTC', windows: ['20:00-24:00'] });
+    const slot = nextAllowedTime([global, task], at('2026-10-19T12:00:00Z'));
+    assert.equal(iso(slot.start), '2026-10-19T20:00:00.000Z');
+    assert.equal(iso(slot.end), '2026-10-19T22:00:00.000Z');
+  });
+
+  it('allows any time without windows', () => {
+    assert.deepEqual(nextAllowedTime([], 1000), { start: 1000, end: Infinity, reason: null });
+  });
+});
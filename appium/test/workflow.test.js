@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFixture } = require('./fixture');
+
+const step = "module.exports = { name: 'Step', async execute() { return { success: true }; } };";
+useFixture({
+  scripts: {
+    Unlock: step,
+    Fetch: step,
+    Publish: "module.exports = { params: { content: { required: true } }, async execute() { return { success: true }; } };",
+    Lock: step,
+    Nested: "module.exports = { workflow: { steps: [{ id: 'a', script: 'Lock' }] } };",
+    Broken: "throw new Error('top-level failure');",
+  },
+});
+const { WorkflowError, normalizeWorkflow } = require('../app/src/workflow');
+
+const byId = (steps) => Object.fromEntries(steps.map(item => [item.id, item]));
+
+describe('normalizeWorkflow', () => {
+  it('loads the scripts of the steps in declaration order', () => {
+    const { steps } = normalizeWorkflow({
+      steps: [
+        { id: 'unlock', script: 'Unlock' },
+        { id: 'publish', script: 'Publish', params: { content: 'hello' } },
+      ],
+    });
+    assert.deepEqual(steps.map(item => [item.id, item.scriptId]), [['unlock', 'Unlock'], ['publish', 'Publish']]);
+    assert.equal(typeof steps[0].script.execute, 'function');
+  });
+
+  it('turns onSuccess / onFailure into triggers of their targets', () => {
+    const steps = byId(normalizeWorkflow({
+      steps: [
+        { id: 'unlock', script: 'Unlock' },
+        { id: 'fetch', script: 'Fetch', dependsOn: 'unlock', onSuccess: ['publish'], onFailure: ['lock'] },
+        { id: 'publish', script: 'Publish', params: () => ({ content: 'later' }) },
+        { id: 'lock', script: 'Lock', dependsOn: ['unlock'] },
+      ],
+    }).steps);
+
+    assert.deepEqual(steps.fetch.dependsOn, ['unlock']);
+    assert.deepEqual(steps.publish.triggers, [{ from: 'fetch', on: 'success' }]);
+    assert.deepEqual(steps.lock.triggers, [{ from: 'fetch', on: 'failure' }]);
+    assert.deepEqual(steps.lock.upstream, ['unlock', 'fetch']);
+    assert.deepEqual(steps.unlock.upstream, []);
+  });
+
+  it('retries steps on failed and error by default', () => {
+    const [first] = normalizeWorkflow({ steps: [{ id: 'fetch', script: 'Fetch', retry: { maxAttempts: 3 } }] }).steps;
+    assert.equal(first.retry.maxAttempts, 3);
+    assert.deepEqual(first.retry.on, ['failed', 'error']);
+  });
+
+  it('detects cycles through any kind of edge', () => {
+    assert.throws(() => normalizeWorkflow({
+      steps: [
+        { id: 'a', script: 'Unlock', dependsOn: ['b'] },
+        { id: 'b', script: 'Fetch', dependsOn: ['a'] },
+        { id: 'c', script: 'Lock' },
+      ],
+    }), /workflow has a cycle between steps a, b$/);
+
+    assert.throws(() => normalizeWorkflow({
+      steps: [
+        { id: 'start', script: 'Unlock', onSuccess: ['a'] },
+        { id: 'a', script: 'Fetch', onFailure: ['b'] },
+        { id: 'b', script: 'Lock', onSuccess: ['a'] },
+      ],
+    }), /workflow has a cycle between steps a, b$/);
+  });
+
+  it('rejects unusable workflows with the reason', () => {
+    const invalid = [
+      [{ steps: [] }, /non-empty steps list/],
+      [{ steps: [{ id: 'a b', script: 'Lock' }] }, /steps\[0\] needs an id of letters, digits, _ or -/],
+      [{ steps: [{ id: 'a', script: 'Lock' }, { id: 'a', script: 'Lock' }] }, /steps\[1\] repeats the id 'a'/],
+      [{ steps: [{ id: 'a', script: 'Missing' }] }, /'a' has an unknown script "Missing"/],
+      [{ steps: [{ id: 'a', script: 'Broken' }] }, /script 'Broken' failed to load: top-level failure/],
+      [{ steps: [{ id: 'a', script: 'Nested' }] }, /workflows can't be nested/],
+      [{ steps: [{ id: 'a', script: 'Lock', dependsOn: ['b'] }] }, /'a'\.dependsOn has an unknown step "b"/],
+      [{ steps: [{ id: 'a', script: 'Lock', onSuccess: 'a' }] }, /'a'\.onSuccess has an unknown step "a"/],
+      [{ steps: [{ id: 'a', script: 'Publish' }] }, /'a': Invalid params: content: is required/],
+      [{ steps: [{ id: 'a', script: 'Lock', params: 'x' }] }, /'a'\.params must be an object or a function/],
+      [{ steps: [{ id: 'a', script: 'Lock', retry: { on: ['busy'] } }] }, /'a'\.retry\.on must list failure kinds out of: failed, error/],
+    ];
+    for (const [workflow, message] of invalid) {
+      assert.throws(() => normalizeWorkflow(workflow), (error) => error instanceof WorkflowError && message.test(error.message), JSON.stringify(workflow));
+    }
+  });
+});